@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+
+const Cli = require('../lib/cli');
+
+new Cli()
+    .run(process.argv.slice(2))
+    .then(code => process.exit(code));
@@ -23,12 +23,31 @@
  */
 
 const fs = require('fs');
+const { EventEmitter } = require('events');
 const path = require('path');
 const Work = require('@ntlab/work/work');
 const Queue = require('@ntlab/work/queue');
-const { Sequelize, Model, BelongsToAssociation } = require('@sequelize/core');
+const { Sequelize, Model, BelongsToAssociation, AccessDeniedError, ConnectionError, ConnectionTimedOutError } = require('@sequelize/core');
+const DataStream = require('./lib/datastream');
+const Exporter = require('./lib/exporter');
+const Factory = require('./lib/factory');
+const Fixture = require('./lib/fixture');
+const IncludeBuilder = require('./lib/include');
+const Initializer = require('./lib/initializer');
+const Loader = require('./lib/loader');
+const Lookup = require('./lib/lookup');
+const Migration = require('./lib/migration');
+const Rest = require('./lib/rest');
+const Schema = require('./lib/schema');
+const Stringable = require('./lib/stringable');
+const TenantRegistry = require('./lib/tenant');
+const Validator = require('./lib/validator');
+const Writer = require('./lib/writer');
 const debug = require('debug')('sequelize:manager');
 
+const BEHAVIOR_DIR = path.join(__dirname, 'lib', 'behavior');
+const EXTENDED = Symbol('extended');
+
 /**
  * A callback to extend Sequelize model.
  *
@@ -42,17 +61,44 @@ const debug = require('debug')('sequelize:manager');
  *          }
  *     }
  * }
+ *
+ * function modelInstanceFn(model, previous) {
+ *     return {
+ *          toString: function() {
+ *              return `[${previous.toString.call(this)}]`;
+ *          }
+ *     }
+ * }
  * ```
  *
  * @callback extensionCallback
  * @param {Model} model Sequelize model
+ * @param {object} previous Previous implementation of overridden functions
  * @returns {object}
  */
 
 /**
  * Sequelize model manager.
+ *
+ * The following events are emitted during manager lifecycle:
+ *
+ * * `addonLoaded(addon, name)`: an addon has been loaded
+ * * `modelLoaded(model, features)`: a model has been loaded along with its features
+ * * `associated(models)`: all models have been associated
+ * * `connected(sequelize)`: database connection has been authenticated
+ * * `disconnected(sequelize)`: database connection has been closed by `close()`
+ * * `connectRetry(err, attempt, delay)`: connecting failed and will be retried after delay
+ * * `connectionLost(err)`, `reconnected(sequelize)`, `reconnectFailed(err)`: connection
+ *   check failed and re-authentication is attempted, see `connectDatabase()`
+ * * `tenantCreated(id, tenant)`, `tenantEvicted(id, tenant)`: a tenant has been opened or closed
+ * * `beforeSync(model, options)`, `afterSync(model, options)`: a model is being synchronized
+ * * `fixtureStart(model, count)`: populating model fixture rows is started
+ * * `fixtureProgress(model, progress)`: populating model fixture rows progress in percent
+ * * `fixtureDone(model, result)`: populating model fixture rows is done
+ * * `importProgress(model, progress)`, `exportProgress(model, progress)`: streaming import or export
+ *   progress in percent, see `importData()` and `exportData()`
  */
-class Manager {
+class Manager extends EventEmitter {
 
     config = {}
 
@@ -68,6 +114,7 @@ class Manager {
      * * `extend`: contains model static and instance extension
      * * `addon`: contains addons handler
      * * `fixture`: contains model fixture data
+     * * `migration`: contains versioned migrations
      *
      * @param {object} config Contructor options with the following keys:
      *   * `modelStore`:   The object to store the reference to models
@@ -78,10 +125,24 @@ class Manager {
      *   * `extenddir`:    The extend directory, will use `modeldir/extend` if not specified
      *   * `addondir`:     The addon directory, will use `modeldir/addon` if not specified
      *   * `fixturedir`:   The fixture directory, will use `modeldir/fixture` if not specified
+     *   * `recursive`:    Look for models, addons, and related modules in nested directories
+     *   * `include`:      Only load models matching these patterns, e.g. `['sales/*', 'User']`
+     *   * `exclude`:      Don't load models matching these patterns
+     *   * `fixtureenv`:   The fixture environment, e.g. `dev` or `test`
+     *   * `generators`:   Additional fixture value generators, see `Fixture.addGenerator()`
+     *   * `formatters`:   Additional string representation formatters, see `Stringable.addFormatter()`
+     *   * `locale`:       Default locale of string representation
+     *   * `migrationdir`: The migration directory, will use `modeldir/migration` if not specified
+     *   * `migrationtable`: The table to track applied migrations, default to `sequelize_migration`
+     *   * `connection`:   Connection retry and reconnect options, see `connectDatabase()`
+     *   * `initializers`: Per dialect connection initializers, see `Initializer`
+     *   * `extensions`:   SQLite extensions to load, same as `initializers.sqlite3.extensions`
+     *   * `tenants`:      Tenant registry options, see `TenantRegistry`
      * @param {string} config.modeldir
      * @param {string|undefined} config.fixturedir
      */
     constructor(config) {
+        super();
         if (!fs.existsSync(config.modeldir)) {
             throw new Error('Contructor options modeldir is mandatory and the path must exists!');
         }
@@ -94,6 +155,8 @@ class Manager {
         this.dataDir = config.datadir || path.join(this.modelDir, 'data');
         this.extendDir = config.extenddir || path.join(this.modelDir, 'extend');
         this.addonDir = config.addondir || path.join(this.modelDir, 'addon');
+        this.migrationDir = config.migrationdir || path.join(this.modelDir, 'migration');
+        this.definitions = new Map();
     }
 
     /**
@@ -113,21 +176,16 @@ class Manager {
      */
     init(options) {
         this.db = new Sequelize(options);
-        if (Array.isArray(this.config.extensions) && this.config.extensions.length) {
-            this.db.hooks.addListener('afterPoolAcquire', (connection, options) => {
-                if (connection.extensions === undefined) {
-                    connection.extensions = [];
-                }
-                this.config.extensions.forEach(extension => {
-                    if (connection.extensions.indexOf(extension) < 0) {
-                        connection.loadExtension(extension);
-                        connection.extensions.push(extension);
-                        debug(`Extension ${extension} loaded`);
-                    }
-                });
-            });
-        }
+        this.databaseOptions = options;
         return Work.works([
+            [w => new Promise((resolve, reject) => {
+                const initializer = new Initializer(this.db, this.getInitializers());
+                if (initializer.hasSteps()) {
+                    this.poolListener = (connection, options) => initializer.initialize(connection);
+                    this.db.hooks.addListener('afterPoolAcquire', this.poolListener);
+                }
+                resolve();
+            })],
             [w => this.loadLifecycles()],
             [w => this.loadAddons()],
             [w => this.loadModels()],
@@ -135,46 +193,387 @@ class Manager {
         ]);
     }
 
+    /**
+     * Get connection initializers config, `extensions` config is loaded as SQLite
+     * extensions.
+     *
+     * @returns {object}
+     */
+    getInitializers() {
+        const res = Object.assign({}, this.config.initializers);
+        if (Array.isArray(this.config.extensions) && this.config.extensions.length) {
+            const sqlite = Object.assign({}, res.sqlite3);
+            sqlite.extensions = [...this.config.extensions, ...(sqlite.extensions || [])];
+            res.sqlite3 = sqlite;
+        }
+        return res;
+    }
+
     /**
      * Connect to database.
      *
+     * Failed connection is retried with exponential backoff when `retries` is set,
+     * emitting `connectRetry` before each retry. With `reconnect` option, the
+     * connection is checked periodically and re-authenticated after it's lost,
+     * emitting `connectionLost` and then `reconnected` or `reconnectFailed`.
+     *
+     * @param {object} options Connection options, default to `connection` config
+     * @param {number} options.retries Number of retries, default to 0
+     * @param {number} options.delay Delay before the first retry in milliseconds, default to 1000
+     * @param {number} options.factor Delay multiplier of next retries, default to 2
+     * @param {number} options.maxDelay Maximum delay in milliseconds, default to 30000
+     * @param {number} options.timeout Give up connecting after this milliseconds, default to no timeout
+     * @param {boolean|object} options.reconnect Re-authenticate after connection loss, use object
+     *   with `interval` to change the check interval, default to 30000 milliseconds
      * @returns {Promise}
      */
-    connectDatabase() {
+    connectDatabase(options = {}) {
+        const connection = Object.assign({retries: 0, delay: 1000, factor: 2, maxDelay: 30000, timeout: 0},
+            this.config.connection, options);
         return Work.works([
-            [w => this.db.authenticate()],
+            [w => this.authenticate(connection)],
+            [w => Promise.resolve(this.emit('connected', this.db))],
             [w => this.config.onconnect(), w => typeof this.config.onconnect === 'function'],
+            [w => Promise.resolve(this.startHeartbeat(connection)), w => connection.reconnect],
+        ]);
+    }
+
+    /**
+     * Authenticate database connection with retries.
+     *
+     * Only connection errors are retried, except access denied.
+     *
+     * @param {object} options Connection options, see `connectDatabase()`
+     * @returns {Promise}
+     */
+    authenticate(options) {
+        return new Promise((resolve, reject) => {
+            const started = Date.now();
+            let attempt = 0;
+            const f = () => {
+                attempt++;
+                let authenticate = this.db.authenticate();
+                if (options.timeout) {
+                    const remaining = Math.max(options.timeout - (Date.now() - started), 0);
+                    authenticate = Promise.race([authenticate, new Promise((resolve, reject) => {
+                        setTimeout(() => reject(new ConnectionTimedOutError(new Error(`Database connection timed out after ${options.timeout} ms!`))),
+                            remaining).unref();
+                    })]);
+                }
+                authenticate
+                    .then(() => resolve())
+                    .catch(err => {
+                        const delay = Math.min(options.delay * Math.pow(options.factor, attempt - 1), options.maxDelay);
+                        const retryable = err instanceof ConnectionError && !(err instanceof AccessDeniedError) &&
+                            !(err instanceof ConnectionTimedOutError && options.timeout && Date.now() - started >= options.timeout);
+                        if (!retryable || attempt > options.retries || (options.timeout && Date.now() - started + delay >= options.timeout)) {
+                            return reject(err);
+                        }
+                        debug(`Connection attempt ${attempt} failed, retrying in ${delay} ms: ${err.message}`);
+                        this.emit('connectRetry', err, attempt, delay);
+                        setTimeout(f, delay);
+                    });
+            };
+            f();
+        });
+    }
+
+    /**
+     * Start checking connection periodically and re-authenticate after it's lost.
+     *
+     * @param {object} options Connection options, see `connectDatabase()`
+     */
+    startHeartbeat(options) {
+        this.stopHeartbeat();
+        const interval = typeof options.reconnect === 'object' && options.reconnect.interval ? options.reconnect.interval : 30000;
+        let reconnecting = false;
+        this.heartbeat = setInterval(() => {
+            if (reconnecting) {
+                return;
+            }
+            reconnecting = true;
+            this.healthCheck()
+                .then(res => {
+                    if (res.ok || this.db.isClosed()) {
+                        return;
+                    }
+                    debug(`Connection lost: ${res.error.message}`);
+                    this.emit('connectionLost', res.error);
+                    return this.authenticate(options)
+                        .then(() => this.emit('reconnected', this.db))
+                        .catch(err => this.emit('reconnectFailed', err));
+                })
+                .then(() => {
+                    reconnecting = false;
+                });
+        }, interval);
+        // don't keep the process running just for the check
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Stop checking connection.
+     */
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            delete this.heartbeat;
+        }
+    }
+
+    /**
+     * Check database connection.
+     *
+     * @returns {Promise<object>} Resolved with `ok`, query `latency` in milliseconds, `pool`
+     *   statistics, and `error` when the check failed
+     */
+    healthCheck() {
+        const started = process.hrtime.bigint();
+        const stats = () => {
+            const pool = this.db.pool;
+            return {
+                size: pool.size,
+                available: pool.available,
+                using: pool.using,
+                waiting: pool.waiting,
+                max: pool.write.maxSize,
+                min: pool.write.minSize,
+            };
+        };
+        if (this.db.isClosed()) {
+            return Promise.resolve({ok: false, latency: null, pool: stats(), error: new Error('Database connection is closed!')});
+        }
+        return this.db.authenticate({logging: false})
+            .then(() => ({ok: true, latency: Number(process.hrtime.bigint() - started) / 1e6, pool: stats()}))
+            .catch(err => ({ok: false, latency: null, pool: stats(), error: err}));
+    }
+
+    /**
+     * Close database connection.
+     *
+     * Connections in use are waited to be released before the pool is closed. Open
+     * tenants are closed too. Nothing to close when the manager is not initialized.
+     *
+     * @param {object} options Close options
+     * @param {number} options.timeout Maximum time to wait for connections in milliseconds, default to 10000
+     * @returns {Promise}
+     */
+    close(options = {}) {
+        if (!this.db) {
+            return Promise.resolve();
+        }
+        const timeout = options.timeout !== undefined ? options.timeout : 10000;
+        return Work.works([
+            [w => this.tenants.close(), w => this.tenants],
+            [w => Promise.resolve(this.stopHeartbeat())],
+            [w => Promise.race([this.db.pool.drain(), new Promise((resolve, reject) => setTimeout(resolve, timeout).unref())]),
+                w => !this.db.isClosed()],
+            [w => this.db.close()],
+            [w => Promise.resolve(this.db.hooks.removeListener('afterPoolAcquire', this.poolListener)), w => this.poolListener],
+            [w => Promise.resolve(this.emit('disconnected', this.db))],
         ]);
     }
 
+    /**
+     * Get tenant registry.
+     *
+     * @returns {TenantRegistry}
+     */
+    getTenants() {
+        if (!this.tenants) {
+            this.tenants = new TenantRegistry(this, this.config.tenants);
+        }
+        return this.tenants;
+    }
+
+    /**
+     * Get tenant manager sharing model definitions of this manager, see `TenantRegistry`.
+     *
+     * @param {string} id Tenant id
+     * @returns {Promise<Manager>}
+     */
+    tenant(id) {
+        return this.getTenants().get(id);
+    }
+
     /**
      * Load addons.
      *
+     * Addons are applied in ascending `priority` order, an addon may export its own
+     * `priority` which can be overridden in `data/addon.json`. Addons with the same
+     * priority are applied by name.
+     *
      * @returns {Promise}
      */
     loadAddons() {
         return new Promise((resolve, reject) => {
             this.addons = [];
-            if (fs.existsSync(this.addonDir)) {
-                fs.readdir(this.addonDir, (err, files) => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    files.forEach(file => {
-                        if (file.endsWith('.js')) {
-                            const addon = require(path.join(this.addonDir, file.substring(0, file.length - 3)));
-                            this.addons.push(addon);
-                            debug(`Found addon ${addon.name}`);
+            this.addonConfig = this.readData(path.join(this.dataDir, 'addon.json')) || {};
+            const addons = this.cached(`scan:${this.addonDir}`, () => Loader.scan(this.addonDir, {recursive: this.config.recursive}));
+            const q = new Queue([...addons], item => {
+                this.loadModule(item.file)
+                    .then(addon => {
+                        const config = this.getAddonConfig(item);
+                        if (config === false) {
+                            debug(`Addon ${item.name} is disabled`);
+                        } else {
+                            let priority = config.priority !== undefined ? config.priority : addon.priority;
+                            if (typeof priority !== 'number') {
+                                priority = 0;
+                            }
+                            this.addons.push({name: item.name, relative: item.relative, file: item.file, addon, priority, config});
+                            debug(`Found addon ${item.name} with priority ${priority}`);
+                            this.emit('addonLoaded', addon, item.name);
                         }
-                    });
-                    resolve();
-                });
-            } else {
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => {
+                this.addons.sort((a, b) => a.priority !== b.priority ? a.priority - b.priority : a.relative.localeCompare(b.relative));
                 resolve();
-            }
+            });
+        });
+    }
+
+    /**
+     * Get addon configuration from `data/addon.json` which is keyed by addon name or
+     * its relative path, e.g.:
+     *
+     * ```json
+     * {
+     *     "Audit": {"priority": 10, "exclude": ["Log*"]},
+     *     "Slug": {"include": ["Post", "sales/*"]},
+     *     "Legacy": false
+     * }
+     * ```
+     *
+     * @param {object} item Addon module
+     * @returns {object|boolean} Addon configuration or `false` when disabled
+     */
+    getAddonConfig(item) {
+        let config = this.addonConfig[item.relative];
+        if (config === undefined) {
+            config = this.addonConfig[item.name];
+        }
+        if (config === false) {
+            return false;
+        }
+        return typeof config === 'object' && config !== null ? config : {};
+    }
+
+    /**
+     * Get addons enabled for model.
+     *
+     * @param {object} item Model module
+     * @returns {object[]}
+     */
+    getModelAddons(item) {
+        return (this.addons || []).filter(addon => this.isAddonEnabled(addon, item));
+    }
+
+    /**
+     * Check if addon is enabled for model using its `include` and `exclude` patterns
+     * which are matched against model name or its relative path.
+     *
+     * @param {object} addon Loaded addon
+     * @param {object} item Model module
+     * @returns {boolean}
+     */
+    isAddonEnabled(addon, item) {
+        const names = [item.name, item.relative];
+        return names.some(name => Loader.isMatch(name, addon.config.include, true)) &&
+            !names.some(name => Loader.isMatch(name, addon.config.exclude, false));
+    }
+
+    /**
+     * Extend model and collect conflicting functions.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} data Extension
+     * @param {string} name Extension name
+     */
+    extendModel(model, data, name) {
+        Manager.extend(model, data, name).forEach(conflict => {
+            debug(`Function ${conflict.fn}() of ${model.name} from ${conflict.previous} is overridden by ${conflict.name}`);
+            this.conflicts.push(conflict);
         });
     }
 
+    /**
+     * Get functions defined by more than one extension.
+     *
+     * @returns {object[]} Conflicts with `model`, `type`, `fn`, `name`, and `previous`
+     */
+    getConflicts() {
+        return this.conflicts || [];
+    }
+
+    /**
+     * Get model modules.
+     *
+     * @returns {object[]}
+     */
+    getModelFiles() {
+        return [...this.cached(`scan:${this.modelDir}`, () => Loader.scan(this.modelDir, {
+            recursive: this.config.recursive,
+            skips: [this.extensionDir, this.fixtureDir, this.hookDir, this.dataDir, this.extendDir, this.addonDir, this.migrationDir],
+            include: this.config.include,
+            exclude: this.config.exclude,
+        }))];
+    }
+
+    /**
+     * Get a value cached in definitions, which is shared with tenants so the
+     * modules and data files are only loaded once.
+     *
+     * @param {string} key Cache key
+     * @param {function} fn A function which returns the value
+     * @returns {any}
+     */
+    cached(key, fn) {
+        if (!this.definitions.has(key)) {
+            this.definitions.set(key, fn());
+        }
+        return this.definitions.get(key);
+    }
+
+    /**
+     * Load module once, see `Loader.load()`.
+     *
+     * @param {string} filename Module file name
+     * @returns {Promise<any>}
+     */
+    loadModule(filename) {
+        const key = `load:${filename}`;
+        return this.cached(key, () => Loader.load(filename).catch(err => {
+            this.definitions.delete(key);
+            throw err;
+        }));
+    }
+
+    /**
+     * Find module once, see `Loader.find()`.
+     *
+     * @param {string} dir Directory
+     * @param {string} relative Relative path without extension
+     * @param {string} name Module name
+     * @returns {string|undefined}
+     */
+    findModule(dir, relative, name = null) {
+        return this.cached(`find:${dir}:${relative}:${name}`, () => Loader.find(dir, relative, name));
+    }
+
+    /**
+     * Read JSON data file once.
+     *
+     * @param {string} filename Data file name
+     * @returns {any} Parsed data or null when the file doesn't exist
+     */
+    readData(filename) {
+        return this.cached(`data:${filename}`, () => fs.existsSync(filename) ? JSON.parse(fs.readFileSync(filename)) : null);
+    }
+
     /**
      * Load all models.
      *
@@ -183,76 +582,112 @@ class Manager {
     loadModels() {
         return new Promise((resolve, reject) => {
             this.fixtures = [];
-            this.stringable = {};
-            fs.readdir(this.modelDir, (err, files) => {
-                if (err) {
-                    return reject(err);
+            this.features = {};
+            this.conflicts = [];
+            this.stringable = this.readData(path.join(this.dataDir, 'tostring.json')) || {};
+            const files = this.getModelFiles();
+            const names = {};
+            for (const item of files) {
+                if (names[item.name]) {
+                    return reject(new Error(`Model ${item.name} is found in both ${names[item.name]} and ${item.relative}!`));
+                }
+                names[item.name] = item.relative;
+            }
+            const q = new Queue(files, item => {
+                this.loadModel(item)
+                    .then(() => q.next())
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve());
+        });
+    }
+
+    /**
+     * Load model.
+     *
+     * @param {object} item Model module
+     * @param {string} item.name Model name
+     * @param {string} item.relative Model relative path
+     * @param {string} item.file Model file name
+     * @returns {Promise<Model>}
+     */
+    loadModel(item) {
+        const modelName = item.name;
+        const extensionFile = this.findModule(this.extensionDir, item.relative, modelName);
+        const extendFile = this.findModule(this.extendDir, item.relative, modelName);
+        return Work.works([
+            [w => this.loadModule(extensionFile), w => extensionFile],
+            [w => this.loadModule(item.file)],
+            [w => this.loadModule(extendFile), w => extendFile],
+            [w => new Promise((resolve, reject) => {
+                const features = {};
+                let attributes, options;
+                // load attribute extension
+                if (extensionFile) {
+                    attributes = w.getRes(0)(this.db);
+                    features.extension = true;
                 }
-                const stringableFile = path.join(this.dataDir, 'tostring.json');
-                if (fs.existsSync(stringableFile)) {
-                    this.stringable = JSON.parse(fs.readFileSync(stringableFile));
+                // apply lifecycle handler
+                const lifecycles = this.lifeCycles[modelName] || [];
+                if (lifecycles.length) {
+                    options = options => {
+                        lifecycles.forEach(lifecycle => this.applyLifecycleOptions(options, lifecycle));
+                        return options;
+                    }
+                    features.lifecycle = lifecycles.map(lifecycle => lifecycle.name);
                 }
-                files.forEach(file => {
-                    if (file.endsWith('.js')) {
-                        const modelName = file.substring(0, file.length - 3);
-                        const features = {};
-                        let attributes, options;
-                        // load attribute extension
-                        if (fs.existsSync(path.join(this.extensionDir, file))) {
-                            attributes = require(path.join(this.extensionDir, modelName))(this.db);
-                            features.extension = true;
-                        }
-                        // apply lifecycle handler
-                        if (this.lifeCycles[modelName]) {
-                            options = options => {
-                                this.lifeCycles[modelName].forEach(lifecycle => {
-                                    lifecycle.handle(options);
-                                });
-                                return options;
+                const model = w.getRes(1)(this.db, attributes, options);
+                lifecycles.forEach(lifecycle => this.applyLifecycle(model, lifecycle));
+                // handle model extension
+                if (extendFile) {
+                    this.extendModel(model, w.getRes(2), `extend:${item.relative}`);
+                    features.extended = true;
+                }
+                // handle toString()
+                if (this.stringable[modelName]) {
+                    model.stringable = this.stringable[modelName];
+                    const stringable = this.getStringable();
+                    if (stringable.isTemplate(model.stringable)) {
+                        this.extendModel(model, {
+                            getInstanceFunctions(model) {
+                                return {
+                                    toString(locale) {
+                                        return stringable.format(this, model.stringable, locale);
+                                    }
+                                }
                             }
-                            features.lifecycle = true;
-                        }
-                        const model = require(path.join(this.modelDir, modelName))(this.db, attributes, options);
-                        // handle model extension
-                        if (fs.existsSync(path.join(this.extendDir, file))) {
-                            const ModelExtend = require(path.join(this.extendDir, modelName));
-                            Manager.extend(model, ModelExtend);
-                            features.extended = true;
-                        }
-                        // handle toString()
-                        if (this.stringable[modelName]) {
-                            model.stringable = this.stringable[modelName];
-                            features.stringable = true;
-                        }
-                        // register addons
-                        if (Array.isArray(this.addons)) {
-                            this.addons.forEach(addon => {
-                                Manager.extend(model, addon);
-                            });
-                            features.addons = true;
-                        }
-                        // check if fixture exist
-                        const fixture = path.join(this.fixtureDir, modelName + '.json');
-                        if (fs.existsSync(fixture)) {
-                            this.fixtures.push({model: model, fixture: fixture});
-                            features.fixture = true;
-                        }
-                        // add model reference
-                        model.db = this;
-                        this[modelName] = model;
-                        if (typeof this.modelStore === 'object') {
-                            this.modelStore[modelName] = model;
-                        }
-                        // define model as property
-                        if (this.db.models[modelName] === undefined) {
-                            Object.defineProperty(this.db.models, modelName, {value: model, writable: false});
-                        }
-                        debug(`Found model ${model.name} with features [${Object.keys(features).join(', ')}]`);
+                        }, 'tostring');
                     }
-                });
-                resolve();
-            });
-        });
+                    features.stringable = true;
+                }
+                // register addons
+                const addons = this.getModelAddons(item);
+                if (addons.length) {
+                    addons.forEach(addon => this.extendModel(model, addon.addon, `addon:${addon.name}`));
+                    features.addons = addons.map(addon => addon.name);
+                }
+                // check if fixture exist
+                const fixtures = this.getFixture().getFiles(model, this.config.fixtureenv);
+                if (fixtures.length) {
+                    this.fixtures.push({model: model, fixtures: fixtures});
+                    features.fixture = true;
+                }
+                // add model reference
+                model.db = this;
+                this[modelName] = model;
+                if (typeof this.modelStore === 'object') {
+                    this.modelStore[modelName] = model;
+                }
+                // define model as property
+                if (this.db.models[modelName] === undefined) {
+                    Object.defineProperty(this.db.models, modelName, {value: model, writable: false});
+                }
+                this.features[modelName] = features;
+                debug(`Found model ${model.name} with features [${Object.keys(features).join(', ')}]`);
+                this.emit('modelLoaded', model, features);
+                resolve(model);
+            })],
+        ]);
     }
 
     /**
@@ -267,6 +702,7 @@ class Manager {
                     model.associate();
                 }
             }
+            this.emit('associated', [...this.db.models]);
             resolve();
         });
     }
@@ -274,53 +710,150 @@ class Manager {
     /**
      * Load lifecycles data for models.
      *
+     * Each `lifecycle.json` entry maps a hook in `hookdir` to the models it applies to,
+     * either as a list of model names or as an object with hook options:
+     *
+     * ```json
+     * {
+     *     "timestamp": ["User", "Post"],
+     *     "audit": {
+     *         "order": 10,
+     *         "events": ["afterCreate", "afterUpdate"],
+     *         "models": {
+     *             "User": {"fields": ["Username", "Email"]},
+     *             "Post": {"order": -1}
+     *         }
+     *     }
+     * }
+     * ```
+     *
+     * Hook options are merged with model options and passed to the hook handler.
+     * Hooks applied to a model are ordered by `order`, default to `0`. Built-in
+     * behaviors `timestampable`, `softdelete`, `sluggable`, and `audit` can be used
+     * unless `hookdir` has a hook with the same name.
+     *
      * @returns {Promise}
      */
     loadLifecycles() {
         return new Promise((resolve, reject) => {
             this.lifeCycles = {};
-            const lifecycleFile = path.join(this.dataDir, 'lifecycle.json');
-            if (fs.existsSync(lifecycleFile)) {
-                const lifeCycles = JSON.parse(fs.readFileSync(lifecycleFile));
-                Object.keys(lifeCycles).forEach(lifecycle => {
-                    const lifecycleHandler = path.join(this.hookDir, lifecycle + '.js');
-                    if (fs.existsSync(lifecycleHandler)) {
-                        const handler = require(path.join(this.hookDir, lifecycle));
-                        lifeCycles[lifecycle].forEach(m => {
-                            if (!this.lifeCycles[m]) {
-                                this.lifeCycles[m] = [];
+            const lifeCycles = this.readData(path.join(this.dataDir, 'lifecycle.json')) || {};
+            const q = new Queue(Object.keys(lifeCycles), lifecycle => {
+                const lifecycleHandler = this.findLifecycle(lifecycle);
+                if (!lifecycleHandler) {
+                    return q.next();
+                }
+                this.loadModule(lifecycleHandler)
+                    .then(handler => {
+                        Manager.getLifecycleModels(lifeCycles[lifecycle]).forEach(item => {
+                            if (!this.lifeCycles[item.model]) {
+                                this.lifeCycles[item.model] = [];
                             }
-                            this.lifeCycles[m].push(handler);
+                            this.lifeCycles[item.model].push({name: lifecycle, handler, config: item.config, order: item.order});
                         });
-                    }
-                });
-            }
-            resolve();
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => {
+                Object.values(this.lifeCycles).forEach(lifecycles => lifecycles.sort((a, b) => a.order - b.order));
+                resolve();
+            });
         });
     }
 
     /**
-     * Populate model fixtures.
+     * Apply lifecycle hook to model options, the hook `handle(options, config)` is
+     * called when the model is being defined.
      *
-     * @returns {Promise}
+     * @param {object} options Model options
+     * @param {object} lifecycle Model lifecycle
+     * @returns {object}
      */
-    loadFixtures() {
-        return new Promise((resolve, reject) => {
-            const q = new Queue(this.fixtures, f => {
-                Work.works([
-                    [w => f.model.count()],
-                    [w => Promise.resolve(fs.existsSync(f.fixture)), w => w.getRes(0) === 0],
-                    [w => Promise.resolve(JSON.parse(fs.readFileSync(f.fixture))), w => w.getRes(0) === 0 && w.getRes(1)],
-                    [w => this.populateData(f.model, w.getRes(2)), w => w.getRes(0) === 0 && w.getRes(1)],
-                ])
-                .then(() => q.next())
-                .catch(err => {
-                    console.error(err);
-                    q.next();
-                });
+    applyLifecycleOptions(options, lifecycle) {
+        if (typeof lifecycle.handler.handle === 'function') {
+            lifecycle.handler.handle(options, lifecycle.config);
+        }
+        return options;
+    }
+
+    /**
+     * Apply lifecycle hook to defined model.
+     *
+     * The hook `setup(model, config, manager)` is called once the model is defined.
+     * Event handlers are hook functions named after Sequelize model hooks, e.g.
+     * `afterCreate(instance, options, config)`, which may return a `Promise`. Only
+     * `events` are subscribed if specified in hook options.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} lifecycle Model lifecycle
+     */
+    applyLifecycle(model, lifecycle) {
+        if (typeof lifecycle.handler.setup === 'function') {
+            lifecycle.handler.setup(model, lifecycle.config, this);
+        }
+        Object.keys(lifecycle.handler)
+            .filter(event => Manager.isLifecycleEvent(lifecycle.handler, event))
+            .filter(event => !Array.isArray(lifecycle.config.events) || lifecycle.config.events.indexOf(event) >= 0)
+            .forEach(event => {
+                model.hooks.addListener(event, (...args) => lifecycle.handler[event](...args, lifecycle.config));
             });
-            q.once('done', () => resolve());
-        });
+    }
+
+    /**
+     * Find lifecycle hook handler in `hookdir`, or in built-in behaviors if not found.
+     *
+     * @param {string} name Lifecycle name
+     * @returns {string|undefined}
+     */
+    findLifecycle(name) {
+        return this.findModule(this.hookDir, name) || this.findModule(BEHAVIOR_DIR, name);
+    }
+
+    /**
+     * Get string representation formatter.
+     *
+     * @returns {Stringable}
+     */
+    getStringable() {
+        if (!this.stringableFormatter) {
+            this.stringableFormatter = new Stringable(this);
+        }
+        return this.stringableFormatter;
+    }
+
+    /**
+     * Get fixture loader.
+     *
+     * @returns {Fixture}
+     */
+    getFixture() {
+        if (!this.fixture) {
+            this.fixture = new Fixture(this);
+        }
+        return this.fixture;
+    }
+
+    /**
+     * Populate model fixtures.
+     *
+     * By default, fixture only populated when the model is empty. Use `upsert` mode
+     * to match each row on its primary key or natural key, inserting the missing rows
+     * and optionally updating the changed ones.
+     *
+     * Use `transactional` option of `all` to load all models in a single transaction
+     * or `model` to load each model in its own transaction.
+     *
+     * @param {object} options Load options
+     * @param {string} options.mode Load mode, `empty` or `upsert`
+     * @param {boolean} options.update In `upsert` mode, update changed rows
+     * @param {string|string[]} options.env Fixture environment, default to `fixtureenv`
+     * @param {string|boolean} options.transactional Transaction scope, `all` or `model`
+     * @param {number} options.batch Insert batch size, default to 100
+     * @returns {Promise<object>} Resolved with inserted, updated, and skipped counts and error per model
+     */
+    loadFixtures(options = {}) {
+        return this.getFixture().load(options);
     }
 
     /**
@@ -328,44 +861,112 @@ class Manager {
      *
      * @param {Model} model Sequelize model
      * @param {object} values Row values
-     * @returns {Promise}
+     * @param {object} options Populate options, see `Fixture.populate()`
+     * @returns {Promise<object>}
      */
-    populateData(model, values) {
-        return new Promise((resolve, reject) => {
-            let n = values.length;
-            let i = 0, progress = 0;
-            const q = new Queue(values, value => {
-                const p = Math.floor(++i / n * 100);
-                if (p > progress) {
-                    progress = p;
-                    debug(`Populate data ${model.name} (${progress}%)`);
-                    if (typeof this.config.onpopulate === 'function') {
-                        this.config.onpopulate(model, progress);
-                    }
-                }
-                model.create(value)
-                    .then(() => q.next())
-                    .catch(err => reject(err));
-            });
-            q.once('done', () => resolve());
-        });
+    populateData(model, values, options = {}) {
+        return this.getFixture().populate(model, values, options);
+    }
+
+    /**
+     * Dump models rows into fixture directory so it can be loaded back using `loadFixtures()`.
+     *
+     * Example:
+     *
+     * ```
+     * await db.dumpFixtures({models: {User: {where: {Active: true}, exclude: ['Password']}}, limit: 100});
+     * ```
+     *
+     * @param {object} options Dump options
+     * @param {string[]|object} options.models Model names to dump, or an object of model name and its options
+     * @param {string} options.dir Output directory, default to fixture directory
+     * @param {string} options.env Fixture environment to dump into
+     * @param {object} options.where Where conditions
+     * @param {string[]} options.exclude Excluded attributes
+     * @param {number} options.limit Maximum rows
+     * @param {string} options.format Fixture format, `json`, `csv`, or `ndjson`, default to `json`
+     * @returns {Promise<object>}
+     */
+    dumpFixtures(options = {}) {
+        return this.getFixture().dump(options);
+    }
+
+    /**
+     * Get streaming data importer and exporter.
+     *
+     * @returns {DataStream}
+     */
+    getDataStream() {
+        if (!this.dataStream) {
+            this.dataStream = new DataStream(this);
+        }
+        return this.dataStream;
+    }
+
+    /**
+     * Import model rows from a CSV or NDJSON file.
+     *
+     * The file is read as a stream and inserted in chunks, so it can be as large as needed.
+     * Use `checkpoint` option to be able to resume a failed import by running it again.
+     *
+     * Example:
+     *
+     * ```
+     * await db.importData('User', 'users.csv', {columns: {'E-mail': 'Email'}, checkpoint: true});
+     * ```
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {string} file Source file
+     * @param {object} options Import options, see `DataStream.import()`
+     * @returns {Promise<object>}
+     */
+    importData(model, file, options = {}) {
+        return this.getDataStream().import(model, file, options);
+    }
+
+    /**
+     * Export model rows into a CSV or NDJSON file.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {string} file Target file
+     * @param {object} options Export options, see `DataStream.export()`
+     * @returns {Promise<object>}
+     */
+    exportData(model, file, options = {}) {
+        return this.getDataStream().export(model, file, options);
     }
 
     /**
      * Synchronize models.
      *
+     * With `alter` option, synchronization is refused if it would drop columns, and with
+     * `force` if it would drop existing tables, unless `allowDestructive` is set. With
+     * `dryRun` option, nothing is executed, instead it resolves with the SQL would be
+     * executed and the schema changes.
+     *
      * @param {boolean} force Force synchronization
+     * @param {object} options Synchronization options
+     * @param {boolean} options.alter Alter existing tables to match the models
+     * @param {boolean} options.dryRun Only collect the SQL
+     * @param {boolean} options.allowDestructive Allow dropping columns or tables
      * @returns {Promise}
      */
-    syncModels(force = false) {
-        return new Promise((resolve, reject) => {
-            const q = new Queue(this.db.models.getModelsTopoSortedByForeignKey(), model => {
-                this.syncModel(model, force)
-                    .then(() => q.next())
-                    .catch(err => reject(err));
-            });
-            q.once('done', () => resolve());
-        });
+    syncModels(force = false, options = {}) {
+        if (options.dryRun) {
+            return this.getSchema().dryRun(force, options);
+        }
+        this.syncs = [];
+        return Work.works([
+            [w => this.getSchema().check(force, options), w => (force || options.alter) && !options.allowDestructive],
+            [w => new Promise((resolve, reject) => {
+                const q = new Queue(this.db.models.getModelsTopoSortedByForeignKey(), model => {
+                    this.syncModel(model, force, options)
+                        .then(() => q.next())
+                        .catch(err => reject(err));
+                });
+                q.once('done', () => resolve());
+            })],
+        ]);
     }
 
     /**
@@ -373,9 +974,10 @@ class Manager {
      *
      * @param {Model} model Sequelize model
      * @param {*} force Force synchronization
+     * @param {object} options Synchronization options
      * @returns {Promise}
      */
-    syncModel(model, force = false) {
+    syncModel(model, force = false, options = {}) {
         if (!this.syncs) {
             this.syncs = [];
         }
@@ -383,21 +985,120 @@ class Manager {
             return Promise.resolve();
         } else {
             return Work.works([
-                [w => Promise.resolve(this.getModelReferences(model))],
+                // a self-referencing model doesn't need to wait for itself
+                [w => Promise.resolve(this.getModelReferences(model).filter(m => m !== model.name))],
                 [w => new Promise((resolve, reject) => {
                     const q = new Queue(w.res, m => {
-                        this.syncModel(this.db.models[m], force)
+                        this.syncModel(this.db.models[m], force, options)
                             .then(() => q.next())
                             .catch(err => reject(err));
                     });
                     q.once('done', () => resolve());
                 })],
-                [w => model.sync({force: force})],
+                [w => Promise.resolve(this.emit('beforeSync', model, options))],
+                [w => model.sync({force: force, alter: options.alter})],
+                [w => Promise.resolve(this.emit('afterSync', model, options))],
                 [w => Promise.resolve(this.syncs.push(model))],
             ]);
         }
     }
 
+    /**
+     * Get schema inspector.
+     *
+     * @returns {Schema}
+     */
+    getSchema() {
+        if (!this.schema) {
+            this.schema = new Schema(this);
+        }
+        return this.schema;
+    }
+
+    /**
+     * Compare loaded models against database tables.
+     *
+     * @param {object} options Diff options
+     * @param {boolean|string} options.migration Write the differences as a new migration, use string to name it
+     * @returns {Promise<object[]>} Resolved with the differences, see `Schema`
+     */
+    diffSchema(options = {}) {
+        return Work.works([
+            [w => this.getSchema().diff()],
+            [w => Promise.resolve(this.getSchema().writeMigration(w.getRes(0),
+                typeof options.migration === 'string' ? options.migration : undefined)), w => options.migration && w.getRes(0).length],
+            [w => Promise.resolve(w.getRes(0))],
+        ]);
+    }
+
+    /**
+     * Get migration handler.
+     *
+     * @returns {Migration}
+     */
+    getMigration() {
+        if (!this.migration) {
+            this.migration = new Migration(this);
+        }
+        return this.migration;
+    }
+
+    /**
+     * Apply pending migrations.
+     *
+     * @param {object} options Migrate options
+     * @param {string} options.to Stop after applying this migration
+     * @returns {Promise<string[]>} Resolved with applied migration names
+     */
+    migrate(options = {}) {
+        return this.getMigration().migrate(options);
+    }
+
+    /**
+     * Revert applied migrations.
+     *
+     * @param {number} steps Number of migrations to revert
+     * @returns {Promise<string[]>} Resolved with reverted migration names
+     */
+    rollback(steps = 1) {
+        return this.getMigration().rollback(steps);
+    }
+
+    /**
+     * Get migrations status.
+     *
+     * @returns {Promise<object[]>}
+     */
+    migrationStatus() {
+        return this.getMigration().status();
+    }
+
+    /**
+     * Validate model directories, reporting orphaned hooks, unknown models in data files,
+     * unknown fixture columns, extensions shadowing Sequelize methods, and references to
+     * tables without model.
+     *
+     * @returns {Promise<object>} Resolved with `errors`, `warnings`, and `valid`
+     */
+    validate() {
+        return new Validator(this).validate();
+    }
+
+    /**
+     * Export loaded models schema, see `Exporter`.
+     *
+     * @param {string} format Export format, `json-schema`, `mermaid`, or `dot`
+     * @param {object} options Export options
+     * @param {string[]} options.models Model names to export, default to all models
+     * @returns {object|string} JSON Schema object or diagram source
+     */
+    exportSchema(format = 'json-schema', options = {}) {
+        if (!this.exporter) {
+            this.exporter = new Exporter(this);
+        }
+        return this.exporter.export(format, options);
+    }
+
     /**
      * Get model references.
      *
@@ -409,16 +1110,9 @@ class Manager {
         const attributes = model.getAttributes();
         Object.keys(attributes).forEach(a => {
             const attr = attributes[a];
-            if (attr.references && attr.references.tableName) {
-                let m;
-                // model is a Model
-                if (attr.references.tableName instanceof Model) {
-                    m = attr.references.tableName;
-                }
-                // model is a tablename reference
-                if (typeof attr.references.tableName === 'string') {
-                    m = this.getModelFromTable(attr.references.tableName);
-                }
+            if (attr.references) {
+                const table = this.getReferencedTable(attr.references);
+                const m = table ? this.getModelFromTable(table) : null;
                 if (m && ref.indexOf(m.name) < 0) {
                     ref.push(m.name);
                 }
@@ -427,6 +1121,30 @@ class Manager {
         return ref;
     }
 
+    /**
+     * Get table name of attribute references.
+     *
+     * References is normalized by Sequelize as `table`, either a table name or
+     * table object, older definitions might use `tableName` or `model`.
+     *
+     * @param {object} references Attribute references
+     * @returns {string|undefined}
+     */
+    getReferencedTable(references) {
+        const table = references.table || references.tableName || references.model;
+        // model is a Model
+        if (typeof table === 'function' && table.prototype instanceof Model) {
+            return table.table.tableName;
+        }
+        // model is a tablename reference
+        if (typeof table === 'string') {
+            return table;
+        }
+        if (table && typeof table.tableName === 'string') {
+            return table.tableName;
+        }
+    }
+
     /**
      * Get model from table name.
      *
@@ -444,6 +1162,9 @@ class Manager {
     /**
      * Create model instance.
      *
+     * Nested values of associations are built as associated instances which are
+     * saved along with the instance by `saveInstance()`, see `Writer`.
+     *
      * @param {Model} model Sequelize model
      * @param {object|Array} values Model attributes values
      * @returns {object}
@@ -457,30 +1178,63 @@ class Manager {
     /**
      * Set model instance values.
      *
+     * String values are coerced according to attribute data type. Keys which are
+     * not attribute nor association are passed to callback, or reported as unknown.
+     * When a callback is given, association keys are passed to it too unless `nested`
+     * option is enabled.
+     *
      * @param {object} model Model instance
-     * @param {object} values Model values 
-     * @param {function} callback 
-     */
-    setValues(model, values, callback = null) {
-        const fields = model.constructor.getAttributes();
-        const fieldNames = Object.keys(fields);
-        // convert object to array
-        if (typeof values === 'object' && !Array.isArray(values)) {
-            const v = [];
-            Object.keys(values).forEach(k => {
-                v.push([k, values[k]]);
-            });
-            values = v;
-        }
-        if (values.length) {
-            values.forEach(value => {
-                if (fieldNames.indexOf(value[0]) >= 0) {
-                    model.set(value[0], value[1]);
-                } else if (typeof callback === 'function') {
-                    callback(value[0], value[1]);
-                }
-            });
+     * @param {object} values Model values
+     * @param {function} callback A callback to handle unknown keys
+     * @param {object} options Set options
+     * @param {boolean} options.nested Build associated instances, default to true without callback
+     * @returns {object} Issues with `unknown` keys and coercion `errors`
+     */
+    setValues(model, values, callback = null, options = {}) {
+        return this.getWriter().setValues(model, values, callback, options);
+    }
+
+    /**
+     * Validate and save model instance and its associated instances in a transaction.
+     *
+     * @param {Model|object} model Sequelize model to create a new instance or model instance
+     * @param {object|Array|null} values Model values
+     * @param {object} options Save options
+     * @param {Transaction} options.transaction Use this transaction instead of a new one
+     * @returns {Promise<object>} Resolved with `instance`, `saved`, `unknown`, and `errors`
+     */
+    saveInstance(model, values = null, options = {}) {
+        let instance = model;
+        if (typeof model === 'function') {
+            instance = this.createInstance(model, values || {});
+        } else if (values) {
+            this.setValues(instance, values);
+        }
+        return this.getWriter().save(instance, options);
+    }
+
+    /**
+     * Get model instance writer.
+     *
+     * @returns {Writer}
+     */
+    getWriter() {
+        if (!this.writer) {
+            this.writer = new Writer(this);
         }
+        return this.writer;
+    }
+
+    /**
+     * Get model instance factory.
+     *
+     * @returns {Factory}
+     */
+    getFactory() {
+        if (!this.factory) {
+            this.factory = new Factory(this);
+        }
+        return this.factory;
     }
 
     /**
@@ -490,13 +1244,18 @@ class Manager {
      * @param {object|null} query Where conditions
      * @param {boolean|null} raw Returns raw value
      * @param {function} optionsCallback A callback to call to transform options for findAll()
+     * @param {string} locale Locale passed to `toString()` to select string representation variant
      * @returns {object}
      */
-    async getValues(tableName, query = null, raw = null, optionsCallback = null) {
+    async getValues(tableName, query = null, raw = null, optionsCallback = null, locale = null) {
         const res = {};
         if (typeof raw === 'function') {
+            locale = optionsCallback;
             optionsCallback = raw;
             raw = null;
+        } else if (typeof raw === 'string') {
+            locale = raw;
+            raw = null;
         }
         if (tableName) {
             const model = this.getModelFromTable(tableName);
@@ -523,7 +1282,7 @@ class Manager {
                         if (raw) {
                             res[value[keyfield]] = value;
                         } else {
-                            res[value[keyfield]] = value.toString();
+                            res[value[keyfield]] = locale ? value.toString(locale) : value.toString();
                         }
                     });
                 }
@@ -532,6 +1291,55 @@ class Manager {
         return res;
     }
 
+    /**
+     * Lookup model rows with search and pagination, see `Lookup.lookup()`.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {object} options Lookup options
+     * @returns {Promise<object>}
+     */
+    lookup(model, options = {}) {
+        return this.getLookup().lookup(model, options);
+    }
+
+    /**
+     * Get model lookup.
+     *
+     * @returns {Lookup}
+     */
+    getLookup() {
+        if (!this.lookupProvider) {
+            this.lookupProvider = new Lookup(this);
+        }
+        return this.lookupProvider;
+    }
+
+    /**
+     * Create REST handler of loaded models, see `Rest`.
+     *
+     * @param {object} options REST options
+     * @returns {Rest}
+     */
+    createRest(options = {}) {
+        return new Rest(this, options);
+    }
+
+    /**
+     * Build model includes from dotted association paths or up to depth, see
+     * `IncludeBuilder.build()`.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string[]|object|null} paths Association paths or options keyed by path
+     * @param {object} options Build options
+     * @returns {object[]}
+     */
+    buildIncludes(model, paths = null, options = {}) {
+        if (!this.includeBuilder) {
+            this.includeBuilder = new IncludeBuilder(this);
+        }
+        return this.includeBuilder.build(model, paths, options);
+    }
+
     /**
      * Get model includes.
      *
@@ -570,6 +1378,42 @@ class Manager {
         return res;
     }
 
+    /**
+     * Get models of a `lifecycle.json` entry.
+     *
+     * @param {string[]|object} data Lifecycle entry
+     * @returns {object[]} Models with `model`, `config`, and `order`
+     */
+    static getLifecycleModels(data) {
+        const res = [];
+        if (Array.isArray(data)) {
+            data.forEach(model => res.push({model, config: {}, order: 0}));
+        } else if (data && typeof data === 'object') {
+            const { models, ...options } = data;
+            const items = Array.isArray(models) ? Object.fromEntries(models.map(model => [model, {}])) : models || {};
+            Object.keys(items).forEach(model => {
+                if (items[model] !== false) {
+                    const config = Object.assign({}, options, typeof items[model] === 'object' ? items[model] : {});
+                    const order = typeof config.order === 'number' ? config.order : 0;
+                    delete config.order;
+                    res.push({model, config, order});
+                }
+            });
+        }
+        return res;
+    }
+
+    /**
+     * Check if hook function is a model event handler.
+     *
+     * @param {object} handler Hook handler
+     * @param {string} event Function name
+     * @returns {boolean}
+     */
+    static isLifecycleEvent(handler, event) {
+        return typeof handler[event] === 'function' && /^(before|after)[A-Z]/.test(event);
+    }
+
     /**
      * Extend Sequelize model.
      *
@@ -579,14 +1423,40 @@ class Manager {
      * * `getFunctions()`: returns functions to be applied as model static function
      * * `getInstanceFunctions()`: returns functions to be applied as model instance function
      *
+     * Functions already defined by the model or previous extensions are chained, they
+     * are collected in `previous` once the extension is applied so an overriding
+     * function can call `previous.fn.call(this, ...args)`.
+     *
      * @param {Model} model Sequelize model
      * @param {object} data Extension
      * @param {extensionCallback|undefined} data.getAttributes
      * @param {extensionCallback|undefined} data.getFunctions
      * @param {extensionCallback|undefined} data.getInstanceFunctions
+     * @param {string} name Extension name used to report conflicts
+     * @returns {object[]} Functions already defined by other extensions
      */
-    static extend(model, data) {
+    static extend(model, data, name = 'anonymous') {
         let count = 0;
+        const conflicts = [];
+        if (!Object.prototype.hasOwnProperty.call(model, EXTENDED)) {
+            model[EXTENDED] = {static: Object.create(null), instance: Object.create(null)};
+        }
+        const chain = (type, target, functions, previous) => {
+            Object.keys(functions).forEach(fn => {
+                const owner = model[EXTENDED][type][fn];
+                if (owner !== undefined && owner !== name) {
+                    conflicts.push({model: model.name, type, fn, name, previous: owner});
+                }
+                if (typeof target[fn] === 'function') {
+                    previous[fn] = target[fn];
+                    if (type === 'instance') {
+                        target['__' + fn] = target[fn];
+                    }
+                }
+                target[fn] = functions[fn];
+                model[EXTENDED][type][fn] = name;
+            });
+        }
         if (typeof data.getAttributes === 'function') {
             const attributes = data.getAttributes(model);
             Object.keys(attributes).forEach(attr => {
@@ -595,25 +1465,19 @@ class Manager {
             count++;
         }
         if (typeof data.getFunctions === 'function') {
-            const staticFn = data.getFunctions(model);
-            Object.keys(staticFn).forEach(fn => {
-                model[fn] = staticFn[fn];
-            });
+            const previous = {};
+            chain('static', model, data.getFunctions(model, previous), previous);
             count++;
         }
         if (typeof data.getInstanceFunctions === 'function') {
-            const instanceFn = data.getInstanceFunctions(model);
-            Object.keys(instanceFn).forEach(fn => {
-                if (typeof model.prototype[fn] !== 'undefined') {
-                    model.prototype['__' + fn] = model.prototype[fn];
-                }
-                model.prototype[fn] = instanceFn[fn];
-            });
+            const previous = {};
+            chain('instance', model.prototype, data.getInstanceFunctions(model, previous), previous);
             count++;
         }
         if (count === 0) {
-            console.warn(`Not extending ${model.name}, may be missing getAttributes(), getFunctions(), or getInstanceFunctions()`);
+            debug(`Not extending ${model.name}, may be missing getAttributes(), getFunctions(), or getInstanceFunctions()`);
         }
+        return conflicts;
     }
 }
 
@@ -0,0 +1,257 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes } = require('@sequelize/core');
+
+/**
+ * Audit trail behavior, records versioned before and after values of created,
+ * updated, and destroyed rows into a history table. The history model is defined
+ * along with the model so its table is created by `syncModels()`.
+ *
+ * Options:
+ * * `model`: History model name, default to `<Model>History`
+ * * `table`: History table name, default to `<table>_history`
+ * * `fields`: Fields to track, default to all fields except timestamps
+ * * `exclude`: Fields not to track
+ *
+ * Bulk updates, destroys, and restores are performed row by row so each row is recorded.
+ *
+ * The following functions are added to the model:
+ * * `Model.getHistory(id, options)`: get history of a row
+ * * `instance.getHistory(options)`: get history of the row
+ */
+module.exports = {
+
+    /**
+     * Define history model.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} config Behavior options
+     * @param {Manager} manager Model manager
+     */
+    setup(model, config, manager) {
+        const json = field => ({
+            type: DataTypes.TEXT,
+            get() {
+                const value = this.getDataValue(field);
+                return typeof value === 'string' ? JSON.parse(value) : value;
+            },
+            set(value) {
+                this.setDataValue(field, value === null || value === undefined ? null : JSON.stringify(value));
+            }
+        });
+        const history = manager.db.define(config.model || `${model.name}History`, {
+            id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+            recordId: {type: DataTypes.STRING(100), allowNull: false},
+            version: {type: DataTypes.INTEGER, allowNull: false},
+            action: {type: DataTypes.STRING(10), allowNull: false},
+            before: json('before'),
+            after: json('after'),
+            changedAt: {type: DataTypes.DATE, allowNull: false},
+        }, {
+            tableName: config.table || `${model.table.tableName}_history`,
+            timestamps: false,
+            indexes: [{fields: ['recordId', 'version']}],
+        });
+        model.History = history;
+        manager.extendModel(model, {
+            getFunctions(model) {
+                return {
+                    getHistory(id, options = {}) {
+                        return history.findAll(Object.assign({}, options, {
+                            where: Object.assign({}, options.where, {recordId: String(id)}),
+                            order: [['version', 'ASC']],
+                        }));
+                    }
+                }
+            },
+            getInstanceFunctions(model) {
+                return {
+                    getHistory(options = {}) {
+                        return model.getHistory(module.exports.getRecordId(this), options);
+                    }
+                }
+            }
+        }, 'lifecycle:audit');
+    },
+
+    /**
+     * Record created row.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    afterCreate(instance, options, config) {
+        return this.record(instance, 'create', null, this.getValues(instance, config), options);
+    },
+
+    /**
+     * Record changed values of updated row.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    afterUpdate(instance, options, config) {
+        const fields = this.getFields(instance.constructor, config)
+            .filter(field => instance.changed(field));
+        if (!fields.length) {
+            return Promise.resolve();
+        }
+        const before = {}, after = {};
+        fields.forEach(field => {
+            before[field] = instance.previous(field);
+            after[field] = instance.get(field);
+        });
+        return this.record(instance, 'update', before, after, options);
+    },
+
+    /**
+     * Record destroyed row.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    afterDestroy(instance, options, config) {
+        return this.record(instance, 'destroy', this.getValues(instance, config), null, options);
+    },
+
+    /**
+     * Record restored row.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    afterRestore(instance, options, config) {
+        return this.record(instance, 'restore', null, this.getValues(instance, config), options);
+    },
+
+    /**
+     * Ensure bulk created rows are recorded.
+     *
+     * @param {Model[]} instances Model instances
+     * @param {object} options Sequelize options
+     */
+    beforeBulkCreate(instances, options) {
+        options.individualHooks = true;
+    },
+
+    /**
+     * Ensure bulk updated rows are recorded.
+     *
+     * @param {object} options Sequelize options
+     */
+    beforeBulkUpdate(options) {
+        options.individualHooks = true;
+    },
+
+    /**
+     * Ensure bulk destroyed rows are recorded.
+     *
+     * @param {object} options Sequelize options
+     */
+    beforeBulkDestroy(options) {
+        options.individualHooks = true;
+    },
+
+    /**
+     * Ensure bulk restored rows are recorded.
+     *
+     * @param {object} options Sequelize options
+     */
+    beforeBulkRestore(options) {
+        options.individualHooks = true;
+    },
+
+    /**
+     * Add history row.
+     *
+     * @param {Model} instance Model instance
+     * @param {string} action Action, `create`, `update`, `destroy`, or `restore`
+     * @param {object|null} before Values before changed
+     * @param {object|null} after Values after changed
+     * @param {object} options Sequelize options
+     * @returns {Promise}
+     */
+    record(instance, action, before, after, options) {
+        const history = instance.constructor.History;
+        const recordId = this.getRecordId(instance);
+        const transaction = options.transaction;
+        return history.max('version', {where: {recordId}, transaction})
+            .then(version => history.create({
+                recordId,
+                version: (version || 0) + 1,
+                action,
+                before,
+                after,
+                changedAt: new Date(),
+            }, {transaction}));
+    },
+
+    /**
+     * Get tracked fields.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} config Behavior options
+     * @returns {string[]}
+     */
+    getFields(model, config) {
+        const timestamps = Object.values(model.modelDefinition.timestampAttributeNames);
+        const fields = Array.isArray(config.fields) ? config.fields :
+            Object.keys(model.getAttributes()).filter(field => timestamps.indexOf(field) < 0);
+        return fields.filter(field => !Array.isArray(config.exclude) || config.exclude.indexOf(field) < 0);
+    },
+
+    /**
+     * Get tracked values.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} config Behavior options
+     * @returns {object}
+     */
+    getValues(instance, config) {
+        const res = {};
+        this.getFields(instance.constructor, config).forEach(field => {
+            res[field] = instance.get(field);
+        });
+        return res;
+    },
+
+    /**
+     * Get row identifier, composite primary key is joined with comma.
+     *
+     * @param {Model} instance Model instance
+     * @returns {string}
+     */
+    getRecordId(instance) {
+        return instance.constructor.primaryKeyAttributes.map(pk => instance.get(pk)).join(',');
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes, Op } = require('@sequelize/core');
+
+/**
+ * Sluggable behavior, generates URL friendly identifier from source fields.
+ *
+ * Options:
+ * * `source`: Source field or fields, mandatory
+ * * `field`: Slug field, default to `slug`, added to the model if not exist
+ * * `separator`: Word separator, default to `-`
+ * * `length`: Maximum slug length, default to `100`
+ * * `unique`: Append a number to make slug unique, default to `true`
+ * * `update`: Regenerate slug when source fields changed, default to `false`
+ *
+ * ```json
+ * {
+ *     "sluggable": {"models": {"Post": {"source": "Title", "field": "Slug"}}}
+ * }
+ * ```
+ */
+module.exports = {
+
+    /**
+     * Add slug field if not exist.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} config Behavior options
+     */
+    setup(model, config) {
+        if (!config.source) {
+            throw new Error(`Sluggable ${model.name} requires source option!`);
+        }
+        const field = this.getField(config);
+        if (!model.getAttributes()[field]) {
+            model.mergeAttributesDefault({[field]: {type: DataTypes.STRING(this.getLength(config))}});
+        }
+    },
+
+    /**
+     * Generate slug before row is validated.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    beforeValidate(instance, options, config) {
+        return this.sluggify(instance, options, config);
+    },
+
+    /**
+     * Generate slug for rows to be created in bulk, including slugs used in the
+     * same batch.
+     *
+     * @param {Model[]} instances Model instances
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @returns {Promise}
+     */
+    beforeBulkCreate(instances, options, config) {
+        const used = [];
+        return instances.reduce((p, instance) => p
+            .then(() => this.sluggify(instance, options, config, used))
+            .then(slug => slug && used.push(slug)), Promise.resolve());
+    },
+
+    /**
+     * Generate instance slug if needed.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @param {string[]} used Slugs already used
+     * @returns {Promise<string|undefined>}
+     */
+    sluggify(instance, options, config, used = []) {
+        const field = this.getField(config);
+        const sources = Array.isArray(config.source) ? config.source : [config.source];
+        const changed = config.update && !instance.isNewRecord && sources.some(source => instance.changed(source));
+        if (instance.get(field) && !changed) {
+            return Promise.resolve();
+        }
+        const slug = this.slugify(sources.map(source => instance.get(source)).filter(v => v !== null && v !== undefined).join(' '), config);
+        if (!slug) {
+            return Promise.resolve();
+        }
+        return this.getUniqueSlug(instance, slug, options, config, used)
+            .then(slug => {
+                instance.set(field, slug);
+                return slug;
+            });
+    },
+
+    /**
+     * Make slug unique by appending a number.
+     *
+     * @param {Model} instance Model instance
+     * @param {string} slug Slug
+     * @param {object} options Sequelize options
+     * @param {object} config Behavior options
+     * @param {string[]} used Slugs already used
+     * @returns {Promise<string>}
+     */
+    getUniqueSlug(instance, slug, options, config, used) {
+        if (config.unique === false) {
+            return Promise.resolve(slug);
+        }
+        const model = instance.constructor;
+        const field = this.getField(config);
+        const separator = this.getSeparator(config);
+        const f = (i, resolve, reject) => {
+            const suffix = i > 1 ? `${separator}${i}` : '';
+            const res = slug.substring(0, this.getLength(config) - suffix.length) + suffix;
+            if (used.indexOf(res) >= 0) {
+                return f(i + 1, resolve, reject);
+            }
+            const where = {[field]: res};
+            if (!instance.isNewRecord) {
+                model.primaryKeyAttributes.forEach(pk => {
+                    where[pk] = {[Op.ne]: instance.get(pk)};
+                });
+            }
+            model.count({where, paranoid: false, transaction: options.transaction})
+                .then(count => count ? f(i + 1, resolve, reject) : resolve(res))
+                .catch(err => reject(err));
+        }
+        return new Promise((resolve, reject) => f(1, resolve, reject));
+    },
+
+    /**
+     * Convert text to slug.
+     *
+     * @param {string} text Text
+     * @param {object} config Behavior options
+     * @returns {string}
+     */
+    slugify(text, config = {}) {
+        const separator = this.getSeparator(config);
+        let res = String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(s => s.length)
+            .join(separator)
+            .substring(0, this.getLength(config));
+        if (separator && res.endsWith(separator)) {
+            res = res.substring(0, res.length - separator.length);
+        }
+        return res;
+    },
+
+    /**
+     * Get slug field.
+     *
+     * @param {object} config Behavior options
+     * @returns {string}
+     */
+    getField(config) {
+        return config.field || 'slug';
+    },
+
+    /**
+     * Get slug word separator.
+     *
+     * @param {object} config Behavior options
+     * @returns {string}
+     */
+    getSeparator(config) {
+        return config.separator !== undefined ? config.separator : '-';
+    },
+
+    /**
+     * Get maximum slug length.
+     *
+     * @param {object} config Behavior options
+     * @returns {number}
+     */
+    getLength(config) {
+        return config.length || 100;
+    }
+}
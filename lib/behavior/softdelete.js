@@ -0,0 +1,93 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { Op } = require('@sequelize/core');
+
+/**
+ * Soft delete behavior, a destroyed row is marked as deleted instead of removed
+ * using Sequelize paranoid model.
+ *
+ * Options:
+ * * `column`: Deletion time column, default to `deletedAt`
+ *
+ * The following functions are added to the model:
+ * * `Model.withTrashed()`: scoped model which includes deleted rows
+ * * `Model.onlyTrashed()`: scoped model which only includes deleted rows
+ * * `Model.restore(options)`, `instance.restore()`: undelete rows (Sequelize)
+ * * `instance.isTrashed()`: check if row is deleted
+ */
+module.exports = {
+
+    /**
+     * Enable paranoid model.
+     *
+     * @param {object} options Model options
+     * @param {object} config Behavior options
+     */
+    handle(options, config) {
+        if (!options.timestamps) {
+            options.timestamps = true;
+            if (options.createdAt === undefined) {
+                options.createdAt = false;
+            }
+            if (options.updatedAt === undefined) {
+                options.updatedAt = false;
+            }
+        }
+        options.paranoid = true;
+        options.deletedAt = config.column || 'deletedAt';
+    },
+
+    /**
+     * Add trashed scopes and functions.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} config Behavior options
+     * @param {Manager} manager Model manager
+     */
+    setup(model, config, manager) {
+        const column = model.modelDefinition.timestampAttributeNames.deletedAt;
+        model.addScope('withTrashed', {paranoid: false});
+        model.addScope('onlyTrashed', {paranoid: false, where: {[column]: {[Op.ne]: null}}});
+        manager.extendModel(model, {
+            getFunctions(model) {
+                return {
+                    withTrashed() {
+                        return this.withScope('withTrashed');
+                    },
+                    onlyTrashed() {
+                        return this.withScope('onlyTrashed');
+                    }
+                }
+            },
+            getInstanceFunctions(model) {
+                return {
+                    isTrashed() {
+                        return this.get(column) !== null && this.get(column) !== undefined;
+                    }
+                }
+            }
+        }, 'lifecycle:softdelete');
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * Timestampable behavior, maintains creation and update time columns.
+ *
+ * Options:
+ * * `createdAt`: Creation time column, default to `createdAt`, `false` to disable
+ * * `updatedAt`: Update time column, default to `updatedAt`, `false` to disable
+ *
+ * ```json
+ * {
+ *     "timestampable": {"createdAt": "CreatedAt", "updatedAt": "UpdatedAt", "models": ["User"]}
+ * }
+ * ```
+ */
+module.exports = {
+
+    /**
+     * Enable model timestamps.
+     *
+     * @param {object} options Model options
+     * @param {object} config Behavior options
+     */
+    handle(options, config) {
+        options.timestamps = true;
+        options.createdAt = config.createdAt !== undefined ? config.createdAt : 'createdAt';
+        options.updatedAt = config.updatedAt !== undefined ? config.updatedAt : 'updatedAt';
+    }
+}
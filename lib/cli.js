@@ -0,0 +1,546 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Work = require('@ntlab/work/work');
+
+/**
+ * Command exit codes.
+ */
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_CHECK = 3;
+
+/**
+ * Config file names looked up in current directory.
+ */
+const CONFIG_FILES = ['sequelize-manager.config.js', 'sequelize-manager.config.json', 'sequelize-manager.json'];
+
+/**
+ * Command line interface.
+ *
+ * The config file contains the manager constructor options and Sequelize options
+ * under the `database` key, relative paths are resolved from the config file:
+ *
+ * ```json
+ * {
+ *     "modeldir": "./model",
+ *     "database": {
+ *         "dialect": "sqlite3",
+ *         "storage": "./data/mydb.sqlite"
+ *     }
+ * }
+ * ```
+ */
+class Cli {
+
+    commands = {
+        'sync': {
+            description: 'Synchronize models',
+            options: ['--force', '--alter', '--dry-run', '--allow-destructive'],
+            handler: (db, args) => this.doSync(db, args),
+        },
+        'fixtures:load': {
+            description: 'Load fixtures',
+            options: ['--mode=<empty|upsert>', '--update', '--env=<env>', '--transactional=<all|model>', '--batch=<n>'],
+            handler: (db, args) => this.doLoadFixtures(db, args),
+        },
+        'fixtures:dump': {
+            description: 'Dump models rows as fixtures',
+            options: ['--models=<Model,...>', '--env=<env>', '--dir=<dir>', '--exclude=<attr,...>', '--limit=<n>', '--format=<json|csv|ndjson>'],
+            handler: (db, args) => this.doDumpFixtures(db, args),
+        },
+        'data:import': {
+            description: 'Import model rows from CSV or NDJSON file',
+            options: ['<Model>', '<file>', '--format=<csv|ndjson>', '--batch=<n>', '--checkpoint', '--ignore-unknown'],
+            handler: (db, args) => this.doImportData(db, args),
+        },
+        'data:export': {
+            description: 'Export model rows to CSV or NDJSON file',
+            options: ['<Model>', '<file>', '--format=<csv|ndjson>', '--exclude=<attr,...>', '--limit=<n>'],
+            handler: (db, args) => this.doExportData(db, args),
+        },
+        'models:list': {
+            description: 'List loaded models and their features',
+            connect: false,
+            handler: (db, args) => this.doListModels(db, args),
+        },
+        'migrate': {
+            description: 'Apply pending migrations',
+            options: ['--to=<migration>'],
+            handler: (db, args) => db.migrate({to: args.to}),
+        },
+        'migrate:rollback': {
+            description: 'Revert applied migrations',
+            options: ['--steps=<n>'],
+            handler: (db, args) => db.rollback(args.steps ? parseInt(args.steps) : 1),
+        },
+        'migrate:status': {
+            description: 'Show migrations status',
+            handler: (db, args) => db.migrationStatus(),
+        },
+        'schema:diff': {
+            description: 'Compare models against database',
+            options: ['--migration=<name>'],
+            handler: (db, args) => db.diffSchema({migration: args.migration}),
+        },
+        'schema:export': {
+            description: 'Export models schema',
+            options: ['--format=<json-schema|mermaid|dot>', '--models=<names>', '--output=<file>'],
+            connect: false,
+            handler: (db, args) => this.doExportSchema(db, args),
+        },
+        'validate': {
+            description: 'Validate model directories',
+            connect: false,
+            handler: (db, args) => db.validate(),
+        },
+        'check': {
+            description: 'Check database connection and schema',
+            handler: (db, args) => this.doCheck(db, args),
+        },
+    }
+
+    /**
+     * Constructor.
+     *
+     * @param {object} options Options
+     * @param {object} options.stdout Output stream
+     * @param {object} options.stderr Error stream
+     */
+    constructor(options = {}) {
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+    }
+
+    /**
+     * Parse command line arguments.
+     *
+     * @param {string[]} argv Arguments
+     * @returns {object}
+     */
+    parse(argv) {
+        const res = {_: []};
+        argv.forEach(arg => {
+            if (arg.startsWith('--')) {
+                const [key, ...value] = arg.substr(2).split('=');
+                const name = key.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+                res[name] = value.length ? value.join('=') : true;
+            } else {
+                res._.push(arg);
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Load config file.
+     *
+     * @param {string|undefined} filename Config file name
+     * @returns {object}
+     */
+    loadConfig(filename) {
+        if (!filename) {
+            filename = CONFIG_FILES.find(f => fs.existsSync(path.resolve(f)));
+            if (!filename) {
+                throw new Error(`Config file not found, use --config or create one of ${CONFIG_FILES.join(', ')}!`);
+            }
+        }
+        filename = path.resolve(filename);
+        if (!fs.existsSync(filename)) {
+            throw new Error(`Config file ${filename} not found!`);
+        }
+        const config = Object.assign({}, filename.endsWith('.json') ? JSON.parse(fs.readFileSync(filename)) : require(filename));
+        const dir = path.dirname(filename);
+        Object.keys(config).forEach(k => {
+            if (k.endsWith('dir') && typeof config[k] === 'string') {
+                config[k] = path.resolve(dir, config[k]);
+            }
+        });
+        config.database = Object.assign({}, config.database);
+        if (typeof config.database.storage === 'string' && config.database.storage !== ':memory:') {
+            config.database.storage = path.resolve(dir, config.database.storage);
+        }
+        return config;
+    }
+
+    /**
+     * Run command.
+     *
+     * @param {string[]} argv Arguments
+     * @returns {Promise<number>} Resolved with exit code
+     */
+    run(argv) {
+        const args = this.parse(argv);
+        const name = args._[0];
+        const command = this.commands[name];
+        if (!command || args.help) {
+            this.usage();
+            return Promise.resolve(command || args.help ? EXIT_OK : EXIT_USAGE);
+        }
+        let db;
+        return Work.works([
+            [w => new Promise((resolve, reject) => resolve(this.loadConfig(args.config)))],
+            [w => new Promise((resolve, reject) => resolve(db = this.createManager(w.getRes(0))))],
+            [w => db.init(w.getRes(0).database)],
+            [w => db.connectDatabase(), w => command.connect !== false],
+            [w => command.handler(db, args)],
+            [w => Promise.resolve(this.output(args, w.getRes(4)))],
+        ], {
+            done: () => db && db.getSequelize() ? db.close() : Promise.resolve()
+        })
+        .catch(err => {
+            this.error(args, err);
+            return EXIT_ERROR;
+        });
+    }
+
+    /**
+     * Create manager.
+     *
+     * @param {object} config Config
+     * @returns {Manager}
+     */
+    createManager(config) {
+        const Manager = require('..');
+        return new Manager(config);
+    }
+
+    /**
+     * Synchronize models.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doSync(db, args) {
+        const options = {alter: args.alter, dryRun: args.dryRun, allowDestructive: args.allowDestructive};
+        return db.syncModels(args.force ? true : false, options)
+            .then(res => res || {synced: [...db.getSequelize().models].map(model => model.name)});
+    }
+
+    /**
+     * Load fixtures.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doLoadFixtures(db, args) {
+        const options = {};
+        ['mode', 'update', 'env', 'transactional'].forEach(k => {
+            if (args[k] !== undefined) {
+                options[k] = args[k];
+            }
+        });
+        if (args.batch !== undefined) {
+            options.batch = parseInt(args.batch);
+        }
+        return db.loadFixtures(options)
+            .then(res => {
+                const failed = Object.keys(res).filter(model => res[model].error);
+                if (failed.length) {
+                    const err = new Error(`Failed to load fixture of ${failed.join(', ')}!`);
+                    err.report = res;
+                    throw err;
+                }
+                return res;
+            });
+    }
+
+    /**
+     * Dump fixtures.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doDumpFixtures(db, args) {
+        const options = {};
+        if (typeof args.models === 'string') {
+            options.models = args.models.split(',');
+        }
+        if (typeof args.exclude === 'string') {
+            options.exclude = args.exclude.split(',');
+        }
+        if (args.limit !== undefined) {
+            options.limit = parseInt(args.limit);
+        }
+        ['env', 'dir', 'format'].forEach(k => {
+            if (typeof args[k] === 'string') {
+                options[k] = args[k];
+            }
+        });
+        return db.dumpFixtures(options);
+    }
+
+    /**
+     * Import model rows.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doImportData(db, args) {
+        const [, model, file] = args._;
+        if (!model || !file) {
+            return Promise.reject(new Error('Model and file to import are required!'));
+        }
+        const options = {checkpoint: args.checkpoint ? true : false, ignoreUnknown: args.ignoreUnknown ? true : false};
+        if (typeof args.format === 'string') {
+            options.format = args.format;
+        }
+        if (args.batch !== undefined) {
+            options.batch = parseInt(args.batch);
+        }
+        return db.importData(model, path.resolve(file), options);
+    }
+
+    /**
+     * Export model rows.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doExportData(db, args) {
+        const [, model, file] = args._;
+        if (!model || !file) {
+            return Promise.reject(new Error('Model and file to export are required!'));
+        }
+        const options = {};
+        if (typeof args.format === 'string') {
+            options.format = args.format;
+        }
+        if (typeof args.exclude === 'string') {
+            options.exclude = args.exclude.split(',');
+        }
+        if (args.limit !== undefined) {
+            options.limit = parseInt(args.limit);
+        }
+        return db.exportData(model, path.resolve(file), options);
+    }
+
+    /**
+     * List models.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object[]>}
+     */
+    doListModels(db, args) {
+        const res = [];
+        for (const model of db.getSequelize().models) {
+            res.push({
+                name: model.name,
+                table: model.table.tableName,
+                features: Object.keys(db.features[model.name] || {}),
+            });
+        }
+        return Promise.resolve(res);
+    }
+
+    /**
+     * Export models schema.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doExportSchema(db, args) {
+        return new Promise((resolve, reject) => {
+            const format = typeof args.format === 'string' ? args.format : 'json-schema';
+            const options = {};
+            if (typeof args.models === 'string') {
+                options.models = args.models.split(',');
+            }
+            const schema = db.exportSchema(format, options);
+            const res = {format, schema};
+            if (typeof args.output === 'string') {
+                res.file = path.resolve(args.output);
+                fs.writeFileSync(res.file, typeof schema === 'string' ? schema : JSON.stringify(schema, null, 2) + '\n');
+            }
+            resolve(res);
+        });
+    }
+
+    /**
+     * Check database connection and schema.
+     *
+     * @param {Manager} db Manager
+     * @param {object} args Arguments
+     * @returns {Promise<object>}
+     */
+    doCheck(db, args) {
+        return Work.works([
+            [w => db.diffSchema()],
+            [w => db.migrationStatus()],
+            [w => new Promise((resolve, reject) => {
+                const res = {
+                    connected: true,
+                    changes: w.getRes(0),
+                    pending: w.getRes(1).filter(m => !m.applied).map(m => m.name),
+                };
+                res.ok = res.changes.length === 0 && res.pending.length === 0;
+                resolve(res);
+            })],
+        ]);
+    }
+
+    /**
+     * Write command result.
+     *
+     * @param {object} args Arguments
+     * @param {any} res Result
+     * @returns {number} Exit code
+     */
+    output(args, res) {
+        if (args.json) {
+            this.stdout.write(JSON.stringify(res, null, 2) + '\n');
+        } else {
+            this.stdout.write(this.format(args._[0], res) + '\n');
+        }
+        if ((args._[0] === 'check' && !res.ok) || (args._[0] === 'validate' && !res.valid)) {
+            return EXIT_CHECK;
+        }
+        return EXIT_OK;
+    }
+
+    /**
+     * Format command result as text.
+     *
+     * @param {string} command Command name
+     * @param {any} res Result
+     * @returns {string}
+     */
+    format(command, res) {
+        const lines = [];
+        switch (command) {
+            case 'models:list':
+                res.forEach(m => lines.push(`${m.name} (${m.table}) [${m.features.join(', ')}]`));
+                break;
+            case 'fixtures:load':
+                Object.keys(res).forEach(m => lines.push(`${m}: ${res[m].inserted} inserted, ${res[m].updated} updated, ${res[m].skipped} skipped`));
+                break;
+            case 'fixtures:dump':
+                Object.keys(res).forEach(m => lines.push(`${m}: ${res[m].count} row(s) to ${res[m].file}`));
+                break;
+            case 'data:import':
+                lines.push(`Imported ${res.imported} of ${res.rows} row(s) from ${res.file}${res.resumed ? ` resuming after ${res.resumed} row(s)` : ''}`);
+                break;
+            case 'data:export':
+                lines.push(`Exported ${res.count} row(s) to ${res.file}`);
+                break;
+            case 'migrate':
+            case 'migrate:rollback':
+                lines.push(...(res.length ? res : ['Nothing to do']));
+                break;
+            case 'migrate:status':
+                res.forEach(m => lines.push(`[${m.applied ? 'X' : ' '}] ${m.name}${m.missing ? ' (missing)' : ''}`));
+                break;
+            case 'schema:diff':
+                res.forEach(c => lines.push(`${c.type} ${c.table}${c.name ? '.' + c.name : ''}${c.destructive ? ' (destructive)' : ''}`));
+                break;
+            case 'schema:export':
+                if (res.file) {
+                    lines.push(`Exported ${res.format} to ${res.file}`);
+                } else {
+                    lines.push(typeof res.schema === 'string' ? res.schema.trimEnd() : JSON.stringify(res.schema, null, 2));
+                }
+                break;
+            case 'sync':
+                if (res.sql) {
+                    lines.push(...res.sql);
+                } else {
+                    lines.push(`Synchronized ${res.synced.join(', ')}`);
+                }
+                break;
+            case 'validate':
+                res.errors.forEach(issue => lines.push(`ERROR: ${issue.message}`));
+                res.warnings.forEach(issue => lines.push(`WARNING: ${issue.message}`));
+                lines.push(res.valid ? 'Valid' : `${res.errors.length} error(s)`);
+                break;
+            case 'check':
+                lines.push(`Connection: OK`);
+                lines.push(`Schema: ${res.changes.length ? `${res.changes.length} difference(s)` : 'OK'}`);
+                lines.push(`Migrations: ${res.pending.length ? `${res.pending.length} pending` : 'OK'}`);
+                break;
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Write error.
+     *
+     * @param {object} args Arguments
+     * @param {Error} err Error
+     */
+    error(args, err) {
+        if (args.json) {
+            const res = {error: err.message};
+            if (err.report) {
+                res.report = {};
+                Object.keys(err.report).forEach(model => {
+                    res.report[model] = Object.assign({}, err.report[model]);
+                    if (res.report[model].error) {
+                        res.report[model].error = res.report[model].error.message;
+                    }
+                });
+            }
+            if (err.changes) {
+                res.changes = err.changes;
+            }
+            this.stdout.write(JSON.stringify(res, null, 2) + '\n');
+        } else {
+            this.stderr.write(`Error: ${err.message}\n`);
+        }
+    }
+
+    /**
+     * Show usage.
+     */
+    usage() {
+        const lines = [
+            'Usage: sequelize-manager <command> [options]',
+            '',
+            'Options:',
+            '  --config=<file>  Config file',
+            '  --json           Output as JSON',
+            '',
+            'Commands:',
+        ];
+        Object.keys(this.commands).forEach(name => {
+            const command = this.commands[name];
+            lines.push(`  ${name.padEnd(18)}${command.description}`);
+            if (command.options) {
+                lines.push(`${''.padEnd(20)}${command.options.join(' ')}`);
+            }
+        });
+        this.stdout.write(lines.join('\n') + '\n');
+    }
+}
+
+module.exports = Cli;
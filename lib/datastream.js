@@ -0,0 +1,590 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const debug = require('debug')('sequelize:manager:datastream');
+
+/**
+ * Supported formats keyed by file extension.
+ */
+const FORMATS = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+};
+
+/**
+ * CSV parser states.
+ */
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+/**
+ * Streaming import and export of model rows as CSV or NDJSON.
+ *
+ * Rows are read and written one by one so the file size doesn't matter. Imported
+ * rows are inserted in chunks, each chunk in its own transaction unless a
+ * transaction is passed. With `checkpoint` option, the number of committed rows
+ * is saved after each chunk so a failed import can be run again and continues
+ * after the last committed chunk.
+ *
+ * In CSV, the first line is the header, an empty unquoted field is null and a
+ * quoted empty field is an empty string. CSV values are coerced according to
+ * the attribute data type, see `Writer.coerce()`.
+ */
+class DataStream {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Get format of file.
+     *
+     * @param {string} file File name
+     * @param {string} format Explicit format
+     * @returns {string}
+     */
+    getFormat(file, format = null) {
+        const res = format || FORMATS[path.extname(file).toLowerCase()];
+        if (Object.values(FORMATS).indexOf(res) < 0) {
+            throw new Error(`Unsupported data format ${format || path.extname(file)}, use csv or ndjson!`);
+        }
+        return res;
+    }
+
+    /**
+     * Check if file is in a supported format.
+     *
+     * @param {string} file File name
+     * @returns {boolean}
+     */
+    static isSupported(file) {
+        return FORMATS[path.extname(file).toLowerCase()] !== undefined;
+    }
+
+    /**
+     * Get model from model, model name, or table name.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @returns {Model}
+     */
+    getModel(model) {
+        if (typeof model === 'string') {
+            for (const m of this.manager.db.models) {
+                if (m.name === model || m.table.tableName === model) {
+                    return m;
+                }
+            }
+            throw new Error(`Unknown model ${model}!`);
+        }
+        return model;
+    }
+
+    /**
+     * Import rows from file.
+     *
+     * The chunk handler receives items of `value` as mapped, `values` as prepared and
+     * coerced, and `line` as row number, and must resolve with the number of written
+     * rows. The default handler inserts the chunk using `bulkCreate()`.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {string} file Source file
+     * @param {object} options Import options
+     * @param {string} options.format Data format, `csv` or `ndjson`, default to file extension
+     * @param {string} options.delimiter CSV field delimiter, default to comma
+     * @param {object|function} options.columns Column to attribute mapping, or a function of column
+     *   which returns attribute, map to null to ignore the column
+     * @param {string[]} options.extras Columns accepted as is although not an attribute
+     * @param {boolean} options.ignoreUnknown Ignore columns which are not attribute instead of failing
+     * @param {number} options.batch Chunk size, default to 500
+     * @param {boolean|string} options.checkpoint Save progress to resume a failed import, use string
+     *   to set checkpoint file name, default to `<file>.checkpoint`
+     * @param {Transaction} options.transaction Use this transaction for all chunks
+     * @param {function} options.prepare A function of row values which returns prepared values or its `Promise`
+     * @param {function} options.handler Chunk handler, a function of items and transaction which returns `Promise`
+     * @param {function} options.isReferencing A function of mapped values and pending items, returns true
+     *   to write the pending items before the row
+     * @param {function} options.onprogress A function of model and progress in percent, default to
+     *   emitting `importProgress`
+     * @returns {Promise<object>} Resolved with `file`, `format`, `rows` read, `imported` rows, and `resumed` row count
+     */
+    async import(model, file, options = {}) {
+        model = this.getModel(model);
+        const format = this.getFormat(file, options.format);
+        const batch = options.batch || 500;
+        const checkpoint = options.checkpoint ? (typeof options.checkpoint === 'string' ? options.checkpoint : `${file}.checkpoint`) : null;
+        const stat = fs.statSync(file);
+        const res = {file, format, rows: 0, imported: 0, resumed: 0};
+        if (checkpoint && fs.existsSync(checkpoint)) {
+            const state = JSON.parse(fs.readFileSync(checkpoint));
+            if (state.size !== stat.size || state.mtime !== stat.mtimeMs) {
+                throw new Error(`Checkpoint ${checkpoint} doesn't match ${file}, remove it to import from the beginning!`);
+            }
+            res.resumed = state.rows;
+            debug(`Resume import ${model.name} from ${file} after ${state.rows} row(s)`);
+        }
+        const onprogress = typeof options.onprogress === 'function' ? options.onprogress :
+            (m, progress) => this.manager.emit('importProgress', m, progress);
+        const handler = typeof options.handler === 'function' ? options.handler : (items, transaction) => this.insert(model, items, transaction);
+        const mapper = this.getMapper(model, options);
+        const reader = this.createReader(file, format, options.delimiter);
+        let items = [];
+        let progress = 0;
+        const flush = async () => {
+            const chunk = items;
+            items = [];
+            const t = options.transaction ? null : await this.manager.db.startUnmanagedTransaction();
+            try {
+                res.imported += await handler(chunk, options.transaction || t);
+                if (t) {
+                    await t.commit();
+                }
+            }
+            catch (err) {
+                if (t) {
+                    await t.rollback().catch(() => null);
+                }
+                throw err;
+            }
+            if (checkpoint) {
+                // the current row might not be in the chunk when it's flushed early
+                fs.writeFileSync(checkpoint, JSON.stringify({size: stat.size, mtime: stat.mtimeMs, rows: chunk[chunk.length - 1].line}));
+            }
+        }
+        try {
+            for await (const row of reader.rows) {
+                res.rows++;
+                if (res.rows > res.resumed) {
+                    const value = mapper(row);
+                    if (items.length && typeof options.isReferencing === 'function' && options.isReferencing(value, items)) {
+                        await flush();
+                    }
+                    let values = value;
+                    if (typeof options.prepare === 'function') {
+                        values = await options.prepare(Object.assign({}, value), res.rows);
+                    }
+                    if (format === 'csv') {
+                        values = this.coerce(model, values, res.rows);
+                    }
+                    items.push({value, values, line: res.rows});
+                    if (items.length >= batch) {
+                        await flush();
+                    }
+                }
+                const p = stat.size ? Math.floor(reader.bytesRead() / stat.size * 100) : 100;
+                if (p > progress) {
+                    progress = p;
+                    onprogress(model, progress);
+                }
+            }
+            if (items.length) {
+                await flush();
+            }
+        }
+        finally {
+            reader.close();
+        }
+        if (progress < 100) {
+            onprogress(model, 100);
+        }
+        if (checkpoint && fs.existsSync(checkpoint)) {
+            fs.unlinkSync(checkpoint);
+        }
+        debug(`Imported ${res.imported} row(s) of ${model.name} from ${file}`);
+        return res;
+    }
+
+    /**
+     * Insert chunk using `bulkCreate()`.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object[]} items Chunk items
+     * @param {Transaction} transaction Sequelize transaction
+     * @returns {Promise<number>}
+     */
+    async insert(model, items, transaction) {
+        const individualHooks = model.hooks.hasListeners('beforeCreate') || model.hooks.hasListeners('afterCreate');
+        const rows = await model.bulkCreate(items.map(item => item.values), {transaction, validate: true, individualHooks});
+        return rows.length;
+    }
+
+    /**
+     * Get a function to map read row into attribute values.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} options Import options
+     * @returns {function}
+     */
+    getMapper(model, options) {
+        const attributes = model.getAttributes();
+        const extras = Array.isArray(options.extras) ? options.extras : [];
+        const columns = options.columns;
+        const mapping = {};
+        const getAttribute = column => {
+            if (mapping[column] === undefined) {
+                let attr = column;
+                if (typeof columns === 'function') {
+                    attr = columns(column);
+                } else if (columns && typeof columns === 'object' && Object.prototype.hasOwnProperty.call(columns, column)) {
+                    attr = columns[column];
+                }
+                if (attr !== null && attr !== undefined && !attributes[attr] && extras.indexOf(attr) < 0) {
+                    if (!options.ignoreUnknown) {
+                        throw new Error(`Column ${column} is not an attribute of ${model.name}!`);
+                    }
+                    attr = null;
+                }
+                mapping[column] = attr === undefined ? null : attr;
+            }
+            return mapping[column];
+        }
+        return row => {
+            const res = {};
+            Object.keys(row).forEach(column => {
+                const attr = getAttribute(column);
+                if (attr !== null) {
+                    res[attr] = row[column];
+                }
+            });
+            return res;
+        }
+    }
+
+    /**
+     * Coerce CSV string values.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} values Row values
+     * @param {number} line Row number
+     * @returns {object}
+     */
+    coerce(model, values, line) {
+        const attributes = model.getAttributes();
+        const writer = this.manager.getWriter();
+        Object.keys(values).forEach(attr => {
+            if (attributes[attr]) {
+                try {
+                    values[attr] = writer.coerce(attributes[attr], values[attr]);
+                }
+                catch (err) {
+                    throw new Error(`Row ${line} ${model.name}.${attr}: ${err.message}!`);
+                }
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Create row reader of file.
+     *
+     * @param {string} file Source file
+     * @param {string} format Data format
+     * @param {string} delimiter CSV field delimiter
+     * @returns {object} Reader with `rows` async iterator, `bytesRead()`, and `close()`
+     */
+    createReader(file, format, delimiter = ',') {
+        const stream = fs.createReadStream(file, {encoding: 'utf8'});
+        return {
+            rows: format === 'csv' ? this.readCsv(stream, delimiter || ',') : this.readNdjson(stream),
+            bytesRead: () => stream.bytesRead,
+            close: () => stream.destroy(),
+        };
+    }
+
+    /**
+     * Read NDJSON rows, blank lines are skipped.
+     *
+     * @param {ReadStream} stream Source stream
+     * @returns {AsyncGenerator<object>}
+     */
+    async *readNdjson(stream) {
+        const rl = readline.createInterface({input: stream, crlfDelay: Infinity});
+        let line = 0;
+        for await (const s of rl) {
+            line++;
+            if (!s.trim().length) {
+                continue;
+            }
+            let row;
+            try {
+                row = JSON.parse(s);
+            }
+            catch (err) {
+                throw new Error(`Line ${line} is not a valid JSON: ${err.message}!`);
+            }
+            if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+                throw new Error(`Line ${line} is not an object!`);
+            }
+            yield row;
+        }
+    }
+
+    /**
+     * Read CSV rows keyed by header.
+     *
+     * @param {ReadStream} stream Source stream
+     * @param {string} delimiter Field delimiter
+     * @returns {AsyncGenerator<object>}
+     */
+    async *readCsv(stream, delimiter = ',') {
+        let header;
+        for await (const fields of this.parseCsv(stream, delimiter)) {
+            if (!header) {
+                header = fields.map(field => field || '');
+                continue;
+            }
+            const row = {};
+            header.forEach((column, i) => {
+                if (column.length) {
+                    row[column] = fields[i] !== undefined ? fields[i] : null;
+                }
+            });
+            yield row;
+        }
+    }
+
+    /**
+     * Parse CSV records, quoted fields may contain delimiters, quotes, and line breaks.
+     *
+     * @param {ReadStream} stream Source stream
+     * @param {string} delimiter Field delimiter
+     * @returns {AsyncGenerator<Array>}
+     */
+    async *parseCsv(stream, delimiter = ',') {
+        let state = FIELD_START, field = '', quoted = false, fields = [], first = true;
+        const push = () => {
+            fields.push(quoted ? field : (field.length ? field : null));
+            field = '';
+            quoted = false;
+            state = FIELD_START;
+        }
+        const end = () => {
+            push();
+            const res = fields;
+            fields = [];
+            // skip blank line
+            return res.length === 1 && res[0] === null ? null : res;
+        }
+        for await (let chunk of stream) {
+            if (first) {
+                chunk = chunk.replace(/^\uFEFF/, '');
+                first = false;
+            }
+            const records = [];
+            for (const c of chunk) {
+                switch (state) {
+                    case QUOTED:
+                        if (c === '"') {
+                            state = QUOTE_IN_QUOTED;
+                        } else {
+                            field += c;
+                        }
+                        break;
+                    case QUOTE_IN_QUOTED:
+                        if (c === '"') {
+                            field += c;
+                            state = QUOTED;
+                            break;
+                        }
+                        // falls through
+                    default:
+                        if (c === delimiter) {
+                            push();
+                        } else if (c === '\n') {
+                            const record = end();
+                            if (record) {
+                                records.push(record);
+                            }
+                        } else if (c === '"' && state === FIELD_START) {
+                            quoted = true;
+                            state = QUOTED;
+                        } else if (c !== '\r') {
+                            field += c;
+                            state = UNQUOTED;
+                        }
+                        break;
+                }
+            }
+            yield* records;
+        }
+        if (state !== FIELD_START || fields.length || field.length) {
+            const record = end();
+            if (record) {
+                yield record;
+            }
+        }
+    }
+
+    /**
+     * Export model rows into file.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {string} file Target file
+     * @param {object} options Export options
+     * @param {string} options.format Data format, `csv` or `ndjson`, default to file extension
+     * @param {string} options.delimiter CSV field delimiter, default to comma
+     * @param {string[]|object} options.columns Attributes to export, or attribute to column mapping
+     * @param {string[]} options.exclude Excluded attributes
+     * @param {object} options.where Where conditions
+     * @param {number} options.limit Maximum rows
+     * @param {number} options.batch Rows fetched at once, default to 1000
+     * @param {function} options.transform A function of row values which returns values to write
+     * @param {function} options.onprogress A function of model and progress in percent, default to
+     *   emitting `exportProgress`
+     * @returns {Promise<object>} Resolved with `file`, `format`, and `count`
+     */
+    async export(model, file, options = {}) {
+        model = this.getModel(model);
+        const format = this.getFormat(file, options.format);
+        const batch = options.batch || 1000;
+        const delimiter = options.delimiter || ',';
+        const exclude = Array.isArray(options.exclude) ? options.exclude : [];
+        let attributes = Object.keys(model.getAttributes());
+        let headers = {};
+        if (Array.isArray(options.columns)) {
+            attributes = options.columns;
+        } else if (options.columns && typeof options.columns === 'object') {
+            attributes = Object.keys(options.columns);
+            headers = options.columns;
+        }
+        attributes = attributes.filter(attr => exclude.indexOf(attr) < 0);
+        attributes.forEach(attr => {
+            if (!model.getAttributes()[attr]) {
+                throw new Error(`Unable to export unknown attribute ${model.name}.${attr}!`);
+            }
+        });
+        const columns = attributes.map(attr => headers[attr] || attr);
+        const onprogress = typeof options.onprogress === 'function' ? options.onprogress :
+            (m, progress) => this.manager.emit('exportProgress', m, progress);
+        const where = options.where || {};
+        const total = Math.min(await model.count({where}), options.limit || Infinity);
+        const order = model.primaryKeyAttributes.map(attr => [attr, 'ASC']);
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, {recursive: true});
+        }
+        const stream = fs.createWriteStream(file, {encoding: 'utf8'});
+        let opened = false;
+        stream.once('open', () => {
+            opened = true;
+        });
+        // stream error rejects whatever is waiting for the stream
+        const failed = new Promise((resolve, reject) => stream.once('error', reject));
+        failed.catch(() => null);
+        const wait = fn => Promise.race([failed, new Promise(fn)]);
+        const write = s => wait(resolve => {
+            if (stream.write(s)) {
+                resolve();
+            } else {
+                stream.once('drain', resolve);
+            }
+        });
+        const res = {file, format, count: 0};
+        let progress = 0;
+        try {
+            if (format === 'csv') {
+                await write(columns.map(column => this.toCsvValue(column, delimiter)).join(delimiter) + '\n');
+            }
+            while (res.count < total) {
+                const rows = await model.findAll({attributes, where, order, offset: res.count, limit: Math.min(batch, total - res.count)});
+                if (!rows.length) {
+                    break;
+                }
+                for (const row of rows) {
+                    let values = row.get({plain: true});
+                    if (typeof options.transform === 'function') {
+                        values = options.transform(values);
+                    }
+                    if (format === 'csv') {
+                        await write(attributes.map(attr => this.toCsvValue(values[attr], delimiter)).join(delimiter) + '\n');
+                    } else {
+                        const data = {};
+                        attributes.forEach((attr, i) => {
+                            if (values[attr] !== undefined) {
+                                data[columns[i]] = values[attr];
+                            }
+                        });
+                        await write(JSON.stringify(data) + '\n');
+                    }
+                    res.count++;
+                }
+                const p = Math.floor(res.count / total * 100);
+                if (p > progress) {
+                    progress = p;
+                    onprogress(model, progress);
+                }
+            }
+            await wait(resolve => stream.end(resolve));
+        }
+        catch (err) {
+            stream.destroy();
+            // remove partially written file
+            const stat = opened ? await fs.promises.stat(file).catch(() => null) : null;
+            if (stat && stat.isFile()) {
+                await fs.promises.unlink(file).catch(() => null);
+            }
+            throw err;
+        }
+        debug(`Exported ${res.count} row(s) of ${model.name} to ${file}`);
+        return res;
+    }
+
+    /**
+     * Convert value to CSV field.
+     *
+     * @param {any} value The value
+     * @param {string} delimiter Field delimiter
+     * @returns {string}
+     */
+    toCsvValue(value, delimiter = ',') {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (value instanceof Date) {
+            value = value.toISOString();
+        } else if (Buffer.isBuffer(value)) {
+            value = value.toString('base64');
+        } else if (typeof value === 'object') {
+            value = JSON.stringify(value);
+        } else {
+            value = String(value);
+        }
+        if (value === '' || value.includes(delimiter) || /["\r\n]/.test(value) || value.trim() !== value) {
+            return `"${value.replace(/"/g, '""')}"`;
+        }
+        return value;
+    }
+}
+
+module.exports = DataStream;
@@ -0,0 +1,382 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes } = require('@sequelize/core');
+
+/**
+ * JSON Schema dialect.
+ */
+const JSON_SCHEMA = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Loaded models schema exporter.
+ *
+ * Supported formats:
+ *
+ * * `json-schema`: JSON Schema of each model, `<Model>` describes a row, `<Model>Create`
+ *   the values to create a row, and `<Model>Update` the values to update a row
+ * * `mermaid`: Mermaid `erDiagram` of tables, keys, and relations
+ * * `dot`: Graphviz DOT of tables, keys, and relations
+ */
+class Exporter {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Export schema.
+     *
+     * @param {string} format Export format, `json-schema`, `mermaid`, or `dot`
+     * @param {object} options Export options
+     * @param {string[]} options.models Model names to export, default to all models
+     * @returns {object|string}
+     */
+    export(format, options = {}) {
+        const models = this.getModels(options.models);
+        switch (format) {
+            case 'json-schema':
+                return this.toJsonSchema(models);
+            case 'mermaid':
+                return this.toMermaid(models);
+            case 'dot':
+                return this.toDot(models);
+        }
+        throw new Error(`Unsupported schema export format ${format}!`);
+    }
+
+    /**
+     * Get models to export.
+     *
+     * @param {string[]|undefined} names Model names
+     * @returns {Model[]}
+     */
+    getModels(names) {
+        const models = [...this.manager.db.models].sort((a, b) => a.name.localeCompare(b.name));
+        if (Array.isArray(names) && names.length) {
+            names.forEach(name => {
+                if (!models.find(model => model.name === name)) {
+                    throw new Error(`Unable to export unknown model ${name}!`);
+                }
+            });
+            return models.filter(model => names.indexOf(model.name) >= 0);
+        }
+        return models;
+    }
+
+    /**
+     * Export models as JSON Schema.
+     *
+     * @param {Model[]} models Sequelize models
+     * @returns {object}
+     */
+    toJsonSchema(models) {
+        const res = {$schema: JSON_SCHEMA, $defs: {}};
+        models.forEach(model => {
+            res.$defs[model.name] = this.getJsonSchema(model, 'row');
+            res.$defs[`${model.name}Create`] = this.getJsonSchema(model, 'create');
+            res.$defs[`${model.name}Update`] = this.getJsonSchema(model, 'update');
+        });
+        return res;
+    }
+
+    /**
+     * Get JSON Schema of model.
+     *
+     * Generated values such as auto increment primary key and timestamps are only
+     * described in `row` variant. In `create` variant, attributes which can't be
+     * null and have no default value are required. Nothing is required in `update`
+     * variant.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} variant Schema variant, `row`, `create`, or `update`
+     * @returns {object}
+     */
+    getJsonSchema(model, variant) {
+        const res = {type: 'object', title: model.name, properties: {}, additionalProperties: false};
+        const required = [];
+        const attributes = model.getAttributes();
+        const timestamps = Object.values(model.modelDefinition.timestampAttributeNames);
+        Object.keys(attributes).forEach(name => {
+            const attr = attributes[name];
+            if (attr.type instanceof DataTypes.VIRTUAL) {
+                return;
+            }
+            if (variant !== 'row' && (attr.autoIncrement || timestamps.indexOf(name) >= 0)) {
+                return;
+            }
+            res.properties[name] = this.getJsonType(attr);
+            if ((variant === 'row' || (variant === 'create' && attr.defaultValue === undefined)) && attr.allowNull === false) {
+                required.push(name);
+            }
+            if (variant === 'row' && attr.primaryKey && required.indexOf(name) < 0) {
+                required.push(name);
+            }
+        });
+        if (required.length) {
+            res.required = required;
+        }
+        return res;
+    }
+
+    /**
+     * Get JSON Schema of attribute.
+     *
+     * @param {object} attr Model attribute
+     * @returns {object}
+     */
+    getJsonType(attr) {
+        const res = this.getJsonDataType(attr.type);
+        const validate = attr.validate || {};
+        if (validate.isEmail) {
+            res.format = 'email';
+        }
+        if (validate.isUrl) {
+            res.format = 'uri';
+        }
+        const len = Array.isArray(validate.len) ? validate.len : (validate.len && validate.len.args);
+        if (Array.isArray(len)) {
+            res.minLength = len[0];
+            if (len[1] !== undefined) {
+                res.maxLength = len[1];
+            }
+        }
+        ['min', 'max'].forEach(k => {
+            const v = validate[k] !== null && typeof validate[k] === 'object' ? validate[k].args : validate[k];
+            if (typeof v === 'number') {
+                res[k === 'min' ? 'minimum' : 'maximum'] = v;
+            }
+        });
+        const isIn = Array.isArray(validate.isIn) ? validate.isIn : (validate.isIn && validate.isIn.args);
+        if (Array.isArray(isIn) && Array.isArray(isIn[0])) {
+            res.enum = isIn[0];
+        }
+        if (attr.comment) {
+            res.description = attr.comment;
+        }
+        if (attr.defaultValue !== undefined && typeof attr.defaultValue !== 'function' &&
+            (attr.defaultValue === null || typeof attr.defaultValue !== 'object')) {
+            res.default = attr.defaultValue;
+        }
+        if (attr.allowNull !== false && !attr.primaryKey) {
+            if (res.enum) {
+                res.enum = [...res.enum, null];
+            }
+            if (res.type) {
+                res.type = [res.type, 'null'];
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Get JSON Schema of data type.
+     *
+     * @param {DataType} type Sequelize data type
+     * @returns {object}
+     */
+    getJsonDataType(type) {
+        const is = (...types) => types.some(t => type instanceof t);
+        const options = type.options || {};
+        if (is(DataTypes.INTEGER, DataTypes.BIGINT, DataTypes.SMALLINT, DataTypes.TINYINT, DataTypes.MEDIUMINT)) {
+            return {type: 'integer'};
+        }
+        if (is(DataTypes.FLOAT, DataTypes.DOUBLE, DataTypes.REAL, DataTypes.DECIMAL)) {
+            return {type: 'number'};
+        }
+        if (is(DataTypes.BOOLEAN)) {
+            return {type: 'boolean'};
+        }
+        if (is(DataTypes.ENUM)) {
+            return {type: 'string', enum: [...(options.values || [])]};
+        }
+        if (is(DataTypes.STRING, DataTypes.CHAR)) {
+            return options.length ? {type: 'string', maxLength: options.length} : {type: 'string'};
+        }
+        if (is(DataTypes.TEXT, DataTypes.CITEXT)) {
+            return {type: 'string'};
+        }
+        if (is(DataTypes.DATEONLY)) {
+            return {type: 'string', format: 'date'};
+        }
+        if (is(DataTypes.DATE)) {
+            return {type: 'string', format: 'date-time'};
+        }
+        if (is(DataTypes.TIME)) {
+            return {type: 'string', format: 'time'};
+        }
+        if (is(DataTypes.UUID)) {
+            return {type: 'string', format: 'uuid'};
+        }
+        if (is(DataTypes.BLOB)) {
+            return {type: 'string', contentEncoding: 'base64'};
+        }
+        if (is(DataTypes.ARRAY)) {
+            return {type: 'array', items: options.type ? this.getJsonDataType(options.type) : {}};
+        }
+        return {};
+    }
+
+    /**
+     * Get table columns with keys.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {object[]} Columns with `name`, `type`, `pk`, `fk`, `unique`, and `references`
+     */
+    getColumns(model) {
+        const res = [];
+        // unique attribute is moved to model indexes once the model is defined
+        const uniques = model.getIndexes()
+            .filter(index => index.unique && Array.isArray(index.fields) && index.fields.length === 1)
+            .map(index => typeof index.fields[0] === 'string' ? index.fields[0] : index.fields[0].name);
+        for (const [name, attr] of model.modelDefinition.columns) {
+            const column = {
+                name,
+                type: this.getColumnType(attr.type),
+                pk: attr.primaryKey ? true : false,
+                fk: attr.references ? true : false,
+                unique: attr.unique || uniques.indexOf(attr.columnName) >= 0 ? true : false,
+                allowNull: attr.allowNull !== false && !attr.primaryKey,
+            };
+            if (attr.references) {
+                column.references = this.manager.getReferencedTable(attr.references);
+            }
+            res.push(column);
+        }
+        return res;
+    }
+
+    /**
+     * Get column type for diagram.
+     *
+     * @param {DataType} type Sequelize data type
+     * @returns {string}
+     */
+    getColumnType(type) {
+        let res = type.constructor.name;
+        const options = type.options || {};
+        if (options.length) {
+            res += `(${options.length})`;
+        } else if (options.precision) {
+            res += options.scale !== undefined ? `(${options.precision},${options.scale})` : `(${options.precision})`;
+        }
+        return res;
+    }
+
+    /**
+     * Get relations from foreign keys.
+     *
+     * @param {Model[]} models Sequelize models
+     * @returns {object[]} Relations with `from`, `to`, `column`, `optional`, and `unique`
+     */
+    getRelations(models) {
+        const tables = models.map(model => model.table.tableName);
+        const res = [];
+        models.forEach(model => {
+            this.getColumns(model)
+                .filter(column => column.references && tables.indexOf(column.references) >= 0)
+                .forEach(column => res.push({
+                    from: model.table.tableName,
+                    to: column.references,
+                    column: column.name,
+                    optional: column.allowNull,
+                    unique: column.unique,
+                }));
+        });
+        return res;
+    }
+
+    /**
+     * Export models as Mermaid ER diagram.
+     *
+     * @param {Model[]} models Sequelize models
+     * @returns {string}
+     */
+    toMermaid(models) {
+        const id = name => /^[A-Za-z_][A-Za-z0-9_-]*$/.test(name) ? name : `"${name.replace(/"/g, '')}"`;
+        const lines = ['erDiagram'];
+        models.forEach(model => {
+            lines.push(`    ${id(model.table.tableName)} {`);
+            this.getColumns(model).forEach(column => {
+                const keys = [];
+                if (column.pk) {
+                    keys.push('PK');
+                }
+                if (column.fk) {
+                    keys.push('FK');
+                }
+                if (column.unique) {
+                    keys.push('UK');
+                }
+                lines.push(`        ${column.type.replace(/,/g, '-')} ${column.name}${keys.length ? ' ' + keys.join(', ') : ''}`);
+            });
+            lines.push('    }');
+        });
+        this.getRelations(models).forEach(relation => {
+            const parent = relation.optional ? '|o' : '||';
+            const child = relation.unique ? 'o|' : 'o{';
+            lines.push(`    ${id(relation.to)} ${parent}--${child} ${id(relation.from)} : "${relation.column}"`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Export models as Graphviz DOT.
+     *
+     * @param {Model[]} models Sequelize models
+     * @returns {string}
+     */
+    toDot(models) {
+        const quote = s => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const html = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const lines = [
+            'digraph schema {',
+            '    rankdir=LR;',
+            '    node [shape=plaintext];',
+        ];
+        models.forEach(model => {
+            const table = model.table.tableName;
+            const rows = [`<TR><TD BGCOLOR="lightgrey" COLSPAN="2"><B>${html(table)}</B></TD></TR>`];
+            this.getColumns(model).forEach(column => {
+                const keys = [column.pk ? 'PK' : null, column.fk ? 'FK' : null, column.unique ? 'UK' : null].filter(k => k);
+                const name = column.pk ? `<U>${html(column.name)}</U>` : html(column.name);
+                rows.push(`<TR><TD ALIGN="LEFT" PORT="${html(column.name)}">${name}${keys.length ? ` (${keys.join(', ')})` : ''}</TD>` +
+                    `<TD ALIGN="LEFT">${html(column.type)}</TD></TR>`);
+            });
+            lines.push(`    ${quote(table)} [label=<<TABLE BORDER="0" CELLBORDER="1" CELLSPACING="0">${rows.join('')}</TABLE>>];`);
+        });
+        this.getRelations(models).forEach(relation => {
+            lines.push(`    ${quote(relation.from)}:${quote(relation.column)} -> ${quote(relation.to)} [arrowhead=${relation.optional ? 'odot' : 'normal'}];`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = Exporter;
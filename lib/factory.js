@@ -0,0 +1,289 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes, BelongsToAssociation } = require('@sequelize/core');
+
+/**
+ * Base date of generated date values.
+ */
+const BASE_DATE = Date.UTC(2000, 0, 1);
+
+/**
+ * Model instance factory.
+ *
+ * Values of attributes which can't be null and have no default value are generated
+ * from attribute data type and validation using a sequence number of each model,
+ * so unique attributes get unique values. Required BelongsTo associations are
+ * built using the factory of the target model and saved along with the instance.
+ *
+ * Definitions and overrides are objects of attribute values, a function value is
+ * called with the sequence number and the values built so far.
+ *
+ * ```js
+ * factory.define('User', {Username: seq => `user${seq}`, Active: true});
+ * const user = await factory.create('User', {Name: 'John'});
+ * ```
+ */
+class Factory {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.definitions = {};
+        this.sequences = {};
+    }
+
+    /**
+     * Define model default values.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @param {object|function} definition Attribute values, or a function of sequence number returning values
+     * @returns {Factory}
+     */
+    define(model, definition) {
+        this.definitions[this.getModel(model).name] = definition;
+        return this;
+    }
+
+    /**
+     * Reset sequences.
+     *
+     * @param {Model|string} model Reset only this model
+     * @returns {Factory}
+     */
+    reset(model = null) {
+        if (model) {
+            delete this.sequences[this.getModel(model).name];
+        } else {
+            this.sequences = {};
+        }
+        return this;
+    }
+
+    /**
+     * Get model instance values.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @param {object} overrides Attribute values overriding defaults
+     * @returns {object}
+     */
+    attributes(model, overrides = {}) {
+        return this.getValues(this.getModel(model), overrides, []);
+    }
+
+    /**
+     * Build model instance without saving it.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @param {object} overrides Attribute values overriding defaults
+     * @returns {Model}
+     */
+    build(model, overrides = {}) {
+        const m = this.getModel(model);
+        return this.manager.createInstance(m, this.getValues(m, overrides, []));
+    }
+
+    /**
+     * Create and save model instance.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @param {object} overrides Attribute values overriding defaults
+     * @param {object} options Save options, see `Manager.saveInstance()`
+     * @returns {Promise<Model>} Resolved with saved instance
+     */
+    async create(model, overrides = {}, options = {}) {
+        const m = this.getModel(model);
+        const res = await this.manager.saveInstance(m, this.getValues(m, overrides, []), options);
+        if (!res.saved) {
+            throw new Error(`Unable to create ${m.name}: ${res.errors.map(e => `${e.path} ${e.message}`).join(', ')}!`);
+        }
+        return res.instance;
+    }
+
+    /**
+     * Create and save model instances.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @param {number} count Number of instances
+     * @param {object} overrides Attribute values overriding defaults
+     * @param {object} options Save options, see `Manager.saveInstance()`
+     * @returns {Promise<Model[]>} Resolved with saved instances
+     */
+    async createMany(model, count, overrides = {}, options = {}) {
+        const res = [];
+        for (let i = 0; i < count; i++) {
+            res.push(await this.create(model, overrides, options));
+        }
+        return res;
+    }
+
+    /**
+     * Get model from model or model name.
+     *
+     * @param {Model|string} model Sequelize model or model name
+     * @returns {Model}
+     */
+    getModel(model) {
+        if (typeof model === 'string') {
+            for (const m of this.manager.db.models) {
+                if (m.name === model) {
+                    return m;
+                }
+            }
+            throw new Error(`Factory model ${model} not found!`);
+        }
+        return model;
+    }
+
+    /**
+     * Build values of model.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} overrides Attribute values overriding defaults
+     * @param {string[]} parents Models being built, to stop at circular associations
+     * @returns {object}
+     */
+    getValues(model, overrides, parents) {
+        const seq = this.sequences[model.name] = (this.sequences[model.name] || 0) + 1;
+        const attributes = model.getAttributes();
+        const timestamps = Object.values(model.modelDefinition.timestampAttributeNames);
+        const res = {};
+        const apply = values => {
+            Object.keys(values || {}).forEach(k => {
+                res[k] = typeof values[k] === 'function' ? values[k](seq, res) : values[k];
+            });
+        };
+        const definition = this.definitions[model.name];
+        const defined = typeof definition === 'function' ? definition(seq) : definition;
+        const keys = [...Object.keys(defined || {}), ...Object.keys(overrides || {})];
+        // required BelongsTo associations
+        const foreignKeys = [];
+        for (const name in model.associations) {
+            const association = model.associations[name];
+            if (association instanceof BelongsToAssociation) {
+                foreignKeys.push(association.foreignKey);
+                const attr = attributes[association.foreignKey];
+                if (attr && attr.allowNull === false && attr.defaultValue === undefined &&
+                    keys.indexOf(name) < 0 && keys.indexOf(association.foreignKey) < 0 &&
+                    parents.indexOf(association.target.name) < 0) {
+                    res[name] = this.getValues(association.target, {}, [...parents, model.name]);
+                }
+            }
+        }
+        Object.keys(attributes).forEach(name => {
+            const attr = attributes[name];
+            if (attr.allowNull !== false || attr.defaultValue !== undefined || attr.autoIncrement ||
+                attr.type instanceof DataTypes.VIRTUAL || timestamps.indexOf(name) >= 0 ||
+                foreignKeys.indexOf(name) >= 0 || keys.indexOf(name) >= 0) {
+                return;
+            }
+            res[name] = this.generate(name, attr, seq);
+        });
+        apply(defined);
+        apply(overrides);
+        return res;
+    }
+
+    /**
+     * Generate attribute value.
+     *
+     * @param {string} name Attribute name
+     * @param {object} attr Model attribute
+     * @param {number} seq Sequence number
+     * @returns {any}
+     */
+    generate(name, attr, seq) {
+        const type = attr.type;
+        const options = type.options || {};
+        const validate = attr.validate || {};
+        const args = v => v !== null && typeof v === 'object' && !Array.isArray(v) ? v.args : v;
+        const isIn = args(validate.isIn);
+        if (Array.isArray(isIn) && Array.isArray(isIn[0]) && isIn[0].length) {
+            return isIn[0][(seq - 1) % isIn[0].length];
+        }
+        if (type instanceof DataTypes.ENUM) {
+            return options.values[(seq - 1) % options.values.length];
+        }
+        if (type instanceof DataTypes.BOOLEAN) {
+            return seq % 2 === 1;
+        }
+        if (type instanceof DataTypes.INTEGER || type instanceof DataTypes.BIGINT || type instanceof DataTypes.SMALLINT ||
+            type instanceof DataTypes.TINYINT || type instanceof DataTypes.MEDIUMINT || type instanceof DataTypes.FLOAT ||
+            type instanceof DataTypes.DOUBLE || type instanceof DataTypes.REAL || type instanceof DataTypes.DECIMAL) {
+            let value = seq;
+            const min = args(validate.min);
+            const max = args(validate.max);
+            if (typeof min === 'number') {
+                value += min;
+            }
+            if (typeof max === 'number' && value > max) {
+                value = typeof min === 'number' ? min + (value - min) % (max - min + 1) : max;
+            }
+            return type instanceof DataTypes.DECIMAL ? String(value) : value;
+        }
+        if (type instanceof DataTypes.DATEONLY) {
+            return new Date(BASE_DATE + (seq - 1) * 86400000).toISOString().substr(0, 10);
+        }
+        if (type instanceof DataTypes.DATE) {
+            return new Date(BASE_DATE + (seq - 1) * 86400000);
+        }
+        if (type instanceof DataTypes.TIME) {
+            return new Date(BASE_DATE + ((seq - 1) % 86400) * 1000).toISOString().substr(11, 8);
+        }
+        if (type instanceof DataTypes.UUID) {
+            return `00000000-0000-4000-8000-${String(seq).padStart(12, '0')}`;
+        }
+        if (type instanceof DataTypes.JSON || type instanceof DataTypes.JSONB) {
+            return {};
+        }
+        if (type instanceof DataTypes.BLOB) {
+            return Buffer.from(`${name}${seq}`);
+        }
+        if (type instanceof DataTypes.ARRAY) {
+            return [];
+        }
+        let value = `${name}${seq}`;
+        if (validate.isEmail) {
+            value = `${name.toLowerCase()}${seq}@example.com`;
+        } else if (validate.isUrl) {
+            value = `https://example.com/${name.toLowerCase()}/${seq}`;
+        }
+        const len = args(validate.len);
+        if (Array.isArray(len) && len[0] > value.length) {
+            value = value.padEnd(len[0], '0');
+        }
+        const max = Math.min(...[options.length, Array.isArray(len) ? len[1] : undefined].filter(v => typeof v === 'number'));
+        if (value.length > max) {
+            // keep sequence to stay unique
+            value = value.substr(0, Math.max(max - String(seq).length, 0)) + String(seq).substr(-max);
+        }
+        return value;
+    }
+}
+
+module.exports = Factory;
@@ -0,0 +1,858 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Work = require('@ntlab/work/work');
+const Queue = require('@ntlab/work/queue');
+const DataStream = require('./datastream');
+const debug = require('debug')('sequelize:manager:fixture');
+
+const REF = '@ref';
+const EXTENSIONS = ['.json', '.csv', '.ndjson'];
+
+/**
+ * A callback to generate fixture value.
+ *
+ * @callback generatorCallback
+ * @param {any} arg Generator argument
+ * @param {object} context Generator context
+ * @param {Model} context.model Sequelize model
+ * @param {string} context.attr Attribute name
+ * @param {Fixture} context.fixture Fixture loader
+ * @returns {any|Promise<any>}
+ */
+
+/**
+ * Fixture loader.
+ *
+ * Fixture data is looked up in the fixture directory using the following order,
+ * each found file contributes its rows:
+ *
+ * * `fixturedir/Model.json`
+ * * `fixturedir/common/Model.json`
+ * * `fixturedir/<env>/Model.json`
+ *
+ * Large fixtures can be stored as `Model.csv` or `Model.ndjson` instead, which are
+ * streamed in chunks rather than read at once, see `populateFile()`. CSV header
+ * names the attributes and may include `@ref` column. Streamed rows are populated
+ * after the JSON rows and are not merged by their keys.
+ *
+ * A row can be named using `@ref` and referenced from other rows, e.g. `"UserId": "@admin"`.
+ * Models are populated in foreign key order so the referenced rows are always available.
+ *
+ * Natural keys used to match existing rows can be declared in `datadir/naturalkey.json`:
+ *
+ * ```json
+ * {
+ *     "User": ["Username"],
+ *     "Country": "Code"
+ * }
+ * ```
+ */
+class Fixture {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.refs = {};
+        this.sequences = {};
+        this.generators = {
+            seq: (start, ctx) => this.nextSequence(ctx.model, ctx.attr, start),
+            now: () => new Date(),
+            uuid: () => crypto.randomUUID(),
+        };
+        if (typeof manager.config.generators === 'object') {
+            Object.keys(manager.config.generators).forEach(name => {
+                this.addGenerator(name, manager.config.generators[name]);
+            });
+        }
+        this.keys = {};
+        const keyFile = path.join(manager.dataDir, 'naturalkey.json');
+        if (fs.existsSync(keyFile)) {
+            this.keys = JSON.parse(fs.readFileSync(keyFile));
+        }
+    }
+
+    /**
+     * Get supported fixture file extensions.
+     *
+     * @returns {string[]}
+     */
+    static getExtensions() {
+        return [...EXTENSIONS];
+    }
+
+    /**
+     * Get fixture sets for environment.
+     *
+     * @param {string|string[]|undefined} env Environment name
+     * @returns {string[]}
+     */
+    getSets(env) {
+        const res = ['', 'common'];
+        if (env) {
+            (Array.isArray(env) ? env : [env]).forEach(e => {
+                if (res.indexOf(e) < 0) {
+                    res.push(e);
+                }
+            });
+        }
+        return res;
+    }
+
+    /**
+     * Get model fixture files.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string|string[]|undefined} env Environment name
+     * @returns {string[]}
+     */
+    getFiles(model, env) {
+        const res = [];
+        this.getSets(env).forEach(set => {
+            EXTENSIONS.forEach(ext => {
+                const fixture = path.join(this.manager.fixtureDir, set, model.name + ext);
+                if (fs.existsSync(fixture)) {
+                    res.push(fixture);
+                }
+            });
+        });
+        return res;
+    }
+
+    /**
+     * Read model fixture rows.
+     *
+     * @param {string[]} files Fixture files
+     * @returns {object[]}
+     */
+    read(files) {
+        const res = [];
+        files.forEach(file => {
+            const rows = JSON.parse(fs.readFileSync(file));
+            if (Array.isArray(rows)) {
+                res.push(...rows);
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Merge rows sharing the same key, latter row overrides the former one.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object[]} rows Fixture rows
+     * @returns {object[]}
+     */
+    merge(model, rows) {
+        const res = [];
+        const indexes = {};
+        const keys = this.getKeys(model);
+        rows.forEach(row => {
+            const key = this.getKeyValues(keys, row);
+            if (key) {
+                const id = JSON.stringify(Object.values(key));
+                if (indexes[id] !== undefined) {
+                    Object.assign(res[indexes[id]], row);
+                    return;
+                }
+                indexes[id] = res.length;
+            }
+            res.push(Object.assign({}, row));
+        });
+        return res;
+    }
+
+    /**
+     * Get row key values, returns undefined if one of the key is missing.
+     *
+     * @param {string[]} keys Key names
+     * @param {object} row Row values
+     * @returns {object|undefined}
+     */
+    getKeyValues(keys, row) {
+        const res = {};
+        keys.forEach(key => {
+            if (row[key] !== undefined && row[key] !== null) {
+                res[key] = row[key];
+            }
+        });
+        if (keys.length && Object.keys(res).length === keys.length) {
+            return res;
+        }
+    }
+
+    /**
+     * Get the keys used to match fixture row with existing row.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {string[]}
+     */
+    getKeys(model) {
+        if (this.keys[model.name]) {
+            return Array.isArray(this.keys[model.name]) ? this.keys[model.name] : [this.keys[model.name]];
+        }
+        return model.primaryKeyAttributes;
+    }
+
+    /**
+     * Get models in foreign key order, the referenced models come first.
+     *
+     * @returns {Model[]}
+     */
+    getModels() {
+        // sorted models start with dependents, reverse it
+        const models = this.manager.db.models.getModelsTopoSortedByForeignKey();
+        return models ? models.reverse() : [...this.manager.db.models];
+    }
+
+    /**
+     * Load fixtures of all models.
+     *
+     * Loading can be done inside a transaction using `transactional` option:
+     *
+     * * `all`: all models are loaded in a single transaction, any failure rolls back
+     *   everything and the returned `Promise` is rejected with the error carrying the
+     *   `report`
+     * * `model`: each model is loaded in its own transaction, a failure only rolls back
+     *   the failing model and the error is stored in the report
+     *
+     * Without transaction, a failing model is stored in the report as is.
+     *
+     * @param {object} options Load options
+     * @param {string} options.mode Load mode, `empty` or `upsert`
+     * @param {boolean} options.update In `upsert` mode, update changed rows
+     * @param {string|string[]} options.env Fixture environment
+     * @param {string|boolean} options.transactional Transaction scope, `all` or `model`
+     * @param {number} options.batch Insert batch size
+     * @returns {Promise<object>}
+     */
+    load(options = {}) {
+        const res = {};
+        const env = options.env !== undefined ? options.env : this.manager.config.fixtureenv;
+        const fixtures = [];
+        this.refs = {};
+        this.sequences = {};
+        for (const model of this.getModels()) {
+            const files = this.getFiles(model, env);
+            if (files.length) {
+                fixtures.push({model, files});
+            }
+        }
+        const db = this.manager.db;
+        const scope = options.transactional;
+        let t;
+        return Work.works([
+            [w => db.startUnmanagedTransaction(), w => scope === 'all'],
+            [w => new Promise((resolve, reject) => {
+                t = w.getRes(0);
+                const q = new Queue(fixtures, f => {
+                    const refs = Object.assign({}, this.refs);
+                    const files = f.files.filter(file => !DataStream.isSupported(file));
+                    const streams = f.files.filter(file => DataStream.isSupported(file));
+                    let populateOptions;
+                    Work.works([
+                        [w => db.startUnmanagedTransaction(), w => scope === 'model'],
+                        [w => f.model.count({transaction: w.getRes(0) || t || options.transaction}), w => options.mode !== 'upsert'],
+                        [w => new Promise((resolve, reject) => {
+                            // decide once so rows of the first file don't skip the rest
+                            populateOptions = Object.assign({}, options, {transaction: w.getRes(0) || t || options.transaction,
+                                skip: options.mode !== 'upsert' && w.getRes(1) > 0});
+                            resolve(this.merge(f.model, this.read(files)));
+                        })],
+                        [w => this.populate(f.model, w.getRes(2), populateOptions), w => files.length],
+                        [w => new Promise((resolve, reject) => {
+                            const result = w.getRes(3) || {inserted: 0, updated: 0, skipped: 0};
+                            const q = new Queue([...streams], file => {
+                                this.populateFile(f.model, file, populateOptions)
+                                    .then(res => {
+                                        ['inserted', 'updated', 'skipped'].forEach(k => result[k] += res[k]);
+                                        q.next();
+                                    })
+                                    .catch(err => reject(err));
+                            });
+                            q.once('done', () => resolve(result));
+                        })],
+                        [w => w.getRes(0).commit(), w => w.getRes(0)],
+                        [w => Promise.resolve(w.getRes(4))],
+                    ], {
+                        done: (w, err) => err && w.result.length && w.getRes(0) ?
+                            w.getRes(0).rollback().catch(() => null) : Promise.resolve()
+                    })
+                    .then(result => {
+                        res[f.model.name] = result;
+                        q.next();
+                    })
+                    .catch(err => {
+                        debug(`Populate data ${f.model.name} failed: ${err}`);
+                        // forget rows named by the failed model
+                        this.refs = refs;
+                        res[f.model.name] = {inserted: 0, updated: 0, skipped: 0, error: err};
+                        if (scope === 'all') {
+                            q.clear();
+                            return reject(err);
+                        }
+                        q.next();
+                    });
+                });
+                q.once('done', () => resolve());
+            })],
+            [w => t.commit(), w => t],
+            [w => Promise.resolve(res)],
+        ], {
+            done: (w, err) => err && t ? t.rollback().catch(() => null) : Promise.resolve()
+        })
+        .catch(err => {
+            err.report = res;
+            throw err;
+        });
+    }
+
+    /**
+     * Populate model rows.
+     *
+     * In `empty` mode, rows are inserted in batches using `bulkCreate()`. A batch is
+     * inserted early when a row references another row in the pending batch.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object[]} values Row values
+     * @param {object} options Populate options
+     * @param {string} options.mode Populate mode, `empty` or `upsert`
+     * @param {boolean} options.update In `upsert` mode, update changed rows
+     * @param {number} options.batch Insert batch size, default to 100, set to 1 to insert row by row
+     * @param {boolean} options.skip In `empty` mode, skip inserting rows, default to true if model has rows
+     * @param {Transaction} options.transaction Sequelize transaction
+     * @returns {Promise<object>}
+     */
+    populate(model, values, options = {}) {
+        const mode = options.mode || 'empty';
+        const batch = options.batch !== undefined ? options.batch : 100;
+        const transaction = options.transaction;
+        const res = {inserted: 0, updated: 0, skipped: 0};
+        return Work.works([
+            [w => model.count({transaction}), w => mode === 'empty' && options.skip === undefined],
+            [w => new Promise((resolve, reject) => {
+                const skip = mode === 'empty' && (options.skip !== undefined ? options.skip : w.getRes(0) > 0);
+                const bulk = !skip && mode !== 'upsert' && batch > 1;
+                // only named rows need to be visited for skipped model
+                const rows = skip ? values.filter(value => value[REF]) : [...values];
+                if (skip) {
+                    res.skipped = values.length;
+                }
+                this.manager.emit('fixtureStart', model, values.length);
+                let pending = [];
+                const flush = () => {
+                    const items = pending;
+                    pending = [];
+                    const individualHooks = model.hooks.hasListeners('beforeCreate') || model.hooks.hasListeners('afterCreate');
+                    return model.bulkCreate(items.map(item => item.values), {transaction, validate: true, individualHooks})
+                        .then(result => {
+                            result.forEach((row, idx) => {
+                                if (items[idx].ref) {
+                                    this.refs[items[idx].ref] = row;
+                                }
+                            });
+                            res.inserted += result.length;
+                        });
+                }
+                const n = rows.length;
+                let i = 0, progress = 0;
+                const q = new Queue(rows, value => {
+                    const p = Math.floor(++i / n * 100);
+                    if (p > progress && !skip) {
+                        progress = p;
+                        debug(`Populate data ${model.name} (${progress}%)`);
+                        if (typeof this.manager.config.onpopulate === 'function') {
+                            this.manager.config.onpopulate(model, progress);
+                        }
+                        this.manager.emit('fixtureProgress', model, progress);
+                    }
+                    Work.works([
+                        [w => flush(), w => pending.length && this.isReferencing(value, pending.map(item => item.ref))],
+                        [w => this.prepare(model, value)],
+                        [w => model.findOne({where: this.getWhere(model, w.getRes(1), value), transaction}).then(row => ({row})), w => skip],
+                        [w => this.upsert(model, w.getRes(1), options.update, value, transaction), w => !skip && mode === 'upsert'],
+                        [w => model.create(w.getRes(1), {transaction}).then(row => ({state: 'inserted', row})), w => !skip && mode !== 'upsert' && !bulk],
+                        [w => new Promise((resolve, reject) => {
+                            pending.push({values: w.getRes(1), ref: value[REF]});
+                            resolve();
+                        }), w => bulk],
+                        [w => flush(), w => bulk && pending.length >= batch],
+                        [w => new Promise((resolve, reject) => {
+                            const result = w.getRes(2) || w.getRes(3) || w.getRes(4);
+                            if (result.state) {
+                                res[result.state]++;
+                            }
+                            if (value[REF]) {
+                                if (!result.row) {
+                                    return reject(new Error(`Unable to find ${model.name} row named ${value[REF]}!`));
+                                }
+                                this.refs[value[REF]] = result.row;
+                            }
+                            resolve();
+                        }), w => !bulk],
+                    ])
+                    .then(() => q.next())
+                    .catch(err => reject(err));
+                });
+                q.once('done', () => {
+                    if (pending.length) {
+                        flush()
+                            .then(() => resolve())
+                            .catch(err => reject(err));
+                    } else {
+                        resolve();
+                    }
+                });
+            })],
+            [w => Promise.resolve(res)],
+        ], {
+            done: (w, err) => Promise.resolve(this.manager.emit('fixtureDone', model, err ? Object.assign({}, res, {error: err}) : res))
+        });
+    }
+
+    /**
+     * Populate model rows streamed from a CSV or NDJSON fixture file.
+     *
+     * Rows are handled in chunks of `batch` rows using `DataStream.import()`, each chunk
+     * in its own transaction unless a transaction is passed. As the rows count is unknown
+     * upfront, `fixtureStart` is emitted with null count and progress is based on the
+     * bytes read.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} file Fixture file
+     * @param {object} options Populate options, see `populate()`
+     * @returns {Promise<object>}
+     */
+    populateFile(model, file, options = {}) {
+        const mode = options.mode || 'empty';
+        const transaction = options.transaction;
+        const res = {inserted: 0, updated: 0, skipped: 0};
+        return Work.works([
+            [w => model.count({transaction}), w => mode === 'empty' && options.skip === undefined],
+            [w => new Promise((resolve, reject) => {
+                const skip = mode === 'empty' && (options.skip !== undefined ? options.skip : w.getRes(0) > 0);
+                this.manager.emit('fixtureStart', model, null);
+                const handlers = {
+                    // only named rows need to be visited for skipped model
+                    skip: (items, t) => this.each(items, item => model.findOne({where: this.getWhere(model, item.values, item.value), transaction: t})
+                        .then(row => {
+                            if (!row) {
+                                throw new Error(`Unable to find ${model.name} row named ${item.value[REF]}!`);
+                            }
+                            this.refs[item.value[REF]] = row;
+                        }), item => item.value[REF]),
+                    upsert: (items, t) => this.each(items, item => this.upsert(model, item.values, options.update, item.value, t)
+                        .then(result => {
+                            res[result.state]++;
+                            if (item.value[REF]) {
+                                this.refs[item.value[REF]] = result.row;
+                            }
+                        })),
+                    empty: (items, t) => {
+                        const individualHooks = model.hooks.hasListeners('beforeCreate') || model.hooks.hasListeners('afterCreate');
+                        return model.bulkCreate(items.map(item => item.values), {transaction: t, validate: true, individualHooks})
+                            .then(result => {
+                                result.forEach((row, idx) => {
+                                    if (items[idx].value[REF]) {
+                                        this.refs[items[idx].value[REF]] = row;
+                                    }
+                                });
+                                res.inserted += result.length;
+                            });
+                    },
+                }
+                this.manager.getDataStream().import(model, file, {
+                    batch: options.batch !== undefined ? options.batch : 100,
+                    transaction,
+                    extras: [REF],
+                    prepare: value => skip && !value[REF] ? {} : this.prepare(model, value),
+                    handler: (items, t) => {
+                        // forget rows named by a rolled back chunk
+                        const refs = Object.assign({}, this.refs);
+                        return handlers[skip ? 'skip' : mode](items, t)
+                            .then(() => items.length)
+                            .catch(err => {
+                                this.refs = refs;
+                                throw err;
+                            });
+                    },
+                    isReferencing: skip || mode === 'upsert' ? null :
+                        (value, items) => this.isReferencing(value, items.map(item => item.value[REF]).filter(ref => ref)),
+                    onprogress: (m, progress) => {
+                        if (!skip) {
+                            debug(`Populate data ${model.name} from ${path.basename(file)} (${progress}%)`);
+                            if (typeof this.manager.config.onpopulate === 'function') {
+                                this.manager.config.onpopulate(model, progress);
+                            }
+                            this.manager.emit('fixtureProgress', model, progress);
+                        }
+                    },
+                })
+                .then(result => {
+                    if (skip) {
+                        res.skipped = result.rows;
+                    }
+                    resolve();
+                })
+                .catch(err => reject(err));
+            })],
+            [w => Promise.resolve(res)],
+        ], {
+            done: (w, err) => Promise.resolve(this.manager.emit('fixtureDone', model, err ? Object.assign({}, res, {error: err}) : res))
+        });
+    }
+
+    /**
+     * Call handler for each item in sequence.
+     *
+     * @param {object[]} items The items
+     * @param {function} handler A function of item which returns `Promise`
+     * @param {function} filter Item filter
+     * @returns {Promise}
+     */
+    each(items, handler, filter = null) {
+        return new Promise((resolve, reject) => {
+            const q = new Queue(filter ? items.filter(filter) : [...items], item => {
+                handler(item)
+                    .then(() => q.next())
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve());
+        });
+    }
+
+    /**
+     * Check if row references one of the named rows.
+     *
+     * @param {object} value Row values
+     * @param {string[]} names Row names
+     * @returns {boolean}
+     */
+    isReferencing(value, names) {
+        for (const k of Object.keys(value)) {
+            const v = value[k];
+            if (k !== REF && typeof v === 'string' && v.startsWith('@') && !v.startsWith('@@') &&
+                names.indexOf(v.substr(1).split('.')[0]) >= 0) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Prepare row values by resolving references and generated values.
+     *
+     * A string value in the form of `@name` is replaced with the primary key of the row
+     * named `name` using `@ref`, `@name.Field` is replaced with its `Field` value instead.
+     * Use `@@` to escape a literal `@`.
+     *
+     * An object value with a single `$generator` key is replaced with the generated value,
+     * see `addGenerator()`. Generated values are not used to match or update existing rows.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} value Row values
+     * @returns {Promise<object>}
+     */
+    prepare(model, value) {
+        return new Promise((resolve, reject) => {
+            const res = {};
+            const q = new Queue(Object.keys(value).filter(k => k !== REF), k => {
+                this.resolve(model, k, value[k])
+                    .then(v => {
+                        res[k] = v;
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve(res));
+        });
+    }
+
+    /**
+     * Resolve a single attribute value.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} attr Attribute name
+     * @param {any} value Attribute value
+     * @returns {Promise<any>}
+     */
+    resolve(model, attr, value) {
+        if (typeof value === 'string' && value.startsWith('@')) {
+            if (value.startsWith('@@')) {
+                return Promise.resolve(value.substr(1));
+            }
+            let [name, field] = value.substr(1).split('.');
+            const row = this.refs[name];
+            if (!row) {
+                return Promise.reject(new Error(`Fixture ${model.name}.${attr} references unknown row ${name}!`));
+            }
+            if (!field) {
+                if (row.constructor.primaryKeyAttributes.length !== 1) {
+                    return Promise.reject(new Error(`Fixture ${model.name}.${attr} references ${name} which doesn't have single primary key!`));
+                }
+                field = row.constructor.primaryKeyAttributes[0];
+            }
+            return Promise.resolve(row.get(field));
+        }
+        if (this.isGenerated(value)) {
+            const key = Object.keys(value)[0];
+            const name = key.substr(1);
+            const generator = this.generators[name];
+            if (typeof generator !== 'function') {
+                return Promise.reject(new Error(`Fixture ${model.name}.${attr} uses unknown generator ${name}!`));
+            }
+            return Promise.resolve(generator(value[key], {model, attr, fixture: this}));
+        }
+        return Promise.resolve(value);
+    }
+
+    /**
+     * Check if value is a generated value.
+     *
+     * @param {any} value Value
+     * @returns {boolean}
+     */
+    isGenerated(value) {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            const keys = Object.keys(value);
+            return keys.length === 1 && keys[0].startsWith('$');
+        }
+        return false;
+    }
+
+    /**
+     * Register a value generator.
+     *
+     * A generator is a function which receives the generator argument and a context
+     * object containing `model`, `attr`, and `fixture`, and returns the value or a
+     * `Promise` resolved with the value.
+     *
+     * The built-in generators are:
+     *
+     * * `seq`: sequence per model attribute, the argument is the start value
+     * * `now`: current date
+     * * `uuid`: random UUID
+     *
+     * @param {string} name Generator name
+     * @param {generatorCallback} generator The generator
+     * @returns {Fixture}
+     */
+    addGenerator(name, generator) {
+        this.generators[name] = generator;
+        return this;
+    }
+
+    /**
+     * Get next sequence for model attribute.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} attr Attribute name
+     * @param {number} start Start value
+     * @returns {number}
+     */
+    nextSequence(model, attr, start = 1) {
+        const key = `${model.name}.${attr}`;
+        if (this.sequences[key] === undefined) {
+            this.sequences[key] = typeof start === 'number' ? start : 1;
+        } else {
+            this.sequences[key]++;
+        }
+        return this.sequences[key];
+    }
+
+    /**
+     * Get where condition to match the row, using the keys if the row carries all the
+     * key values, or all of its non generated values otherwise.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} value Prepared row values
+     * @param {object} raw Fixture row values
+     * @returns {object}
+     */
+    getWhere(model, value, raw = {}) {
+        const attributes = model.getAttributes();
+        return this.getKeyValues(this.getKeys(model), value) ||
+            this.getKeyValues(Object.keys(value).filter(k => attributes[k] && !this.isGenerated(raw[k])), value) || {};
+    }
+
+    /**
+     * Insert or update a row matched by its key. If the row doesn't carry all the key
+     * values, it is matched using all of its values instead.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} value Row values
+     * @param {boolean} update Update row if changed
+     * @param {object} raw Fixture row values
+     * @param {Transaction} transaction Sequelize transaction
+     * @returns {Promise<object>} Resolved with `state` of `inserted`, `updated`, or `skipped` and the `row`
+     */
+    upsert(model, value, update = false, raw = {}, transaction = undefined) {
+        const attributes = model.getAttributes();
+        const where = this.getWhere(model, value, raw);
+        return Work.works([
+            [w => model.findOne({where, transaction})],
+            [w => model.create(value, {transaction}), w => !w.getRes(0)],
+            [w => new Promise((resolve, reject) => {
+                const row = w.getRes(0);
+                Object.keys(value).forEach(k => {
+                    if (attributes[k] && where[k] === undefined && !this.isGenerated(raw[k])) {
+                        row.set(k, value[k]);
+                    }
+                });
+                resolve(row.changed() ? row : null);
+            }), w => w.getRes(0) && update],
+            [w => w.getRes(2).save({transaction}), w => w.getRes(2)],
+            [w => Promise.resolve(w.getRes(0) ?
+                {state: w.getRes(2) ? 'updated' : 'skipped', row: w.getRes(0)} :
+                {state: 'inserted', row: w.getRes(1)})],
+        ]);
+    }
+
+    /**
+     * Dump models rows as fixtures.
+     *
+     * @param {object} options Dump options
+     * @param {string[]|object} options.models Model names to dump, or an object of model name and its options
+     * @param {string} options.dir Output directory, default to fixture directory
+     * @param {string} options.env Fixture environment to dump into
+     * @param {object} options.where Where conditions
+     * @param {string[]} options.exclude Excluded attributes
+     * @param {number} options.limit Maximum rows
+     * @param {string} options.format Fixture format, `json`, `csv`, or `ndjson`, default to `json`
+     * @returns {Promise<object>} Resolved with dumped file and rows count per model
+     */
+    dump(options = {}) {
+        return new Promise((resolve, reject) => {
+            const res = {};
+            const format = options.format || 'json';
+            if (EXTENSIONS.indexOf(`.${format}`) < 0) {
+                return reject(new Error(`Unsupported fixture format ${format}!`));
+            }
+            const dir = path.join(options.dir || this.manager.fixtureDir, options.env || '');
+            let names;
+            if (Array.isArray(options.models)) {
+                names = options.models;
+            } else if (typeof options.models === 'object') {
+                names = Object.keys(options.models);
+            }
+            const models = this.getModels().filter(model => !names || names.indexOf(model.name) >= 0);
+            if (names) {
+                const missing = names.filter(name => !models.find(model => model.name === name));
+                if (missing.length) {
+                    return reject(new Error(`Unable to dump unknown model ${missing.join(', ')}!`));
+                }
+            }
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, {recursive: true});
+            }
+            const q = new Queue(models, model => {
+                const modelOptions = Object.assign({}, options,
+                    options.models && !Array.isArray(options.models) ? options.models[model.name] : {});
+                const file = path.join(dir, `${model.name}.${format}`);
+                Work.works([
+                    [w => this.export(model, modelOptions), w => format === 'json'],
+                    [w => new Promise((resolve, reject) => {
+                        const rows = w.getRes(0);
+                        fs.writeFileSync(file, JSON.stringify(rows, null, 4));
+                        resolve(rows.length);
+                    }), w => format === 'json'],
+                    [w => this.manager.getDataStream().export(model, file, {
+                        format,
+                        exclude: modelOptions.exclude,
+                        where: modelOptions.where,
+                        limit: modelOptions.limit,
+                        transform: values => this.escape(values),
+                    }).then(result => result.count), w => format !== 'json'],
+                ])
+                .then(count => {
+                    debug(`Dump ${count} row(s) of ${model.name} to ${file}`);
+                    res[model.name] = {file, count};
+                    q.next();
+                })
+                .catch(err => reject(err));
+            });
+            q.once('done', () => resolve(res));
+        });
+    }
+
+    /**
+     * Export model rows as fixture rows.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} options Export options
+     * @param {object} options.where Where conditions
+     * @param {string[]} options.exclude Excluded attributes
+     * @param {number} options.limit Maximum rows
+     * @returns {Promise<object[]>}
+     */
+    export(model, options = {}) {
+        const exclude = Array.isArray(options.exclude) ? options.exclude : [];
+        const attributes = Object.keys(model.getAttributes()).filter(attr => exclude.indexOf(attr) < 0);
+        const findOptions = {attributes};
+        if (options.where) {
+            findOptions.where = options.where;
+        }
+        if (options.limit) {
+            findOptions.limit = options.limit;
+        }
+        if (model.primaryKeyAttributes.length) {
+            findOptions.order = model.primaryKeyAttributes.map(attr => [attr, 'ASC']);
+        }
+        return model.findAll(findOptions)
+            .then(rows => rows.map(row => {
+                const values = this.escape(row.get({plain: true}));
+                const res = {};
+                attributes.forEach(attr => {
+                    if (values[attr] !== undefined) {
+                        res[attr] = values[attr];
+                    }
+                });
+                return res;
+            }));
+    }
+
+    /**
+     * Escape values to prevent them from being treated as reference.
+     *
+     * @param {object} values Row values
+     * @returns {object}
+     */
+    escape(values) {
+        Object.keys(values).forEach(attr => {
+            if (typeof values[attr] === 'string' && values[attr].startsWith('@')) {
+                values[attr] = '@' + values[attr];
+            }
+        });
+        return values;
+    }
+}
+
+module.exports = Fixture;
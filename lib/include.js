@@ -0,0 +1,237 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { BelongsToAssociation, HasOneAssociation, HasManyAssociation, BelongsToManyAssociation } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:include');
+
+/**
+ * Association type names.
+ */
+const TYPES = {
+    BelongsTo: BelongsToAssociation,
+    HasOne: HasOneAssociation,
+    HasMany: HasManyAssociation,
+    BelongsToMany: BelongsToManyAssociation,
+};
+
+/**
+ * Include options which can be set for each level.
+ */
+const LEVEL_OPTIONS = ['attributes', 'where', 'required', 'separate', 'order', 'limit', 'through', 'paranoid', 'right'];
+
+/**
+ * Include tree builder.
+ *
+ * Includes are described using dotted association paths, each path includes all the
+ * associations along the way:
+ *
+ * ```js
+ * builder.build(Order, ['Customer.Country', 'Lines.Product']);
+ * ```
+ *
+ * Options for a level are given using an object keyed by path:
+ *
+ * ```js
+ * builder.build(Order, {
+ *     'Customer': {attributes: ['Id', 'Name'], required: true},
+ *     'Lines.Product': {where: {Active: true}},
+ * });
+ * ```
+ *
+ * Without paths, associations are followed up to `depth` levels. Only the depth
+ * limits the recursion, so self-referencing and mutually referencing associations,
+ * e.g. `Category.Parent.Parent`, are followed as deep as requested.
+ */
+class IncludeBuilder {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Build includes.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string[]|object|null} paths Association paths or options keyed by path
+     * @param {object} options Build options
+     * @param {number} options.depth Follow associations up to depth when paths is not specified, default to 1
+     * @param {string[]} options.types Association types to follow in depth mode, `BelongsTo`, `HasOne`,
+     *   `HasMany`, or `BelongsToMany`, default to all
+     * @returns {object[]}
+     */
+    build(model, paths = null, options = {}) {
+        const levels = this.normalize(paths);
+        if (levels.length) {
+            const root = {model, include: []};
+            levels.forEach(level => this.addPath(root, level.path.split('.'), level.options, level.path));
+            return this.toIncludes(root.include);
+        }
+        return this.toIncludes(this.follow(model, options.depth !== undefined ? options.depth : 1, options.types, [model.name]));
+    }
+
+    /**
+     * Normalize paths to a list of `path` and `options`.
+     *
+     * @param {string|string[]|object|null} paths Association paths
+     * @returns {object[]}
+     */
+    normalize(paths) {
+        const res = [];
+        if (typeof paths === 'string') {
+            paths = [paths];
+        }
+        if (Array.isArray(paths)) {
+            paths.forEach(path => {
+                if (typeof path === 'string') {
+                    res.push({path, options: {}});
+                } else if (path && typeof path.path === 'string') {
+                    const { path: p, ...options } = path;
+                    res.push({path: p, options});
+                }
+            });
+        } else if (paths && typeof paths === 'object') {
+            Object.keys(paths).forEach(path => {
+                res.push({path, options: paths[path] && typeof paths[path] === 'object' ? paths[path] : {}});
+            });
+        }
+        return res;
+    }
+
+    /**
+     * Add association path to include tree node.
+     *
+     * @param {object} node Include tree node
+     * @param {string[]} parts Association names
+     * @param {object} options Options of the last level
+     * @param {string} path Full path for error message
+     */
+    addPath(node, parts, options, path) {
+        const [name, ...rest] = parts;
+        const association = node.model.associations[name];
+        if (!association) {
+            throw new Error(`Unable to include ${path}, ${node.model.name} has no association ${name}!`);
+        }
+        let child = node.include.find(incl => incl.as === name);
+        if (!child) {
+            child = {model: association.target, as: name, include: []};
+            node.include.push(child);
+        }
+        if (rest.length) {
+            this.addPath(child, rest, options, path);
+        } else {
+            this.applyOptions(child, options);
+        }
+    }
+
+    /**
+     * Follow model associations.
+     *
+     * @param {Model} model Sequelize model
+     * @param {number} depth Remaining depth
+     * @param {string[]|undefined} types Association types
+     * @param {string[]} path Model name and association names on the way
+     * @returns {object[]}
+     */
+    follow(model, depth, types, path) {
+        const res = [];
+        if (depth < 1) {
+            return res;
+        }
+        for (const name of Object.keys(model.associations)) {
+            const association = model.associations[name];
+            if (!this.isType(association, types)) {
+                continue;
+            }
+            debug(`Following ${[...path, name].join('.')}`);
+            res.push({
+                model: association.target,
+                as: name,
+                include: this.follow(association.target, depth - 1, types, [...path, name]),
+            });
+        }
+        return res;
+    }
+
+    /**
+     * Check association type.
+     *
+     * @param {Association} association Sequelize association
+     * @param {string[]|undefined} types Association types
+     * @returns {boolean}
+     */
+    isType(association, types) {
+        if (!Array.isArray(types) || !types.length) {
+            return true;
+        }
+        return types.some(type => {
+            if (!TYPES[type]) {
+                throw new Error(`Unknown association type ${type}!`);
+            }
+            return association instanceof TYPES[type];
+        });
+    }
+
+    /**
+     * Apply level options to include tree node.
+     *
+     * @param {object} node Include tree node
+     * @param {object} options Level options
+     */
+    applyOptions(node, options) {
+        Object.keys(options).forEach(key => {
+            if (key === 'include') {
+                this.normalize(options.include).forEach(level => this.addPath(node, level.path.split('.'), level.options, level.path));
+            } else if (LEVEL_OPTIONS.indexOf(key) >= 0) {
+                node[key] = options[key];
+            } else {
+                throw new Error(`Unsupported include option ${key}!`);
+            }
+        });
+    }
+
+    /**
+     * Convert include tree to Sequelize includes.
+     *
+     * @param {object[]} nodes Include tree nodes
+     * @returns {object[]}
+     */
+    toIncludes(nodes) {
+        return nodes.map(node => {
+            const res = Object.assign({}, node);
+            if (node.include.length) {
+                res.include = this.toIncludes(node.include);
+            } else {
+                delete res.include;
+            }
+            return res;
+        });
+    }
+}
+
+module.exports = IncludeBuilder;
@@ -0,0 +1,255 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const debug = require('debug')('sequelize:manager:initializer');
+
+/**
+ * Supported initializers of each dialect, `init` is supported by all dialects.
+ */
+const DIALECTS = {
+    sqlite3: ['pragmas', 'extensions'],
+    mysql: ['variables', 'timezone'],
+    mariadb: ['variables', 'timezone'],
+    postgres: ['searchPath', 'statementTimeout'],
+};
+
+/**
+ * Dialect name aliases.
+ */
+const ALIASES = {
+    sqlite: 'sqlite3',
+    postgresql: 'postgres',
+};
+
+/**
+ * Physical connection initializer.
+ *
+ * Initializers are configured per dialect, only the ones of current dialect are
+ * applied, and each runs once per physical connection when it's acquired from
+ * the pool:
+ *
+ * ```js
+ * {
+ *     sqlite3: {pragmas: {journal_mode: 'WAL', busy_timeout: 5000}, extensions: ['/usr/lib/mod_spatialite']},
+ *     mysql: {variables: {sql_mode: 'STRICT_ALL_TABLES'}, timezone: '+07:00'},
+ *     postgres: {searchPath: ['app', 'public'], statementTimeout: 30000},
+ *     init: async (connection, sequelize) => {},
+ * }
+ * ```
+ *
+ * Each dialect config may have its own `init` too, a function or an array of
+ * functions returning `Promise`.
+ */
+class Initializer {
+
+    /**
+     * Constructor.
+     *
+     * @param {Sequelize} sequelize Sequelize instance
+     * @param {object} config Initializers config
+     */
+    constructor(sequelize, config = {}) {
+        this.sequelize = sequelize;
+        this.dialect = ALIASES[sequelize.dialect.name] || sequelize.dialect.name;
+        this.connections = new WeakSet();
+        this.steps = this.getSteps(config);
+    }
+
+    /**
+     * Check if there is something to initialize.
+     *
+     * @returns {boolean}
+     */
+    hasSteps() {
+        return this.steps.length > 0;
+    }
+
+    /**
+     * Get initialization steps of current dialect.
+     *
+     * @param {object} config Initializers config
+     * @returns {object[]} Steps with `name` and `handler` of connection
+     */
+    getSteps(config) {
+        const res = [];
+        const dialects = {};
+        Object.keys(config).forEach(key => {
+            if (key === 'init') {
+                return;
+            }
+            const dialect = ALIASES[key] || key;
+            if (!DIALECTS[dialect]) {
+                throw new Error(`Connection initializer of unsupported dialect ${key}!`);
+            }
+            Object.keys(config[key] || {}).forEach(option => {
+                if (option !== 'init' && DIALECTS[dialect].indexOf(option) < 0) {
+                    throw new Error(`Unsupported connection initializer ${option} for ${key}!`);
+                }
+            });
+            dialects[dialect] = Object.assign({}, dialects[dialect], config[key]);
+        });
+        const options = dialects[this.dialect] || {};
+        switch (this.dialect) {
+            case 'sqlite3':
+                Object.keys(options.pragmas || {}).forEach(name => {
+                    const value = this.getPragmaValue(options.pragmas[name]);
+                    res.push({name: `Pragma ${name}=${value}`, handler: conn => this.query(conn, `PRAGMA ${this.getName(name)} = ${value}`)});
+                });
+                (options.extensions || []).forEach(extension => {
+                    res.push({name: `Extension ${extension}`, handler: conn => this.loadExtension(conn, extension)});
+                });
+                break;
+            case 'mysql':
+            case 'mariadb':
+                Object.keys(options.variables || {}).forEach(name => {
+                    res.push({name: `Variable ${name}`, handler: conn => this.query(conn,
+                        `SET SESSION ${this.getName(name)} = ${this.sequelize.escape(options.variables[name])}`)});
+                });
+                if (options.timezone) {
+                    res.push({name: `Time zone ${options.timezone}`, handler: conn => this.query(conn,
+                        `SET time_zone = ${this.sequelize.escape(options.timezone)}`)});
+                }
+                break;
+            case 'postgres':
+                if (options.searchPath) {
+                    const schemas = Array.isArray(options.searchPath) ? options.searchPath : options.searchPath.split(',');
+                    const searchPath = schemas.map(schema => this.sequelize.queryGenerator.quoteIdentifier(schema.trim())).join(', ');
+                    res.push({name: `Search path ${searchPath}`, handler: conn => this.query(conn, `SET search_path TO ${searchPath}`)});
+                }
+                if (options.statementTimeout !== undefined) {
+                    const timeout = parseInt(options.statementTimeout);
+                    if (isNaN(timeout)) {
+                        throw new Error(`Connection initializer statementTimeout must be a number of milliseconds!`);
+                    }
+                    res.push({name: `Statement timeout ${timeout}`, handler: conn => this.query(conn, `SET statement_timeout = ${timeout}`)});
+                }
+                break;
+        }
+        [...this.getFunctions(options.init), ...this.getFunctions(config.init)].forEach((fn, i) => {
+            res.push({name: `Init ${fn.name || i + 1}`, handler: conn => fn(conn, this.sequelize)});
+        });
+        return res;
+    }
+
+    /**
+     * Get init functions.
+     *
+     * @param {function|function[]|undefined} init Init functions
+     * @returns {function[]}
+     */
+    getFunctions(init) {
+        const res = Array.isArray(init) ? init : (init ? [init] : []);
+        res.forEach(fn => {
+            if (typeof fn !== 'function') {
+                throw new Error('Connection initializer init must be a function!');
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Get validated pragma or variable name.
+     *
+     * @param {string} name Name
+     * @returns {string}
+     */
+    getName(name) {
+        if (!/^[A-Za-z_][A-Za-z0-9_.]*$/.test(name)) {
+            throw new Error(`Invalid connection initializer name ${name}!`);
+        }
+        return name;
+    }
+
+    /**
+     * Get pragma value, keywords and numbers are used as is.
+     *
+     * @param {any} value Pragma value
+     * @returns {string}
+     */
+    getPragmaValue(value) {
+        if (typeof value === 'boolean') {
+            return value ? 'ON' : 'OFF';
+        }
+        if (typeof value === 'number' || /^[A-Za-z0-9_-]+$/.test(String(value))) {
+            return String(value);
+        }
+        return this.sequelize.escape(String(value));
+    }
+
+    /**
+     * Initialize connection once, a connection which fails to initialize is destroyed.
+     *
+     * @param {object} connection Dialect connection
+     * @returns {Promise}
+     */
+    async initialize(connection) {
+        if (this.connections.has(connection)) {
+            return;
+        }
+        try {
+            for (const step of this.steps) {
+                await step.handler(connection);
+                debug(`${step.name} initialized`);
+            }
+        }
+        catch (err) {
+            // the connection is never handed out, don't leave it borrowed forever
+            debug(`Connection initialization failed: ${err.message}`);
+            await this.sequelize.pool.destroy(connection).catch(() => null);
+            throw err;
+        }
+        this.connections.add(connection);
+    }
+
+    /**
+     * Execute a query using connection.
+     *
+     * @param {object} connection Dialect connection
+     * @param {string} sql SQL
+     * @returns {Promise}
+     */
+    query(connection, sql) {
+        return this.sequelize.query(sql, {connection, raw: true});
+    }
+
+    /**
+     * Load SQLite extension.
+     *
+     * @param {object} connection SQLite connection
+     * @param {string} extension Extension path
+     * @returns {Promise}
+     */
+    loadExtension(connection, extension) {
+        return new Promise((resolve, reject) => {
+            connection.loadExtension(extension, err => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = Initializer;
@@ -0,0 +1,179 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Supported module extensions.
+ */
+const EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+/**
+ * Module discovery and loading which supports nested directories and ES modules.
+ *
+ * A module found in a nested directory is identified by its file name, e.g.
+ * `sales/Order.js` is the `Order` model, its relative path `sales/Order` is used to
+ * match include and exclude patterns and to look up related modules, e.g.
+ * `extend/sales/Order.js` is used before `extend/Order.js`.
+ */
+class Loader {
+
+    /**
+     * Scan directory for modules.
+     *
+     * @param {string} dir Directory
+     * @param {object} options Scan options
+     * @param {boolean} options.recursive Scan nested directories
+     * @param {string[]} options.skips Directories to skip
+     * @param {string|string[]} options.include Include patterns
+     * @param {string|string[]} options.exclude Exclude patterns
+     * @returns {object[]} Found modules with `name`, `relative`, and `file`
+     */
+    static scan(dir, options = {}) {
+        const res = [];
+        const skips = (options.skips || []).map(d => path.resolve(d));
+        const f = (d, prefix) => {
+            fs.readdirSync(d).sort().forEach(file => {
+                const filename = path.join(d, file);
+                if (fs.statSync(filename).isDirectory()) {
+                    if (options.recursive && skips.indexOf(path.resolve(filename)) < 0 && file !== 'node_modules') {
+                        f(filename, prefix + file + '/');
+                    }
+                    return;
+                }
+                const ext = path.extname(file);
+                if (EXTENSIONS.indexOf(ext) >= 0) {
+                    const name = file.substring(0, file.length - ext.length);
+                    const relative = prefix + name;
+                    if (this.isMatch(relative, options.include, true) && !this.isMatch(relative, options.exclude, false)) {
+                        res.push({name, relative, file: filename});
+                    }
+                }
+            });
+        }
+        if (fs.existsSync(dir)) {
+            f(dir, '');
+        }
+        return res;
+    }
+
+    /**
+     * Find a module in directory by its relative path, falling back to its name.
+     *
+     * @param {string} dir Directory
+     * @param {string} relative Relative path without extension
+     * @param {string} name Module name
+     * @returns {string|undefined}
+     */
+    static find(dir, relative, name = null) {
+        const candidates = [relative];
+        if (name && name !== relative) {
+            candidates.push(name);
+        }
+        for (const candidate of candidates) {
+            for (const ext of EXTENSIONS) {
+                const filename = path.join(dir, candidate + ext);
+                if (fs.existsSync(filename)) {
+                    return filename;
+                }
+            }
+        }
+    }
+
+    /**
+     * Load a module, ES module is loaded using dynamic import and its default
+     * export is returned.
+     *
+     * @param {string} filename Module file name
+     * @returns {Promise<any>}
+     */
+    static load(filename) {
+        if (!filename.endsWith('.mjs')) {
+            try {
+                return Promise.resolve(require(filename));
+            }
+            catch (err) {
+                if (err.code !== 'ERR_REQUIRE_ESM') {
+                    return Promise.reject(err);
+                }
+            }
+        }
+        return import(pathToFileURL(filename).href)
+            .then(mod => mod.default !== undefined ? mod.default : mod);
+    }
+
+    /**
+     * Check if relative path matches one of patterns.
+     *
+     * @param {string} relative Relative path
+     * @param {string|string[]} patterns Patterns
+     * @param {boolean} empty Returned value when there is no pattern
+     * @returns {boolean}
+     */
+    static isMatch(relative, patterns, empty) {
+        if (typeof patterns === 'string') {
+            patterns = [patterns];
+        }
+        if (!Array.isArray(patterns) || !patterns.length) {
+            return empty;
+        }
+        return patterns.some(pattern => this.toRegExp(pattern).test(relative));
+    }
+
+    /**
+     * Convert glob pattern to regular expression, supports `*`, `**`, and `?`.
+     *
+     * @param {string} pattern Glob pattern
+     * @returns {RegExp}
+     */
+    static toRegExp(pattern) {
+        let re = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const c = pattern[i];
+            if (c === '*') {
+                if (pattern[i + 1] === '*') {
+                    i++;
+                    // `**/` also matches top level
+                    if (pattern[i + 1] === '/') {
+                        re += '(?:.*/)?';
+                        i++;
+                    } else {
+                        re += '.*';
+                    }
+                } else {
+                    re += '[^/]*';
+                }
+            } else if (c === '?') {
+                re += '[^/]';
+            } else {
+                re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${re}$`);
+    }
+}
+
+module.exports = Loader;
@@ -0,0 +1,399 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes, Op, BelongsToAssociation } = require('@sequelize/core');
+
+/**
+ * Paginated and searchable model lookup, e.g. for dropdowns and autocompletes.
+ *
+ * Rows are labelled using `toString()` and the search term is matched against the
+ * fields used in the model string representation, see `Stringable`. BelongsTo
+ * associations are included using `Manager.getIncludes()` so the labels which
+ * depend on associations are rendered.
+ */
+class Lookup {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Lookup model rows.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @param {object} options Lookup options
+     * @param {string} options.search Search term, each word must match one of search fields
+     * @param {string[]} options.fields Search fields, default to fields of string representation
+     * @param {object} options.where Additional where conditions
+     * @param {string|string[]|Array} options.order Order fields, prefix with `-` for descending,
+     *   e.g. `['-Date', 'Customer.Name']`, default to primary key
+     * @param {number} options.limit Number of items, default to 20
+     * @param {number} options.offset Number of items to skip
+     * @param {string} options.cursor Cursor returned by previous lookup, used instead of offset
+     * @param {string} options.locale Locale passed to `toString()`
+     * @param {boolean} options.raw Include model instance as `row` in items
+     * @param {string[]|object} options.include Association paths to include instead of BelongsTo associations
+     * @param {function} options.optionsCallback A callback to call to transform options for findAll()
+     * @returns {Promise<object>} Resolved with `items` of `value` and `label`, `total`, and `cursor`
+     */
+    lookup(model, options = {}) {
+        return new Promise((resolve, reject) => {
+            const m = this.getModel(model);
+            if (!m) {
+                return reject(new Error(`Unable to lookup unknown model ${model}!`));
+            }
+            const keys = m.primaryKeyAttributes;
+            if (!keys.length) {
+                return reject(new Error(`Unable to lookup ${m.name} without primary key!`));
+            }
+            const limit = options.limit !== undefined ? options.limit : 20;
+            const includes = options.include ? this.manager.buildIncludes(m, options.include) : this.manager.getIncludes(m);
+            const order = this.getOrder(m, options.order);
+            const where = [];
+            if (options.where) {
+                where.push(options.where);
+            }
+            const search = this.getSearch(m, options.search, options.fields, includes);
+            if (search) {
+                where.push(search);
+            }
+            const query = {where: {[Op.and]: where}};
+            if (includes.length) {
+                query.include = includes;
+            }
+            if (typeof options.optionsCallback === 'function') {
+                options.optionsCallback(query);
+            }
+            const findQuery = Object.assign({}, query, {
+                order: order.map(o => [...o.path.split('.'), this.getDirection(o)]),
+                limit: limit + 1,
+            });
+            if (options.cursor) {
+                findQuery.where = {[Op.and]: [query.where, this.getCursorWhere(order, this.getCursorValues(m, order, this.decodeCursor(options.cursor)))]};
+            } else if (options.offset) {
+                findQuery.offset = options.offset;
+            }
+            Promise.all([m.count(Object.assign({}, query, {distinct: true})), m.findAll(findQuery)])
+                .then(([total, rows]) => {
+                    const more = rows.length > limit;
+                    if (more) {
+                        rows = rows.slice(0, limit);
+                    }
+                    const items = rows.map(row => {
+                        const item = {
+                            value: keys.length > 1 ? keys.map(key => row.get(key)) : row.get(keys[0]),
+                            label: options.locale ? row.toString(options.locale) : row.toString(),
+                        };
+                        if (options.raw) {
+                            item.row = row;
+                        }
+                        return item;
+                    });
+                    resolve({
+                        items,
+                        total,
+                        cursor: more ? this.encodeCursor(order.map(o => this.getValue(rows[rows.length - 1], o.path))) : null,
+                    });
+                })
+                .catch(err => reject(err));
+        });
+    }
+
+    /**
+     * Get model from model, model name, or table name.
+     *
+     * @param {Model|string} model Sequelize model, model name, or table name
+     * @returns {Model|undefined}
+     */
+    getModel(model) {
+        if (typeof model === 'string') {
+            for (const m of this.manager.db.models) {
+                if (m.name === model) {
+                    return m;
+                }
+            }
+            return this.manager.getModelFromTable(model);
+        }
+        return model;
+    }
+
+    /**
+     * Get search fields from model string representation, a field of BelongsTo
+     * association is written as `Association.Field`. Text attributes are used
+     * when model has no string representation template. Only text fields are
+     * searched.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {string[]}
+     */
+    getSearchFields(model) {
+        const res = [];
+        const stringable = this.manager.getStringable();
+        if (model.stringable && stringable.isTemplate(model.stringable)) {
+            stringable.getExpressions(model.stringable).forEach(expression => {
+                if (res.indexOf(expression.path) < 0) {
+                    res.push(expression.path);
+                }
+            });
+        } else if (typeof model.stringable === 'string' && model.getAttributes()[model.stringable]) {
+            res.push(model.stringable);
+        } else {
+            const attributes = model.getAttributes();
+            Object.keys(attributes).forEach(attr => {
+                if (this.isText(attributes[attr])) {
+                    res.push(attr);
+                }
+            });
+        }
+        return res;
+    }
+
+    /**
+     * Get search where conditions.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} search Search term
+     * @param {string[]} fields Search fields
+     * @param {object[]} includes Model includes
+     * @returns {object|undefined}
+     */
+    getSearch(model, search, fields, includes) {
+        if (search === undefined || search === null || String(search).trim() === '') {
+            return;
+        }
+        const columns = (fields || this.getSearchFields(model))
+            .filter(field => this.isSearchable(model, field, includes))
+            .map(field => field.indexOf('.') < 0 ? field : `$${field}$`);
+        if (!columns.length) {
+            throw new Error(`Model ${model.name} has no searchable fields!`);
+        }
+        const like = this.manager.db.dialect.name === 'postgres' ? Op.iLike : Op.like;
+        return {
+            [Op.and]: String(search).trim().split(/\s+/).map(word => ({
+                [Op.or]: columns.map(column => ({[column]: {[like]: `%${word}%`}})),
+            })),
+        };
+    }
+
+    /**
+     * Check if attribute is a text attribute.
+     *
+     * @param {object} attribute Model attribute
+     * @returns {boolean}
+     */
+    isText(attribute) {
+        return attribute.type instanceof DataTypes.STRING || attribute.type instanceof DataTypes.CHAR ||
+            attribute.type instanceof DataTypes.TEXT || attribute.type instanceof DataTypes.CITEXT;
+    }
+
+    /**
+     * Check if field is a text attribute of model or its included BelongsTo association.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} field Field path
+     * @param {object[]} includes Model includes
+     * @returns {boolean}
+     */
+    isSearchable(model, field, includes) {
+        const parts = field.split('.');
+        const attr = parts.pop();
+        for (const part of parts) {
+            const association = model.associations[part];
+            const include = (includes || []).find(incl => incl.as === part);
+            if (!(association instanceof BelongsToAssociation) || !include) {
+                return false;
+            }
+            model = association.target;
+            includes = include.include;
+        }
+        const attribute = model.getAttributes()[attr];
+        return attribute !== undefined && this.isText(attribute);
+    }
+
+    /**
+     * Normalize order, primary keys are appended so rows are always ordered uniquely.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string|string[]|Array} order Order fields
+     * @returns {object[]} Order with `path` and `desc`
+     */
+    getOrder(model, order) {
+        const res = [];
+        if (typeof order === 'string') {
+            order = [order];
+        }
+        (Array.isArray(order) ? order : []).forEach(o => {
+            if (Array.isArray(o)) {
+                res.push({path: o[0], desc: String(o[1]).toUpperCase() === 'DESC'});
+            } else if (o.startsWith('-')) {
+                res.push({path: o.substring(1), desc: true});
+            } else {
+                res.push({path: o, desc: false});
+            }
+        });
+        model.primaryKeyAttributes.forEach(key => {
+            if (!res.find(o => o.path === key)) {
+                res.push({path: key, desc: false});
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Get order direction. Null is ordered as the lowest value, which is the default
+     * of most dialects except PostgreSQL.
+     *
+     * @param {object} order Normalized order
+     * @returns {string}
+     */
+    getDirection(order) {
+        if (this.manager.db.dialect.name === 'postgres') {
+            return order.desc ? 'DESC NULLS LAST' : 'ASC NULLS FIRST';
+        }
+        return order.desc ? 'DESC' : 'ASC';
+    }
+
+    /**
+     * Get attribute of field path.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} path Field path
+     * @returns {object|undefined}
+     */
+    getAttribute(model, path) {
+        const parts = path.split('.');
+        const attr = parts.pop();
+        for (const part of parts) {
+            if (!model.associations[part]) {
+                return;
+            }
+            model = model.associations[part].target;
+        }
+        return model.getAttributes()[attr];
+    }
+
+    /**
+     * Convert decoded cursor values back to attribute values, e.g. date is encoded as string.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object[]} order Normalized order
+     * @param {Array} values Decoded cursor values
+     * @returns {Array}
+     */
+    getCursorValues(model, order, values) {
+        if (!Array.isArray(values) || values.length !== order.length) {
+            throw new Error('Lookup cursor is not valid for the order!');
+        }
+        const writer = this.manager.getWriter();
+        return values.map((value, i) => {
+            const attribute = this.getAttribute(model, order[i].path);
+            if (!attribute || value === null) {
+                return value;
+            }
+            try {
+                return writer.coerce(attribute, typeof value === 'string' ? value : String(value));
+            }
+            catch (err) {
+                throw new Error('Lookup cursor is not valid!');
+            }
+        });
+    }
+
+    /**
+     * Get where conditions of rows after cursor, null is the lowest value.
+     *
+     * @param {object[]} order Normalized order
+     * @param {Array} values Cursor values
+     * @returns {object}
+     */
+    getCursorWhere(order, values) {
+        if (!Array.isArray(values) || values.length !== order.length) {
+            throw new Error('Lookup cursor is not valid for the order!');
+        }
+        const column = path => path.indexOf('.') < 0 ? path : `$${path}$`;
+        const after = (o, value) => {
+            if (value === null) {
+                // every value comes after null ascending, nothing comes after null descending
+                return o.desc ? null : {[Op.ne]: null};
+            }
+            return o.desc ? {[Op.or]: [{[Op.lt]: value}, {[Op.is]: null}]} : {[Op.gt]: value};
+        }
+        const conditions = [];
+        order.forEach((o, i) => {
+            const condition = after(o, values[i]);
+            if (condition) {
+                const res = {};
+                for (let j = 0; j < i; j++) {
+                    res[column(order[j].path)] = values[j];
+                }
+                res[column(o.path)] = condition;
+                conditions.push(res);
+            }
+        });
+        return {[Op.or]: conditions};
+    }
+
+    /**
+     * Get value of field path.
+     *
+     * @param {Model} row Model instance
+     * @param {string} path Field path
+     * @returns {any}
+     */
+    getValue(row, path) {
+        return path.split('.').reduce((value, part) => value === null || value === undefined ? value : value.get(part), row);
+    }
+
+    /**
+     * Encode cursor values.
+     *
+     * @param {Array} values Cursor values
+     * @returns {string}
+     */
+    encodeCursor(values) {
+        return Buffer.from(JSON.stringify(values)).toString('base64url');
+    }
+
+    /**
+     * Decode cursor values.
+     *
+     * @param {string} cursor Cursor
+     * @returns {Array}
+     */
+    decodeCursor(cursor) {
+        try {
+            return JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        }
+        catch (err) {
+            throw new Error('Lookup cursor is not valid!');
+        }
+    }
+}
+
+module.exports = Lookup;
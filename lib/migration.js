@@ -0,0 +1,245 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Work = require('@ntlab/work/work');
+const Queue = require('@ntlab/work/queue');
+const { DataTypes } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:migration');
+
+/**
+ * A migration step.
+ *
+ * Example:
+ *
+ * ```
+ * module.exports = {
+ *     up(manager, queryInterface) {
+ *         return queryInterface.addColumn('user', 'Email', {type: DataTypes.STRING(100)});
+ *     },
+ *     down(manager, queryInterface) {
+ *         return queryInterface.removeColumn('user', 'Email');
+ *     }
+ * }
+ * ```
+ *
+ * @callback migrationCallback
+ * @param {Manager} manager Model manager
+ * @param {QueryInterface} queryInterface Sequelize query interface
+ * @returns {Promise}
+ */
+
+/**
+ * Versioned migration.
+ *
+ * Migrations are `*.js` files in the migration directory, applied in the order of
+ * their file name, e.g. `20260101000000-add-user-email.js`. Each migration exports
+ * `up()` and `down()` functions. Applied migrations are tracked in the migration table.
+ */
+class Migration {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.tableName = manager.config.migrationtable || 'sequelize_migration';
+    }
+
+    /**
+     * Get query interface.
+     *
+     * @returns {QueryInterface}
+     */
+    getQueryInterface() {
+        return this.manager.db.queryInterface;
+    }
+
+    /**
+     * Create migration table if not exist.
+     *
+     * @returns {Promise}
+     */
+    setup() {
+        return this.getQueryInterface().createTable(this.tableName, {
+            name: {type: DataTypes.STRING(255), primaryKey: true, allowNull: false},
+            batch: {type: DataTypes.INTEGER, allowNull: false},
+            migratedAt: {type: DataTypes.DATE, allowNull: false},
+        });
+    }
+
+    /**
+     * Get available migrations sorted by name.
+     *
+     * @returns {string[]}
+     */
+    getMigrations() {
+        const res = [];
+        if (fs.existsSync(this.manager.migrationDir)) {
+            fs.readdirSync(this.manager.migrationDir).forEach(file => {
+                if (file.endsWith('.js')) {
+                    res.push(file.substring(0, file.length - 3));
+                }
+            });
+        }
+        return res.sort();
+    }
+
+    /**
+     * Load a migration.
+     *
+     * @param {string} name Migration name
+     * @returns {object}
+     */
+    getMigration(name) {
+        const migration = require(path.join(this.manager.migrationDir, name));
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${name} must export up() function!`);
+        }
+        return migration;
+    }
+
+    /**
+     * Get applied migrations ordered by batch and name.
+     *
+     * @returns {Promise<object[]>}
+     */
+    getApplied() {
+        return Work.works([
+            [w => this.setup()],
+            [w => this.getQueryInterface().select(null, this.tableName, {raw: true})],
+            [w => Promise.resolve(w.getRes(1).sort((a, b) => a.batch - b.batch || a.name.localeCompare(b.name)))],
+        ]);
+    }
+
+    /**
+     * Get migrations status.
+     *
+     * @returns {Promise<object[]>} Resolved with `name`, `applied`, `batch`, and `migratedAt` of each migration
+     */
+    status() {
+        return Work.works([
+            [w => this.getApplied()],
+            [w => new Promise((resolve, reject) => {
+                const applied = w.getRes(0);
+                const res = this.getMigrations().map(name => {
+                    const m = applied.find(m => m.name === name);
+                    return {name, applied: m ? true : false, batch: m ? m.batch : null, migratedAt: m ? new Date(m.migratedAt) : null};
+                });
+                // applied migrations whose file no longer exist
+                applied.forEach(m => {
+                    if (!res.find(r => r.name === m.name)) {
+                        res.push({name: m.name, applied: true, batch: m.batch, migratedAt: new Date(m.migratedAt), missing: true});
+                    }
+                });
+                resolve(res);
+            })],
+        ]);
+    }
+
+    /**
+     * Apply pending migrations.
+     *
+     * @param {object} options Migrate options
+     * @param {string} options.to Stop after applying this migration
+     * @returns {Promise<string[]>} Resolved with applied migration names
+     */
+    migrate(options = {}) {
+        return Work.works([
+            [w => this.getApplied()],
+            [w => new Promise((resolve, reject) => {
+                const res = [];
+                const applied = w.getRes(0);
+                const batch = applied.reduce((batch, m) => Math.max(batch, m.batch), 0) + 1;
+                const names = applied.map(m => m.name);
+                let pending = this.getMigrations().filter(name => names.indexOf(name) < 0);
+                if (options.to) {
+                    if (pending.indexOf(options.to) < 0) {
+                        return reject(new Error(`Migration ${options.to} is not pending!`));
+                    }
+                    pending = pending.slice(0, pending.indexOf(options.to) + 1);
+                }
+                const q = new Queue(pending, name => {
+                    Work.works([
+                        [w => Promise.resolve(this.getMigration(name))],
+                        [w => Promise.resolve(debug(`Applying migration ${name}`))],
+                        [w => Promise.resolve(w.getRes(0).up(this.manager, this.getQueryInterface()))],
+                        [w => this.getQueryInterface().bulkInsert(this.tableName, [{name, batch, migratedAt: new Date()}])],
+                    ])
+                    .then(() => {
+                        res.push(name);
+                        q.next();
+                    })
+                    .catch(err => {
+                        err.migration = name;
+                        err.applied = res;
+                        reject(err);
+                    });
+                });
+                q.once('done', () => resolve(res));
+            })],
+        ]);
+    }
+
+    /**
+     * Revert applied migrations, the latest applied first.
+     *
+     * @param {number} steps Number of migrations to revert
+     * @returns {Promise<string[]>} Resolved with reverted migration names
+     */
+    rollback(steps = 1) {
+        return Work.works([
+            [w => this.getApplied()],
+            [w => new Promise((resolve, reject) => {
+                const res = [];
+                const reverts = w.getRes(0).reverse().slice(0, steps);
+                const q = new Queue(reverts.map(m => m.name), name => {
+                    Work.works([
+                        [w => Promise.resolve(this.getMigration(name))],
+                        [w => Promise.reject(new Error(`Migration ${name} can't be reverted, down() is missing!`)),
+                            w => typeof w.getRes(0).down !== 'function'],
+                        [w => Promise.resolve(debug(`Reverting migration ${name}`))],
+                        [w => Promise.resolve(w.getRes(0).down(this.manager, this.getQueryInterface()))],
+                        [w => this.getQueryInterface().bulkDelete(this.tableName, {where: {name}})],
+                    ])
+                    .then(() => {
+                        res.push(name);
+                        q.next();
+                    })
+                    .catch(err => {
+                        err.migration = name;
+                        err.reverted = res;
+                        reject(err);
+                    });
+                });
+                q.once('done', () => resolve(res));
+            })],
+        ]);
+    }
+}
+
+module.exports = Migration;
@@ -0,0 +1,775 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { Op } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:rest');
+
+/**
+ * Model operations.
+ */
+const OPERATIONS = ['list', 'get', 'create', 'update', 'delete'];
+
+/**
+ * Filter operators, used as `field[op]=value` query parameter.
+ */
+const OPERATORS = {
+    eq: Op.eq,
+    ne: Op.ne,
+    gt: Op.gt,
+    gte: Op.gte,
+    lt: Op.lt,
+    lte: Op.lte,
+    like: Op.like,
+    in: Op.in,
+    notIn: Op.notIn,
+};
+
+/**
+ * Query parameters which are not filters.
+ */
+const RESERVED = ['sort', 'limit', 'offset', 'page'];
+
+/**
+ * REST error carrying HTTP status.
+ */
+class RestError extends Error {
+
+    /**
+     * Constructor.
+     *
+     * @param {number} status HTTP status
+     * @param {string} message Error message
+     * @param {object[]} errors Field errors
+     */
+    constructor(status, message, errors = null) {
+        super(message);
+        this.name = 'RestError';
+        this.status = status;
+        if (errors) {
+            this.errors = errors;
+        }
+    }
+}
+
+/**
+ * Framework neutral REST handler of loaded models.
+ *
+ * Each model is exposed as resource named after its table:
+ *
+ * * `GET /<table>` lists rows, filtered by `field=value` or `field[op]=value`, sorted
+ *   by `sort=-field,field`, and paginated by `limit` and `offset` or `page`
+ * * `POST /<table>` creates a row
+ * * `GET /<table>/<id>` returns a row
+ * * `PUT /<table>/<id>` or `PATCH /<table>/<id>` updates a row
+ * * `DELETE /<table>/<id>` deletes a row
+ *
+ * Composite primary key is passed as comma separated values in primary key order.
+ * BelongsTo associations are included using `Manager.getIncludes()` and input
+ * is mapped using `Manager.setValues()` so nested values are saved too. Each nested
+ * value is subject to the associated model config as if it was requested directly,
+ * see `checkNested()`.
+ *
+ * Use `handler()` with Node's `http` module or Express, or `handle()` to adapt
+ * other frameworks.
+ */
+class Rest {
+
+    /**
+     * Constructor.
+     *
+     * Models config accepts `false` to hide the model, or an object:
+     *
+     * * `operations`: allowed operations, default to all
+     * * `fields`: readable and writable fields, default to all attributes and included
+     *   associations
+     * * `exclude`: fields never read nor written, e.g. password
+     * * `readonly`: fields which can be read but not written
+     * * `authorize`: model authorization hook, see below
+     *
+     * Authorization hook is called with context of `operation`, `model`, `id`,
+     * `query`, `body`, and `request`. For `list` and `get`, context `options` is the
+     * find options which can be amended, e.g. to restrict rows. For `update` and
+     * `delete`, context `instance` is the row. Return `false` or throw to deny.
+     *
+     * @param {Manager} manager Model manager
+     * @param {object} options Options
+     * @param {string} options.prefix Path prefix, e.g. `/api`
+     * @param {object} options.models Models config keyed by model name
+     * @param {boolean} options.exposeAll Expose models without config, default to true
+     * @param {function} options.authorize Authorization hook of all models
+     * @param {number} options.limit Default page size, default to 20
+     * @param {number} options.maxLimit Maximum page size, default to 100
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.options = Object.assign({prefix: '', models: {}, exposeAll: true, limit: 20, maxLimit: 100}, options);
+        this.options.prefix = this.options.prefix.replace(/\/+$/, '');
+    }
+
+    /**
+     * Create request handler for Node's `http` module and Express.
+     *
+     * Request body is read and parsed as JSON unless it's already parsed. Requests
+     * outside the exposed routes are passed to `next` when available, otherwise
+     * responded with 404.
+     *
+     * @returns {function} Handler of `req`, `res`, and `next`
+     */
+    handler() {
+        return (req, res, next) => {
+            this.readBody(req)
+                .then(body => this.handle({method: req.method, url: req.originalUrl || req.url, body, request: req}))
+                .then(result => {
+                    if (!result && typeof next === 'function') {
+                        return next();
+                    }
+                    if (!result) {
+                        result = this.getErrorResult(new RestError(404, 'Not found!'));
+                    }
+                    res.statusCode = result.status;
+                    if (result.body === undefined) {
+                        res.end();
+                    } else {
+                        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+                        res.end(JSON.stringify(result.body));
+                    }
+                })
+                .catch(err => {
+                    if (typeof next === 'function') {
+                        return next(err);
+                    }
+                    res.statusCode = 500;
+                    res.end();
+                });
+        };
+    }
+
+    /**
+     * Read request body as JSON.
+     *
+     * @param {IncomingMessage} req Request
+     * @returns {Promise<any>}
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            if (req.body !== undefined || ['GET', 'HEAD', 'DELETE'].indexOf(req.method) >= 0) {
+                return resolve(req.body);
+            }
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                const data = Buffer.concat(chunks).toString();
+                try {
+                    resolve(data.length ? JSON.parse(data) : undefined);
+                }
+                catch (err) {
+                    resolve(new RestError(400, 'Request body is not a valid JSON!'));
+                }
+            });
+            req.on('error', err => reject(err));
+        });
+    }
+
+    /**
+     * Handle request.
+     *
+     * @param {object} request Request
+     * @param {string} request.method HTTP method
+     * @param {string} request.url Request URL including query string
+     * @param {object} request.query Parsed query, used instead of URL query string
+     * @param {any} request.body Parsed body
+     * @param {any} request.request Original request, passed to authorization hooks
+     * @returns {Promise<object|null>} Resolved with `status` and `body`, or null when the route is not exposed
+     */
+    async handle(request) {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            const route = this.getRoute(request.method, url.pathname);
+            if (!route) {
+                return null;
+            }
+            if (request.body instanceof RestError) {
+                throw request.body;
+            }
+            if (!route.operation) {
+                throw new RestError(405, `Method ${request.method} is not allowed!`);
+            }
+            if (this.getOperations(route.model).indexOf(route.operation) < 0) {
+                throw new RestError(405, `Operation ${route.operation} of ${route.model.name} is not allowed!`);
+            }
+            const context = {
+                operation: route.operation,
+                model: route.model,
+                id: route.id,
+                query: request.query || Object.fromEntries(url.searchParams),
+                body: request.body,
+                request: request.request,
+            };
+            debug(`${route.operation} ${route.model.name}${route.id !== undefined ? ' ' + route.id : ''}`);
+            switch (route.operation) {
+                case 'list':
+                    return {status: 200, body: await this.doList(context, request.query ? null : url.searchParams)};
+                case 'get':
+                    return {status: 200, body: await this.doGet(context)};
+                case 'create':
+                    return {status: 201, body: await this.doCreate(context)};
+                case 'update':
+                    return {status: 200, body: await this.doUpdate(context)};
+                case 'delete':
+                    await this.doDelete(context);
+                    return {status: 204};
+            }
+        }
+        catch (err) {
+            if (!(err instanceof RestError)) {
+                throw err;
+            }
+            return this.getErrorResult(err);
+        }
+    }
+
+    /**
+     * Get route of request.
+     *
+     * @param {string} method HTTP method
+     * @param {string} pathname Request path
+     * @returns {object|undefined} Route with `model`, `id`, and `operation`
+     * @throws {RestError} When the path is not properly encoded
+     */
+    getRoute(method, pathname) {
+        const prefix = this.options.prefix;
+        if (prefix && pathname !== prefix && !pathname.startsWith(prefix + '/')) {
+            return;
+        }
+        const parts = pathname.substr(prefix.length).split('/').filter(p => p.length).map(p => {
+            try {
+                return decodeURIComponent(p);
+            }
+            catch (err) {
+                throw new RestError(400, `Request path ${pathname} is not valid!`);
+            }
+        });
+        if (parts.length < 1 || parts.length > 2) {
+            return;
+        }
+        const model = this.getModel(parts[0]);
+        if (!model) {
+            return;
+        }
+        const res = {model};
+        if (parts.length > 1) {
+            res.id = parts[1];
+            res.operation = {GET: 'get', HEAD: 'get', PUT: 'update', PATCH: 'update', DELETE: 'delete'}[method];
+        } else {
+            res.operation = {GET: 'list', HEAD: 'list', POST: 'create'}[method];
+        }
+        return res;
+    }
+
+    /**
+     * Get exposed model of resource.
+     *
+     * @param {string} resource Resource name
+     * @returns {Model|undefined}
+     */
+    getModel(resource) {
+        for (const model of this.manager.db.models) {
+            if (model.table.tableName === resource && model.primaryKeyAttributes.length && this.getConfig(model)) {
+                return model;
+            }
+        }
+    }
+
+    /**
+     * Get model config.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {object|null} Model config or null when the model is not exposed
+     */
+    getConfig(model) {
+        const config = this.options.models[model.name];
+        if (config === false || (config === undefined && !this.options.exposeAll)) {
+            return null;
+        }
+        return config || {};
+    }
+
+    /**
+     * Get allowed operations of model.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {string[]}
+     */
+    getOperations(model) {
+        const config = this.getConfig(model) || {};
+        return Array.isArray(config.operations) ? config.operations.filter(op => OPERATIONS.indexOf(op) >= 0) : OPERATIONS;
+    }
+
+    /**
+     * Get readable fields of model.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {string[]}
+     */
+    getReadableFields(model) {
+        const config = this.getConfig(model) || {};
+        const fields = Array.isArray(config.fields) ? config.fields : Object.keys(model.getAttributes());
+        const exclude = Array.isArray(config.exclude) ? config.exclude : [];
+        return fields.filter(field => exclude.indexOf(field) < 0);
+    }
+
+    /**
+     * Get writable fields of model.
+     *
+     * Generated values, auto increment keys and timestamps, are not writable.
+     * Associations are writable only when listed in config `fields`.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {string[]}
+     */
+    getWritableFields(model) {
+        const config = this.getConfig(model) || {};
+        const attributes = model.getAttributes();
+        const timestamps = Object.values(model.modelDefinition.timestampAttributeNames);
+        const readonly = Array.isArray(config.readonly) ? config.readonly : [];
+        return this.getReadableFields(model)
+            .filter(field => readonly.indexOf(field) < 0 && timestamps.indexOf(field) < 0)
+            .filter(field => attributes[field] ? !attributes[field].autoIncrement : model.associations[field]);
+    }
+
+    /**
+     * Authorize operation using global and model hooks.
+     *
+     * @param {object} context Operation context
+     * @returns {Promise}
+     */
+    async authorize(context) {
+        const config = this.getConfig(context.model) || {};
+        for (const authorize of [this.options.authorize, config.authorize]) {
+            if (typeof authorize === 'function' && await authorize(context) === false) {
+                throw new RestError(403, `Operation ${context.operation} of ${context.model.name} is forbidden!`);
+            }
+        }
+    }
+
+    /**
+     * List rows.
+     *
+     * @param {object} context Operation context
+     * @param {URLSearchParams|null} params Query parameters, allows repeated filter
+     * @returns {Promise<object>} Resolved with `items`, `total`, `limit`, and `offset`
+     */
+    async doList(context, params) {
+        const model = context.model;
+        const entries = params ? [...params.entries()] : [];
+        if (!params) {
+            // parsed query might nest operators as object, e.g. {Age: {gte: 10}}
+            Object.keys(context.query).forEach(k => {
+                const value = context.query[k];
+                if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.keys(value).forEach(op => entries.push([`${k}[${op}]`, value[op]]));
+                } else {
+                    entries.push([k, value]);
+                }
+            });
+        }
+        const limit = this.getNumber(context.query.limit, 'limit', this.options.limit);
+        if (limit < 1 || limit > this.options.maxLimit) {
+            throw new RestError(400, `Parameter limit must be between 1 and ${this.options.maxLimit}!`);
+        }
+        let offset = this.getNumber(context.query.offset, 'offset', 0);
+        if (context.query.page !== undefined) {
+            offset = (Math.max(this.getNumber(context.query.page, 'page', 1), 1) - 1) * limit;
+        }
+        context.options = {
+            where: this.getWhere(model, entries.filter(([k]) => RESERVED.indexOf(k) < 0)),
+            order: this.getOrder(model, context.query.sort),
+            limit,
+            offset,
+            distinct: true,
+        };
+        const includes = this.manager.getIncludes(model);
+        if (includes.length) {
+            context.options.include = includes;
+        }
+        await this.authorize(context);
+        const res = await model.findAndCountAll(context.options);
+        return {
+            items: res.rows.map(row => this.serialize(row)),
+            total: res.count,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * Get row.
+     *
+     * @param {object} context Operation context
+     * @returns {Promise<object>}
+     */
+    async doGet(context) {
+        return this.serialize(await this.findRow(context, true));
+    }
+
+    /**
+     * Create row.
+     *
+     * @param {object} context Operation context
+     * @returns {Promise<object>}
+     */
+    async doCreate(context) {
+        const values = this.getValues(context);
+        await this.authorize(context);
+        const instance = context.model.build({});
+        return this.save(context, instance, values);
+    }
+
+    /**
+     * Update row.
+     *
+     * @param {object} context Operation context
+     * @returns {Promise<object>}
+     */
+    async doUpdate(context) {
+        const values = this.getValues(context);
+        context.instance = await this.findRow(context, false);
+        await this.authorize(context);
+        return this.save(context, context.instance, values);
+    }
+
+    /**
+     * Delete row.
+     *
+     * @param {object} context Operation context
+     * @returns {Promise}
+     */
+    async doDelete(context) {
+        context.instance = await this.findRow(context, false);
+        await this.authorize(context);
+        await context.instance.destroy();
+    }
+
+    /**
+     * Find row by primary key.
+     *
+     * @param {object} context Operation context
+     * @param {boolean} authorize Authorize find options
+     * @returns {Promise<Model>}
+     */
+    async findRow(context, authorize) {
+        const model = context.model;
+        const keys = model.primaryKeyAttributes;
+        const values = keys.length > 1 ? context.id.split(',') : [context.id];
+        if (values.length !== keys.length) {
+            throw new RestError(404, `${model.name} ${context.id} not found!`);
+        }
+        const attributes = model.getAttributes();
+        const writer = this.manager.getWriter();
+        const where = {};
+        keys.forEach((key, i) => {
+            try {
+                where[key] = writer.coerce(attributes[key], values[i]);
+            }
+            catch (err) {
+                // an id which can't be a key value can't be found
+                throw new RestError(404, `${model.name} ${context.id} not found!`);
+            }
+        });
+        context.options = {where};
+        const includes = this.manager.getIncludes(model);
+        if (includes.length) {
+            context.options.include = includes;
+        }
+        if (authorize) {
+            await this.authorize(context);
+        }
+        const res = await model.findOne(context.options);
+        if (!res) {
+            throw new RestError(404, `${model.name} ${context.id} not found!`);
+        }
+        return res;
+    }
+
+    /**
+     * Save row and respond with saved row.
+     *
+     * @param {object} context Operation context
+     * @param {Model} instance Model instance
+     * @param {object} values Input values
+     * @returns {Promise<object>}
+     */
+    async save(context, instance, values) {
+        await this.checkNested(context, context.model, values);
+        const issues = this.manager.setValues(instance, values);
+        if (issues.unknown.length) {
+            throw new RestError(422, 'Validation failed!', issues.unknown.map(path => ({path, message: `Field ${path} is unknown!`})));
+        }
+        const res = await this.manager.saveInstance(instance);
+        if (!res.saved) {
+            throw new RestError(422, 'Validation failed!', res.errors);
+        }
+        const model = context.model;
+        const where = {};
+        model.primaryKeyAttributes.forEach(key => {
+            where[key] = res.instance.get(key);
+        });
+        const includes = this.manager.getIncludes(model);
+        return this.serialize(await model.findOne(includes.length ? {where, include: includes} : {where}));
+    }
+
+    /**
+     * Get input values, rejecting fields which are not writable.
+     *
+     * @param {object} context Operation context
+     * @returns {object}
+     */
+    getValues(context) {
+        const body = context.body;
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new RestError(400, 'Request body must be an object!');
+        }
+        const fields = this.getWritableFields(context.model);
+        const denied = Object.keys(body).filter(field => fields.indexOf(field) < 0);
+        if (denied.length) {
+            throw new RestError(422, 'Validation failed!', denied.map(path => ({path, message: `Field ${path} is not writable!`})));
+        }
+        return body;
+    }
+
+    /**
+     * Check nested values against the config of the associated models, recursively.
+     *
+     * A nested value carrying the primary key refers to an existing row, it is an
+     * `update` of that row, or a `get` when it only carries the primary key to link the
+     * row. Otherwise, it is a `create`. The operation must be allowed, the fields must
+     * be writable, and the authorization hooks are called with the nested context which
+     * has `parent` context.
+     *
+     * @param {object} context Operation context
+     * @param {Model} model Sequelize model
+     * @param {object} values Input values
+     * @param {string} prefix Field path prefix
+     * @returns {Promise}
+     */
+    async checkNested(context, model, values, prefix = '') {
+        for (const name of Object.keys(values)) {
+            const association = model.associations[name];
+            const value = values[name];
+            if (!association || value === null || typeof value !== 'object') {
+                continue;
+            }
+            // invalid values are left to be reported by writer
+            const items = Array.isArray(value) ? value.map((v, i) => [v, `${prefix}${name}[${i}]`]) : [[value, `${prefix}${name}`]];
+            for (const [item, path] of items) {
+                if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+                    await this.checkNestedValue(context, association.target, item, path);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check a nested value, see `checkNested()`.
+     *
+     * @param {object} context Parent operation context
+     * @param {Model} model Associated model
+     * @param {object} values Nested values
+     * @param {string} path Field path
+     * @returns {Promise}
+     */
+    async checkNestedValue(context, model, values, path) {
+        if (!this.getConfig(model)) {
+            throw new RestError(422, 'Validation failed!', [{path, message: `Field ${path} is not writable!`}]);
+        }
+        const keys = model.primaryKeyAttributes;
+        const hasKey = keys.length > 0 && keys.every(key => values[key] !== null && values[key] !== undefined);
+        const fields = Object.keys(values).filter(field => !hasKey || keys.indexOf(field) < 0);
+        const nested = {
+            operation: hasKey ? (fields.length ? 'update' : 'get') : 'create',
+            model,
+            id: hasKey ? keys.map(key => values[key]).join(',') : undefined,
+            query: context.query,
+            body: values,
+            request: context.request,
+            parent: context,
+        };
+        if (this.getOperations(model).indexOf(nested.operation) < 0) {
+            throw new RestError(405, `Operation ${nested.operation} of ${model.name} is not allowed!`);
+        }
+        const writable = this.getWritableFields(model);
+        const denied = fields.filter(field => writable.indexOf(field) < 0);
+        if (denied.length) {
+            throw new RestError(422, 'Validation failed!', denied.map(field => ({path: `${path}.${field}`, message: `Field ${path}.${field} is not writable!`})));
+        }
+        if (hasKey) {
+            const where = {};
+            keys.forEach(key => {
+                where[key] = values[key];
+            });
+            nested.options = {where};
+            if (nested.operation === 'get') {
+                // hook may restrict the rows which can be linked
+                await this.authorize(nested);
+            }
+            nested.instance = await model.findOne(nested.options);
+            if (!nested.instance) {
+                throw new RestError(404, `${model.name} ${nested.id} not found!`);
+            }
+        }
+        if (nested.operation !== 'get') {
+            await this.authorize(nested);
+        }
+        await this.checkNested(nested, model, values, `${path}.`);
+    }
+
+    /**
+     * Get where conditions from filters.
+     *
+     * @param {Model} model Sequelize model
+     * @param {Array} filters Filters as key and value pairs
+     * @returns {object}
+     */
+    getWhere(model, filters) {
+        const fields = this.getReadableFields(model);
+        const attributes = model.getAttributes();
+        const res = [];
+        filters.forEach(([key, value]) => {
+            const match = key.match(/^([^\[]+)(\[([a-zA-Z]+)\])?$/);
+            const field = match ? match[1] : key;
+            const op = match && match[3] ? match[3] : 'eq';
+            if (!attributes[field] || fields.indexOf(field) < 0) {
+                throw new RestError(400, `Unable to filter by unknown field ${field}!`);
+            }
+            if (op === 'null') {
+                res.push({[field]: ['1', 'true', 'yes'].indexOf(String(value)) >= 0 ? {[Op.is]: null} : {[Op.not]: null}});
+                return;
+            }
+            if (!OPERATORS[op]) {
+                throw new RestError(400, `Unsupported filter operator ${op}!`);
+            }
+            if (op === 'in' || op === 'notIn') {
+                value = String(value).split(',');
+            }
+            res.push({[field]: {[OPERATORS[op]]: value}});
+        });
+        return {[Op.and]: res};
+    }
+
+    /**
+     * Get order from sort parameter.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} sort Comma separated fields, prefix with `-` for descending
+     * @returns {Array}
+     */
+    getOrder(model, sort) {
+        const fields = this.getReadableFields(model);
+        const attributes = model.getAttributes();
+        const res = [];
+        (typeof sort === 'string' && sort.length ? sort.split(',') : []).forEach(s => {
+            const desc = s.startsWith('-');
+            const field = desc ? s.substr(1) : s;
+            if (!attributes[field] || fields.indexOf(field) < 0) {
+                throw new RestError(400, `Unable to sort by unknown field ${field}!`);
+            }
+            res.push([field, desc ? 'DESC' : 'ASC']);
+        });
+        model.primaryKeyAttributes
+            .filter(key => !res.find(o => o[0] === key))
+            .forEach(key => res.push([key, 'ASC']));
+        return res;
+    }
+
+    /**
+     * Get non negative integer parameter.
+     *
+     * @param {any} value Parameter value
+     * @param {string} name Parameter name
+     * @param {number} defaultValue Default value
+     * @returns {number}
+     */
+    getNumber(value, name, defaultValue) {
+        if (value === undefined || value === '') {
+            return defaultValue;
+        }
+        const res = Number(value);
+        if (!Number.isInteger(res) || res < 0) {
+            throw new RestError(400, `Parameter ${name} must be a non negative integer!`);
+        }
+        return res;
+    }
+
+    /**
+     * Serialize instance to readable fields, including its associated instances.
+     *
+     * @param {Model} instance Model instance
+     * @returns {object}
+     */
+    serialize(instance) {
+        const model = instance.constructor;
+        const config = this.getConfig(model) || {};
+        const fields = this.getReadableFields(model);
+        const res = {};
+        fields.forEach(field => {
+            if (model.getAttributes()[field]) {
+                res[field] = instance.get(field);
+            }
+        });
+        Object.keys(model.associations).forEach(name => {
+            const value = instance.get(name);
+            const target = model.associations[name].target;
+            if (value === undefined || !this.getConfig(target)) {
+                return;
+            }
+            if (Array.isArray(config.fields) ? fields.indexOf(name) < 0 : Array.isArray(config.exclude) && config.exclude.indexOf(name) >= 0) {
+                return;
+            }
+            if (Array.isArray(value)) {
+                res[name] = value.map(v => this.serialize(v));
+            } else {
+                res[name] = value ? this.serialize(value) : null;
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Get error result.
+     *
+     * @param {RestError} err Error
+     * @returns {object}
+     */
+    getErrorResult(err) {
+        const body = {error: err.message};
+        if (err.errors) {
+            body.errors = err.errors;
+        }
+        return {status: err.status, body};
+    }
+}
+
+Rest.RestError = RestError;
+
+module.exports = Rest;
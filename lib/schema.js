@@ -0,0 +1,519 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Work = require('@ntlab/work/work');
+const Queue = require('@ntlab/work/queue');
+const { Sequelize, QueryTypes } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:schema');
+
+/**
+ * Query types which don't modify the database.
+ */
+const READ_QUERIES = [QueryTypes.SELECT, QueryTypes.DESCRIBE, QueryTypes.SHOWINDEXES, QueryTypes.SHOWCONSTRAINTS];
+
+/**
+ * Schema inspector.
+ *
+ * Compares loaded models against the database tables. Each difference is described
+ * as an object with the following keys:
+ *
+ * * `model`: model name
+ * * `table`: table name
+ * * `type`: one of `createTable`, `dropTable`, `addColumn`, `removeColumn`, `changeColumn`,
+ *   `addIndex`, `removeIndex`, `addForeignKey`, or `removeForeignKey`
+ * * `name`: column, index, or constraint name
+ * * `expected`: definition from model
+ * * `actual`: definition from database
+ * * `destructive`: true if the change would lose data
+ */
+class Schema {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Get query interface.
+     *
+     * @returns {QueryInterface}
+     */
+    getQueryInterface() {
+        return this.manager.db.queryInterface;
+    }
+
+    /**
+     * Compare all models against database.
+     *
+     * @returns {Promise<object[]>}
+     */
+    diff() {
+        return new Promise((resolve, reject) => {
+            const res = [];
+            // referenced tables come first so they are created first
+            const models = this.manager.db.models.getModelsTopoSortedByForeignKey();
+            const q = new Queue(models ? models.reverse() : [...this.manager.db.models], model => {
+                this.diffModel(model)
+                    .then(changes => {
+                        res.push(...changes);
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve(res));
+        });
+    }
+
+    /**
+     * Compare model against its table.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {Promise<object[]>}
+     */
+    diffModel(model) {
+        const qi = this.getQueryInterface();
+        const res = [];
+        const change = (type, name, expected, actual, destructive = false) => {
+            const c = {model: model.name, table: model.table.tableName, type};
+            if (name !== undefined) {
+                c.name = name;
+            }
+            if (expected !== undefined) {
+                c.expected = expected;
+            }
+            if (actual !== undefined) {
+                c.actual = actual;
+            }
+            c.destructive = destructive;
+            res.push(c);
+        }
+        return Work.works([
+            [w => qi.tableExists(model.table)],
+            [w => new Promise((resolve, reject) => {
+                change('createTable', undefined, this.getColumns(model, true));
+                // indexes are not part of table creation
+                this.getIndexes(model).forEach(index => change('addIndex', index.name, index));
+                resolve();
+            }), w => !w.getRes(0)],
+            [w => qi.describeTable(model.table), w => w.getRes(0)],
+            [w => qi.showIndex(model.table), w => w.getRes(0)],
+            [w => qi.showConstraints(model.table, {constraintType: 'FOREIGN KEY'}), w => w.getRes(0)],
+            [w => new Promise((resolve, reject) => {
+                const columns = this.getColumns(model);
+                const actualColumns = w.getRes(2);
+                // columns
+                Object.keys(columns).forEach(column => {
+                    const expected = columns[column];
+                    const actual = actualColumns[column];
+                    if (!actual) {
+                        change('addColumn', column, expected);
+                    } else if (!expected.primaryKey && !this.isSameColumn(expected, actual)) {
+                        change('changeColumn', column, expected, this.normalizeColumn(actual));
+                    }
+                });
+                Object.keys(actualColumns).forEach(column => {
+                    if (!columns[column]) {
+                        change('removeColumn', column, undefined, this.normalizeColumn(actualColumns[column]), true);
+                    }
+                });
+                // indexes
+                const indexes = this.getIndexes(model);
+                const actualIndexes = w.getRes(3)
+                    .filter(index => !index.primary && !index.name.startsWith('sqlite_autoindex'))
+                    .map(index => this.normalizeIndex(index));
+                indexes.forEach(index => {
+                    if (!actualIndexes.find(i => i.name === index.name)) {
+                        change('addIndex', index.name, index);
+                    }
+                });
+                actualIndexes.forEach(index => {
+                    if (!indexes.find(i => i.name === index.name)) {
+                        change('removeIndex', index.name, undefined, index);
+                    }
+                });
+                // foreign keys
+                const fks = this.getForeignKeys(model);
+                const actualFks = w.getRes(4).map(fk => ({
+                    name: fk.constraintName,
+                    fields: fk.columnNames,
+                    references: {table: fk.referencedTableName, fields: fk.referencedColumnNames},
+                }));
+                const isSameFk = (a, b) => a.fields.join() === b.fields.join() &&
+                    a.references.table === b.references.table && a.references.fields.join() === b.references.fields.join();
+                fks.forEach(fk => {
+                    if (!actualFks.find(f => isSameFk(f, fk))) {
+                        change('addForeignKey', fk.fields.join(), fk);
+                    }
+                });
+                actualFks.forEach(fk => {
+                    if (!fks.find(f => isSameFk(f, fk))) {
+                        change('removeForeignKey', fk.name, undefined, fk);
+                    }
+                });
+                resolve();
+            }), w => w.getRes(0)],
+            [w => Promise.resolve(res)],
+        ]);
+    }
+
+    /**
+     * Get model columns definition.
+     *
+     * @param {Model} model Sequelize model
+     * @param {boolean} references Include foreign key references, used to create table
+     * @returns {object}
+     */
+    getColumns(model, references = false) {
+        const res = {};
+        for (const [column, attr] of model.modelDefinition.columns) {
+            res[column] = {
+                type: this.getType(attr.type),
+                allowNull: attr.allowNull === false || attr.primaryKey ? false : true,
+            };
+            if (attr.primaryKey) {
+                res[column].primaryKey = true;
+            }
+            if (attr.autoIncrement) {
+                res[column].autoIncrement = true;
+            }
+            if (attr.defaultValue !== undefined && typeof attr.defaultValue !== 'function' && typeof attr.defaultValue !== 'object') {
+                res[column].defaultValue = attr.defaultValue;
+            }
+            if (references && attr.references) {
+                res[column].references = {table: this.getReferencedTable(attr.references), key: attr.references.key || 'id'};
+                ['onUpdate', 'onDelete'].forEach(k => {
+                    if (attr[k]) {
+                        res[column][k] = attr[k];
+                    }
+                });
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Get referenced table name.
+     *
+     * @param {object} references Column references
+     * @returns {string}
+     */
+    getReferencedTable(references) {
+        return typeof references.table === 'object' ? references.table.tableName : references.table;
+    }
+
+    /**
+     * Get SQL type of data type.
+     *
+     * @param {any} type Data type
+     * @returns {string}
+     */
+    getType(type) {
+        return typeof type === 'string' ? type : type.toSql();
+    }
+
+    /**
+     * Get model indexes.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {object[]}
+     */
+    getIndexes(model) {
+        return model.getIndexes().map(index => this.normalizeIndex(index));
+    }
+
+    /**
+     * Get model foreign keys.
+     *
+     * @param {Model} model Sequelize model
+     * @returns {object[]}
+     */
+    getForeignKeys(model) {
+        const res = [];
+        for (const [column, attr] of model.modelDefinition.columns) {
+            if (attr.references) {
+                res.push({fields: [column], references: {table: this.getReferencedTable(attr.references), fields: [attr.references.key || 'id']}});
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Normalize described column.
+     *
+     * @param {object} column Column description
+     * @returns {object}
+     */
+    normalizeColumn(column) {
+        const res = {type: column.type, allowNull: column.allowNull ? true : false};
+        if (column.primaryKey) {
+            res.primaryKey = true;
+        }
+        if (column.defaultValue !== undefined && column.defaultValue !== null) {
+            res.defaultValue = column.defaultValue;
+        }
+        return res;
+    }
+
+    /**
+     * Normalize index.
+     *
+     * @param {object} index Index
+     * @returns {object}
+     */
+    normalizeIndex(index) {
+        return {
+            name: index.name,
+            fields: (index.fields || []).map(field => typeof field === 'string' ? field : (field.attribute || field.name)),
+            unique: index.unique ? true : false,
+        };
+    }
+
+    /**
+     * Check if model column is same as described column.
+     *
+     * @param {object} expected Model column
+     * @param {object} actual Described column
+     * @returns {boolean}
+     */
+    isSameColumn(expected, actual) {
+        const normalize = type => String(type).toUpperCase().replace(/\s+/g, '');
+        return normalize(expected.type) === normalize(actual.type) &&
+            expected.allowNull === (actual.allowNull ? true : false);
+    }
+
+    /**
+     * Get destructive changes of synchronization.
+     *
+     * @param {boolean} force Force synchronization
+     * @param {object} options Synchronization options
+     * @returns {Promise<object[]>}
+     */
+    getDestructiveChanges(force, options = {}) {
+        return Work.works([
+            [w => this.diff()],
+            [w => new Promise((resolve, reject) => {
+                const changes = w.getRes(0);
+                if (force) {
+                    // all existing tables will be dropped
+                    const res = [];
+                    for (const model of this.manager.db.models) {
+                        if (!changes.find(c => c.model === model.name && c.type === 'createTable')) {
+                            res.push({model: model.name, table: model.table.tableName, type: 'dropTable', destructive: true});
+                        }
+                    }
+                    resolve(res);
+                } else {
+                    resolve(changes.filter(c => options.alter && c.destructive));
+                }
+            })],
+        ]);
+    }
+
+    /**
+     * Ensure synchronization doesn't cause destructive changes.
+     *
+     * @param {boolean} force Force synchronization
+     * @param {object} options Synchronization options
+     * @returns {Promise}
+     */
+    check(force, options = {}) {
+        return Work.works([
+            [w => this.getDestructiveChanges(force, options)],
+            [w => new Promise((resolve, reject) => {
+                const changes = w.getRes(0);
+                if (changes.length) {
+                    const err = new Error(`Refusing destructive changes: ${changes.map(c => [c.type, c.table, c.name].filter(Boolean).join(' ')).join(', ')}!`);
+                    err.changes = changes;
+                    return reject(err);
+                }
+                resolve();
+            })],
+        ]);
+    }
+
+    /**
+     * Collect SQL of write queries executed by callback without executing them.
+     *
+     * Models are defined again on a separate Sequelize instance, its read queries are
+     * passed to the manager instance while its write queries are only collected, so
+     * queries running on the manager instance meanwhile are not affected.
+     *
+     * @param {function} callback A callback which receives the separate instance and returns Promise
+     * @returns {Promise<string[]>}
+     */
+    capture(callback) {
+        const db = this.manager.db;
+        const res = [];
+        const sequelize = new Sequelize(Object.assign({}, db.rawOptions, {logging: false}));
+        sequelize.queryRaw = function(sql, options) {
+            if (options && READ_QUERIES.indexOf(options.type) >= 0) {
+                return db.queryRaw(sql, Object.assign({}, options, {transaction: null, connection: undefined}));
+            }
+            debug(`Dry run: ${sql}`);
+            res.push(sql);
+            return Promise.resolve([[], 0]);
+        }
+        for (const model of db.models) {
+            const options = Object.assign({}, model.options);
+            delete options.sequelize;
+            sequelize.define(model.name, model.modelDefinition.rawAttributes, options);
+        }
+        return Work.works([
+            [w => callback(sequelize)],
+            [w => Promise.resolve(res)],
+        ], {done: () => sequelize.close()});
+    }
+
+    /**
+     * Synchronize models of Sequelize instance, the referenced tables first.
+     *
+     * @param {Sequelize} sequelize Sequelize instance
+     * @param {boolean} force Force synchronization
+     * @param {object} options Synchronization options
+     * @returns {Promise}
+     */
+    sync(sequelize, force, options = {}) {
+        return new Promise((resolve, reject) => {
+            const models = sequelize.models.getModelsTopoSortedByForeignKey();
+            const q = new Queue(models ? models.reverse() : [...sequelize.models], model => {
+                model.sync({force, alter: options.alter})
+                    .then(() => q.next())
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve());
+        });
+    }
+
+    /**
+     * Simulate model synchronization.
+     *
+     * The synchronization is done on a separate instance, see `capture()`, so no
+     * `beforeSync` and `afterSync` events are emitted.
+     *
+     * @param {boolean} force Force synchronization
+     * @param {object} options Synchronization options
+     * @returns {Promise<object>} Resolved with `sql`, `changes`, and `destructive` changes
+     */
+    dryRun(force, options = {}) {
+        return Work.works([
+            [w => this.diff()],
+            [w => this.getDestructiveChanges(force, options)],
+            [w => this.capture(sequelize => this.sync(sequelize, force, options))],
+            [w => Promise.resolve({sql: w.getRes(2), changes: w.getRes(0), destructive: w.getRes(1)})],
+        ]);
+    }
+
+    /**
+     * Convert foreign key into constraint options.
+     *
+     * @param {object} fk Foreign key
+     * @param {string} name Constraint name
+     * @returns {object}
+     */
+    toConstraint(fk, name) {
+        return {
+            type: 'FOREIGN KEY',
+            name,
+            fields: fk.fields,
+            references: {table: fk.references.table, fields: fk.references.fields},
+        };
+    }
+
+    /**
+     * Write changes as a new migration.
+     *
+     * @param {object[]} changes Changes from `diff()`
+     * @param {string} name Migration name
+     * @returns {string} Migration file name
+     */
+    writeMigration(changes, name = 'schema') {
+        const ts = new Date().toISOString().replace(/[^0-9]/g, '').substr(0, 14);
+        const filename = path.join(this.manager.migrationDir, `${ts}-${name}.js`);
+        const ups = [], downs = [];
+        const s = v => JSON.stringify(v);
+        // drop dependent objects first and create them last
+        const order = ['removeForeignKey', 'removeIndex', 'removeColumn', 'createTable', 'addColumn', 'changeColumn', 'addIndex', 'addForeignKey'];
+        [...changes].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type)).forEach(c => {
+            const table = s(c.table);
+            switch (c.type) {
+                case 'createTable':
+                    ups.push(`await queryInterface.createTable(${table}, ${s(c.expected)});`);
+                    downs.unshift(`await queryInterface.dropTable(${table});`);
+                    break;
+                case 'addColumn':
+                    ups.push(`await queryInterface.addColumn(${table}, ${s(c.name)}, ${s(c.expected)});`);
+                    downs.unshift(`await queryInterface.removeColumn(${table}, ${s(c.name)});`);
+                    break;
+                case 'removeColumn':
+                    ups.push(`await queryInterface.removeColumn(${table}, ${s(c.name)});`);
+                    downs.unshift(`await queryInterface.addColumn(${table}, ${s(c.name)}, ${s(c.actual)});`);
+                    break;
+                case 'changeColumn':
+                    ups.push(`await queryInterface.changeColumn(${table}, ${s(c.name)}, ${s(c.expected)});`);
+                    downs.unshift(`await queryInterface.changeColumn(${table}, ${s(c.name)}, ${s(c.actual)});`);
+                    break;
+                case 'addIndex':
+                    ups.push(`await queryInterface.addIndex(${table}, ${s(c.expected)});`);
+                    downs.unshift(`await queryInterface.removeIndex(${table}, ${s(c.name)});`);
+                    break;
+                case 'removeIndex':
+                    ups.push(`await queryInterface.removeIndex(${table}, ${s(c.name)});`);
+                    downs.unshift(`await queryInterface.addIndex(${table}, ${s(c.actual)});`);
+                    break;
+                case 'addForeignKey':
+                    ups.push(`await queryInterface.addConstraint(${table}, ${s(this.toConstraint(c.expected, `${c.table}_${c.name}_fk`))});`);
+                    downs.unshift(`await queryInterface.removeConstraint(${table}, ${s(`${c.table}_${c.name}_fk`)});`);
+                    break;
+                case 'removeForeignKey':
+                    ups.push(`await queryInterface.removeConstraint(${table}, ${s(c.name)});`);
+                    downs.unshift(`await queryInterface.addConstraint(${table}, ${s(this.toConstraint(c.actual, c.name))});`);
+                    break;
+            }
+        });
+        const body = lines => lines.map(line => `        ${line}`).join('\n');
+        const content = `module.exports = {
+    async up(manager, queryInterface) {
+${body(ups)}
+    },
+    async down(manager, queryInterface) {
+${body(downs)}
+    }
+}
+`;
+        if (!fs.existsSync(this.manager.migrationDir)) {
+            fs.mkdirSync(this.manager.migrationDir, {recursive: true});
+        }
+        fs.writeFileSync(filename, content);
+        debug(`Migration written to ${filename}`);
+        return filename;
+    }
+}
+
+module.exports = Schema;
@@ -0,0 +1,272 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+/**
+ * A callback to format template value.
+ *
+ * @callback formatterCallback
+ * @param {any} value The value
+ * @param {string|undefined} arg Formatter argument
+ * @param {object} context Formatter context
+ * @param {string|undefined} context.locale Locale
+ * @param {Model} context.instance Model instance
+ * @returns {any}
+ */
+
+/**
+ * Model string representation using templates from `datadir/tostring.json`.
+ *
+ * A template refers model attributes in braces, e.g. `{Code} - {Name}`, and can
+ * reach into BelongsTo associations included in the query, e.g. `{Category.Name}`.
+ * A value can be piped to formatters, e.g. `{Price|number:2}` or `{Name|upper}`.
+ * Use `{{` and `}}` to write literal braces.
+ *
+ * Per-locale variants are written as an object keyed by locale, `default` is used
+ * when no variant matches:
+ *
+ * ```json
+ * {
+ *     "Product": "{Code} - {Name} ({Category.Name|default:-})",
+ *     "Order": {
+ *         "default": "Order {Code} at {Date|date}",
+ *         "id": "Pesanan {Code} tanggal {Date|date}"
+ *     }
+ * }
+ * ```
+ */
+class Stringable {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        // missing values are passed through so `default` still applies
+        const str = fn => value => value === null || value === undefined ? value : fn(String(value));
+        this.formatters = {
+            upper: str(s => s.toUpperCase()),
+            lower: str(s => s.toLowerCase()),
+            trim: str(s => s.trim()),
+            number: (value, arg, ctx) => this.toNumber(value, arg, ctx.locale),
+            date: (value, arg, ctx) => this.toDate(value, 'date', arg, ctx.locale),
+            time: (value, arg, ctx) => this.toDate(value, 'time', arg, ctx.locale),
+            datetime: (value, arg, ctx) => this.toDate(value, 'datetime', arg, ctx.locale),
+            default: (value, arg) => value === null || value === undefined || value === '' ? arg : value,
+        };
+        if (typeof manager.config.formatters === 'object') {
+            Object.keys(manager.config.formatters).forEach(name => {
+                this.addFormatter(name, manager.config.formatters[name]);
+            });
+        }
+    }
+
+    /**
+     * Check if `tostring.json` value is a template rather than a plain value.
+     *
+     * @param {string|object} template The template
+     * @returns {boolean}
+     */
+    isTemplate(template) {
+        if (typeof template === 'string') {
+            return template.indexOf('{') >= 0;
+        }
+        return template !== null && typeof template === 'object' && !Array.isArray(template);
+    }
+
+    /**
+     * Get template variant for locale, `id-ID` falls back to `id`, then `default`.
+     *
+     * @param {string|object} template The template
+     * @param {string|undefined} locale Locale
+     * @returns {string}
+     */
+    getTemplate(template, locale) {
+        if (typeof template === 'string') {
+            return template;
+        }
+        const candidates = [];
+        if (locale) {
+            candidates.push(locale, locale.split(/[-_]/)[0]);
+        }
+        candidates.push('default');
+        for (const candidate of candidates) {
+            if (typeof template[candidate] === 'string') {
+                return template[candidate];
+            }
+        }
+        return Object.values(template).find(t => typeof t === 'string') || '';
+    }
+
+    /**
+     * Format model instance using template.
+     *
+     * @param {Model} instance Model instance
+     * @param {string|object} template The template
+     * @param {string|undefined} locale Locale, default to manager `locale` option
+     * @returns {string}
+     */
+    format(instance, template, locale) {
+        if (locale === undefined || locale === null) {
+            locale = this.manager.config.locale;
+        }
+        return this.getTemplate(template, locale).replace(/\{\{|\}\}|\{([^{}]+)\}/g, (match, expr) => {
+            if (expr === undefined) {
+                return match[0];
+            }
+            const expression = this.parseExpression(expr);
+            let value = this.getValue(instance, expression.path);
+            expression.formatters.forEach(formatter => {
+                if (typeof this.formatters[formatter.name] !== 'function') {
+                    throw new Error(`String representation of ${instance.constructor.name} uses unknown formatter ${formatter.name}!`);
+                }
+                value = this.formatters[formatter.name](value, formatter.arg, {locale, instance});
+            });
+            return value === null || value === undefined ? '' : String(value);
+        });
+    }
+
+    /**
+     * Get attribute value, a dotted path is resolved through associated instances.
+     *
+     * @param {Model} instance Model instance
+     * @param {string} attr Attribute path, e.g. `Category.Name`
+     * @returns {any}
+     */
+    getValue(instance, attr) {
+        let value = instance;
+        for (const part of attr.split('.')) {
+            if (value === null || value === undefined) {
+                return;
+            }
+            value = typeof value.get === 'function' ? value.get(part) : value[part];
+        }
+        return value;
+    }
+
+    /**
+     * Parse template expression, e.g. `Category.Name|default:-`.
+     *
+     * @param {string} expr The expression
+     * @returns {object} Expression with `path` and `formatters` of `name` and `arg`
+     */
+    parseExpression(expr) {
+        const [path, ...formatters] = expr.split('|').map(s => s.trim());
+        return {
+            path,
+            formatters: formatters.map(formatter => {
+                const idx = formatter.indexOf(':');
+                return idx < 0 ? {name: formatter} : {name: formatter.substring(0, idx), arg: formatter.substring(idx + 1)};
+            }),
+        };
+    }
+
+    /**
+     * Get expressions used in all template variants.
+     *
+     * @param {string|object} template The template
+     * @returns {object[]}
+     */
+    getExpressions(template) {
+        const res = [];
+        const templates = typeof template === 'string' ? [template] : Object.values(template);
+        templates.forEach(t => {
+            for (const match of String(t).matchAll(/\{\{|\}\}|\{([^{}]+)\}/g)) {
+                if (match[1] !== undefined) {
+                    res.push(this.parseExpression(match[1]));
+                }
+            }
+        });
+        return res;
+    }
+
+    /**
+     * Format number, the argument is the number of decimals.
+     *
+     * @param {any} value The value
+     * @param {string|undefined} decimals Number of decimals
+     * @param {string|undefined} locale Locale
+     * @returns {string}
+     */
+    toNumber(value, decimals, locale) {
+        if (value === null || value === undefined || value === '' || isNaN(value)) {
+            return value;
+        }
+        const options = {};
+        if (decimals !== undefined) {
+            options.minimumFractionDigits = options.maximumFractionDigits = parseInt(decimals);
+        }
+        return new Intl.NumberFormat(locale, options).format(Number(value));
+    }
+
+    /**
+     * Format date, the argument is the style, `full`, `long`, `medium`, or `short`,
+     * or `iso` for ISO 8601 format.
+     *
+     * @param {any} value The value
+     * @param {string} type Format type, `date`, `time`, or `datetime`
+     * @param {string|undefined} style Format style
+     * @param {string|undefined} locale Locale
+     * @returns {string}
+     */
+    toDate(value, type, style, locale) {
+        if (value === null || value === undefined || value === '') {
+            return value;
+        }
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            return value;
+        }
+        if (style === 'iso') {
+            const iso = date.toISOString();
+            return type === 'date' ? iso.substring(0, 10) : (type === 'time' ? iso.substring(11, 19) : iso);
+        }
+        const options = {};
+        if (type !== 'time') {
+            options.dateStyle = style || 'medium';
+        }
+        if (type !== 'date') {
+            options.timeStyle = style || 'short';
+        }
+        return new Intl.DateTimeFormat(locale, options).format(date);
+    }
+
+    /**
+     * Register a formatter.
+     *
+     * The built-in formatters are `upper`, `lower`, `trim`, `number`, `date`, `time`,
+     * `datetime`, and `default` which returns its argument when the value is empty.
+     *
+     * @param {string} name Formatter name
+     * @param {formatterCallback} formatter The formatter
+     * @returns {Stringable}
+     */
+    addFormatter(name, formatter) {
+        this.formatters[name] = formatter;
+        return this;
+    }
+}
+
+module.exports = Stringable;
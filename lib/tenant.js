@@ -0,0 +1,301 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const Work = require('@ntlab/work/work');
+const debug = require('debug')('sequelize:manager:tenant');
+
+/**
+ * Registry of tenants sharing the model definitions of a manager.
+ *
+ * A tenant is a manager with its own Sequelize instance, created lazily on first
+ * use from the options resolved for the tenant id. The modules and data files
+ * loaded by the owner manager are reused, only the models are defined again for
+ * the tenant connection, so `syncModels()`, `loadFixtures()`, migrations, and
+ * queries of a tenant are isolated from the others.
+ *
+ * Resolved options are merged into the owner Sequelize options, e.g. a `storage`
+ * for a SQLite file per tenant, or a `database` per tenant. For PostgreSQL schema
+ * per tenant, resolve to `schema`, the schema is created when missing, used as
+ * default model schema, and put first in connection `search_path`.
+ *
+ * ```js
+ * const db = new Manager({
+ *     modeldir: path.join(__dirname, 'model'),
+ *     tenants: {
+ *         resolve: id => ({schema: `tenant_${id}`}),
+ *         setup: tenant => tenant.migrate(),
+ *         max: 100,
+ *         idle: 10 * 60 * 1000,
+ *     },
+ * });
+ * await db.init({dialect: 'postgres', ...});
+ * const tenant = await db.tenant('acme');
+ * const users = await tenant.User.findAll();
+ * ```
+ */
+class TenantRegistry {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Owner manager
+     * @param {object} options Options
+     * @param {function} options.resolve A function of tenant id which returns Sequelize options or its `Promise`
+     * @param {function} options.setup A function called with tenant manager and id after it's connected
+     * @param {number} options.max Maximum open tenants, least recently used idle tenant is closed
+     *   when exceeded, default to no limit
+     * @param {number} options.idle Close tenants which are not used for this milliseconds, default to never
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.options = Object.assign({max: 0, idle: 0}, options);
+        this.tenants = new Map();
+        this.pending = new Map();
+        this.active = new Map();
+    }
+
+    /**
+     * Get tenant, create it when it's not open yet.
+     *
+     * @param {string} id Tenant id
+     * @returns {Promise<Manager>} Resolved with tenant manager
+     */
+    get(id) {
+        const tenant = this.tenants.get(id);
+        if (tenant) {
+            tenant.lastUsed = Date.now();
+            return Promise.resolve(tenant.manager);
+        }
+        if (!this.pending.has(id)) {
+            this.pending.set(id, this.create(id)
+                .then(manager => {
+                    this.pending.delete(id);
+                    this.tenants.set(id, {id, manager, lastUsed: Date.now()});
+                    this.manager.emit('tenantCreated', id, manager);
+                    this.startTimer();
+                    return this.evictOverflow().then(() => manager);
+                })
+                .catch(err => {
+                    this.pending.delete(id);
+                    throw err;
+                })
+            );
+        }
+        return this.pending.get(id);
+    }
+
+    /**
+     * Run a function with tenant, the tenant is not evicted while the function runs.
+     *
+     * @param {string} id Tenant id
+     * @param {function} fn A function called with tenant manager which returns `Promise`
+     * @returns {Promise<any>} Resolved with the function result
+     */
+    run(id, fn) {
+        // count the caller before the tenant is open so it can't be evicted in between
+        this.active.set(id, this.getActive(id) + 1);
+        return this.get(id)
+            .then(manager => fn(manager))
+            .finally(() => {
+                const active = this.getActive(id) - 1;
+                if (active > 0) {
+                    this.active.set(id, active);
+                } else {
+                    this.active.delete(id);
+                }
+                const tenant = this.tenants.get(id);
+                if (tenant) {
+                    tenant.lastUsed = Date.now();
+                }
+                // tenants kept open while in use might exceed the limit
+                this.evictOverflow()
+                    .catch(err => debug(`Overflow tenants check failed: ${err.message}`));
+            });
+    }
+
+    /**
+     * Get number of `run()` using the tenant.
+     *
+     * @param {string} id Tenant id
+     * @returns {number}
+     */
+    getActive(id) {
+        return this.active.get(id) || 0;
+    }
+
+    /**
+     * Create tenant manager.
+     *
+     * @param {string} id Tenant id
+     * @returns {Promise<Manager>}
+     */
+    create(id) {
+        if (typeof this.options.resolve !== 'function') {
+            return Promise.reject(new Error('Tenants option resolve is required!'));
+        }
+        let tenant, schema;
+        return Work.works([
+            [w => Promise.resolve(this.options.resolve(id))],
+            [w => new Promise((resolve, reject) => {
+                const options = Object.assign({}, this.manager.databaseOptions, w.getRes(0));
+                const config = Object.assign({}, this.manager.config, {modelStore: undefined, tenants: undefined});
+                schema = options.schema;
+                delete options.schema;
+                if (schema) {
+                    options.define = Object.assign({}, options.define, {schema});
+                    const initializers = Object.assign({}, config.initializers);
+                    const postgres = Object.assign({}, initializers.postgres);
+                    const searchPath = Array.isArray(postgres.searchPath) ? postgres.searchPath :
+                        (postgres.searchPath ? postgres.searchPath.split(',') : ['public']);
+                    postgres.searchPath = [schema, ...searchPath.filter(s => s.trim() !== schema)];
+                    initializers.postgres = postgres;
+                    config.initializers = initializers;
+                }
+                tenant = new this.manager.constructor(config);
+                tenant.definitions = this.manager.definitions;
+                tenant.tenantId = id;
+                debug(`Creating tenant ${id}`);
+                resolve(options);
+            })],
+            [w => tenant.init(w.getRes(1))],
+            [w => tenant.connectDatabase()],
+            [w => tenant.getSequelize().queryInterface.createSchema(schema, {ifNotExists: true}),
+                w => schema && tenant.getSequelize().dialect.supports.schemas],
+            [w => Promise.resolve(this.options.setup(tenant, id)), w => typeof this.options.setup === 'function'],
+            [w => Promise.resolve(tenant)],
+        ], {
+            done: (w, err) => err && tenant ? tenant.close().catch(() => null) : Promise.resolve(),
+        });
+    }
+
+    /**
+     * Check if tenant is open.
+     *
+     * @param {string} id Tenant id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.tenants.has(id);
+    }
+
+    /**
+     * List open tenants.
+     *
+     * @returns {object[]} Tenants with `id`, `lastUsed`, and `active`
+     */
+    list() {
+        return [...this.tenants.values()].map(tenant => ({id: tenant.id, lastUsed: tenant.lastUsed, active: this.getActive(tenant.id)}));
+    }
+
+    /**
+     * Close tenant.
+     *
+     * @param {string} id Tenant id
+     * @param {boolean} force Close even when it's in use by `run()`
+     * @returns {Promise<boolean>} Resolved with true when the tenant is closed
+     */
+    evict(id, force = false) {
+        const tenant = this.tenants.get(id);
+        if (!tenant || (this.getActive(id) > 0 && !force)) {
+            return Promise.resolve(false);
+        }
+        this.tenants.delete(id);
+        debug(`Closing tenant ${id}`);
+        return tenant.manager.close()
+            .then(() => {
+                this.manager.emit('tenantEvicted', id, tenant.manager);
+                return true;
+            });
+    }
+
+    /**
+     * Close tenants which are idle longer than `idle` option.
+     *
+     * @returns {Promise<string[]>} Resolved with closed tenant ids
+     */
+    evictIdle() {
+        const now = Date.now();
+        const ids = this.options.idle ? this.list()
+            .filter(tenant => tenant.active === 0 && now - tenant.lastUsed >= this.options.idle)
+            .map(tenant => tenant.id) : [];
+        return this.evictAll(ids);
+    }
+
+    /**
+     * Close least recently used tenants exceeding `max` option.
+     *
+     * @returns {Promise<string[]>} Resolved with closed tenant ids
+     */
+    evictOverflow() {
+        const count = this.options.max ? this.tenants.size - this.options.max : 0;
+        const ids = count > 0 ? this.list()
+            .filter(tenant => tenant.active === 0)
+            .sort((a, b) => a.lastUsed - b.lastUsed)
+            .slice(0, count)
+            .map(tenant => tenant.id) : [];
+        return this.evictAll(ids);
+    }
+
+    /**
+     * Close tenants.
+     *
+     * @param {string[]} ids Tenant ids
+     * @param {boolean} force Close even when it's in use by `run()`
+     * @returns {Promise<string[]>} Resolved with closed tenant ids
+     */
+    evictAll(ids, force = false) {
+        return Promise.all(ids.map(id => this.evict(id, force)))
+            .then(res => ids.filter((id, i) => res[i]));
+    }
+
+    /**
+     * Close all tenants and stop idle check.
+     *
+     * @returns {Promise<string[]>} Resolved with closed tenant ids
+     */
+    close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            delete this.timer;
+        }
+        return Promise.allSettled([...this.pending.values()])
+            .then(() => this.evictAll([...this.tenants.keys()], true));
+    }
+
+    /**
+     * Start idle check.
+     */
+    startTimer() {
+        if (this.options.idle && !this.timer) {
+            this.timer = setInterval(() => {
+                this.evictIdle()
+                    .catch(err => debug(`Idle tenants check failed: ${err.message}`));
+            }, Math.min(this.options.idle, 60000));
+            // don't keep the process running just for the check
+            this.timer.unref();
+        }
+    }
+}
+
+module.exports = TenantRegistry;
@@ -0,0 +1,255 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const Work = require('@ntlab/work/work');
+const { QueryTypes } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:testing');
+
+/**
+ * Error used to roll back isolated transaction.
+ */
+const ROLLBACK = Symbol('rollback');
+
+/**
+ * Test database of loaded models, independent of test runner.
+ *
+ * Models are synchronized into an in-memory SQLite database and fixtures are
+ * loaded once in `setup()`, the state is then captured so each test can start
+ * from it either by `restore()` or by running inside `isolate()` which rolls
+ * back everything the test did.
+ *
+ * ```js
+ * const TestDatabase = require('@ntlab/sequelize-manager/lib/testing');
+ * const tdb = new TestDatabase({modeldir: path.join(__dirname, 'model')});
+ *
+ * before(() => tdb.setup());
+ * afterEach(() => tdb.restore());
+ * after(() => tdb.teardown());
+ *
+ * it('creates post', async () => {
+ *     const post = await tdb.factory.create('Post', {Title: 'Hello'});
+ * });
+ * ```
+ */
+class TestDatabase {
+
+    /**
+     * Constructor.
+     *
+     * @param {object} config Manager config, see `Manager`
+     * @param {object} options Options
+     * @param {object} options.database Sequelize options merged into in-memory SQLite options
+     * @param {boolean|object} options.fixtures Load fixtures, or fixtures load options, default to true
+     */
+    constructor(config = {}, options = {}) {
+        this.config = config;
+        this.options = Object.assign({fixtures: true}, options);
+    }
+
+    /**
+     * Get Sequelize options.
+     *
+     * The in-memory database lives in its connection, so the pool must keep exactly
+     * one connection forever.
+     *
+     * @returns {object}
+     */
+    getDatabaseOptions() {
+        return Object.assign({
+            dialect: 'sqlite3',
+            storage: ':memory:',
+            logging: false,
+        }, this.options.database, {
+            pool: {max: 1, min: 0, idle: Infinity, maxUses: Infinity},
+        });
+    }
+
+    /**
+     * Create manager, synchronize models, load fixtures, and capture the state.
+     *
+     * @returns {Promise<Manager>} Resolved with the manager
+     */
+    setup() {
+        return Work.works([
+            [w => Promise.resolve(this.db = this.createManager(this.config))],
+            [w => this.db.init(this.getDatabaseOptions())],
+            [w => this.db.syncModels(true, {allowDestructive: true})],
+            [w => this.db.loadFixtures(typeof this.options.fixtures === 'object' ? this.options.fixtures : {}),
+                w => this.options.fixtures],
+            [w => new Promise((resolve, reject) => {
+                const res = w.getRes(3) || {};
+                const failed = Object.keys(res).filter(model => res[model].error);
+                if (failed.length) {
+                    return reject(new Error(`Failed to load fixture of ${failed.join(', ')}: ${res[failed[0]].error.message}`));
+                }
+                resolve();
+            })],
+            [w => this.snapshot()],
+            [w => Promise.resolve(this.db)],
+        ]);
+    }
+
+    /**
+     * Create manager.
+     *
+     * @param {object} config Manager config
+     * @returns {Manager}
+     */
+    createManager(config) {
+        const Manager = require('..');
+        return new Manager(config);
+    }
+
+    /**
+     * Get model factory, see `Factory`.
+     *
+     * @returns {Factory}
+     */
+    get factory() {
+        return this.db.getFactory();
+    }
+
+    /**
+     * Get tables of loaded models.
+     *
+     * @returns {object[]} Tables with `name` and quoted `table`
+     */
+    getTables() {
+        const sequelize = this.db.getSequelize();
+        const res = [];
+        for (const model of sequelize.models) {
+            if (!res.find(table => table.name === model.table.tableName)) {
+                res.push({name: model.table.tableName, table: sequelize.queryGenerator.quoteTable(model.table)});
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Capture current rows of all tables, restored by `restore()`.
+     *
+     * @returns {Promise<object>} Resolved with rows keyed by table name
+     */
+    async snapshot() {
+        const sequelize = this.db.getSequelize();
+        const res = {};
+        for (const table of [...this.getTables(), {name: 'sqlite_sequence', table: 'sqlite_sequence'}]) {
+            if (table.name === 'sqlite_sequence' && !await this.hasSequence()) {
+                continue;
+            }
+            res[table.name] = await sequelize.query(`SELECT * FROM ${table.table}`, {type: QueryTypes.SELECT});
+        }
+        this.state = res;
+        debug(`Snapshot of ${Object.keys(res).length} table(s) captured`);
+        return res;
+    }
+
+    /**
+     * Check if auto increment sequence table exists.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async hasSequence() {
+        const rows = await this.db.getSequelize().query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sqlite_sequence'`,
+            {type: QueryTypes.SELECT});
+        return rows.length > 0;
+    }
+
+    /**
+     * Restore rows captured by `snapshot()`, including auto increment sequences.
+     *
+     * @returns {Promise}
+     */
+    async restore() {
+        if (!this.state) {
+            throw new Error('Nothing to restore, call setup() or snapshot() first!');
+        }
+        const sequelize = this.db.getSequelize();
+        const queryInterface = sequelize.queryInterface;
+        const tables = this.getTables();
+        const hasSequence = await this.hasSequence();
+        if (hasSequence) {
+            tables.push({name: 'sqlite_sequence', table: 'sqlite_sequence'});
+        }
+        // foreign keys pragma is ignored inside transaction, keep its value to restore
+        const [pragma] = await sequelize.query('PRAGMA foreign_keys', {type: QueryTypes.SELECT});
+        const foreignKeys = pragma && pragma.foreign_keys ? 'ON' : 'OFF';
+        await sequelize.query('PRAGMA foreign_keys = OFF');
+        try {
+            await sequelize.transaction(async transaction => {
+                for (const table of tables) {
+                    await sequelize.query(`DELETE FROM ${table.table}`, {transaction});
+                    const rows = this.state[table.name] || [];
+                    if (rows.length) {
+                        await queryInterface.bulkInsert(table.name, rows, {transaction});
+                    }
+                }
+            });
+        }
+        finally {
+            await sequelize.query(`PRAGMA foreign_keys = ${foreignKeys}`);
+        }
+        debug(`Snapshot of ${tables.length} table(s) restored`);
+    }
+
+    /**
+     * Run a function inside a transaction which is always rolled back.
+     *
+     * Queries inside the function join the transaction automatically, code which
+     * starts its own unmanaged transaction can't be isolated this way, use
+     * `restore()` instead.
+     *
+     * @param {function} fn Function to run, receives the transaction
+     * @returns {Promise<any>} Resolved with the function result
+     */
+    async isolate(fn) {
+        let res;
+        try {
+            await this.db.getSequelize().transaction(async transaction => {
+                res = await fn(transaction);
+                throw ROLLBACK;
+            });
+        }
+        catch (err) {
+            if (err !== ROLLBACK) {
+                throw err;
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Close the database.
+     *
+     * @returns {Promise}
+     */
+    teardown() {
+        if (this.db && this.db.getSequelize()) {
+            return this.db.close();
+        }
+        return Promise.resolve();
+    }
+}
+
+module.exports = TestDatabase;
@@ -0,0 +1,489 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Work = require('@ntlab/work/work');
+const Queue = require('@ntlab/work/queue');
+const { Model, BelongsToAssociation } = require('@sequelize/core');
+const Fixture = require('./fixture');
+const Loader = require('./loader');
+
+/**
+ * Model directory validator.
+ *
+ * Each found issue is an object with the following keys:
+ *
+ * * `code`: issue code, e.g. `missing-hook`
+ * * `message`: issue description
+ * * `model`: model name if applicable
+ * * `file`: related file if applicable
+ */
+class Validator {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+    }
+
+    /**
+     * Validate model directories.
+     *
+     * @returns {Promise<object>} Resolved with `errors`, `warnings`, and `valid`
+     */
+    validate() {
+        this.errors = [];
+        this.warnings = [];
+        return Work.works([
+            [w => new Promise((resolve, reject) => {
+                this.checkLifecycles();
+                this.checkStringables();
+                this.checkNaturalKeys();
+                this.checkAddons();
+                this.checkReferences();
+                resolve();
+            })],
+            [w => this.checkFixtures()],
+            [w => this.checkExtensions()],
+            [w => Promise.resolve({errors: this.errors, warnings: this.warnings, valid: this.errors.length === 0})],
+        ]);
+    }
+
+    /**
+     * Add an error.
+     *
+     * @param {string} code Issue code
+     * @param {string} message Issue description
+     * @param {object} data Additional data
+     */
+    error(code, message, data = {}) {
+        this.add(this.errors, Object.assign({code, message}, data));
+    }
+
+    /**
+     * Add a warning.
+     *
+     * @param {string} code Issue code
+     * @param {string} message Issue description
+     * @param {object} data Additional data
+     */
+    warning(code, message, data = {}) {
+        this.add(this.warnings, Object.assign({code, message}, data));
+    }
+
+    /**
+     * Add issue if not already reported.
+     *
+     * @param {object[]} issues Issues
+     * @param {object} issue The issue
+     */
+    add(issues, issue) {
+        if (!issues.find(i => i.code === issue.code && i.message === issue.message)) {
+            issues.push(issue);
+        }
+    }
+
+    /**
+     * Get loaded model.
+     *
+     * @param {string} name Model name
+     * @returns {Model|undefined}
+     */
+    getModel(name) {
+        for (const model of this.manager.db.models) {
+            if (model.name === name) {
+                return model;
+            }
+        }
+    }
+
+    /**
+     * Read JSON data file.
+     *
+     * @param {string} filename File name
+     * @returns {object|undefined}
+     */
+    readJson(filename) {
+        if (fs.existsSync(filename)) {
+            try {
+                return JSON.parse(fs.readFileSync(filename));
+            }
+            catch (err) {
+                this.error('invalid-json', `Unable to parse ${path.basename(filename)}: ${err.message}`, {file: filename});
+            }
+        }
+    }
+
+    /**
+     * Get modules in directory.
+     *
+     * @param {string} dir Directory
+     * @returns {object[]}
+     */
+    getModules(dir) {
+        return Loader.scan(dir, {recursive: this.manager.config.recursive});
+    }
+
+    /**
+     * Check `lifecycle.json` against hooks and models.
+     */
+    checkLifecycles() {
+        const filename = path.join(this.manager.dataDir, 'lifecycle.json');
+        const lifecycles = this.readJson(filename) || {};
+        const hooks = this.getModules(this.manager.hookDir);
+        Object.keys(lifecycles).forEach(lifecycle => {
+            if (!this.manager.findLifecycle(lifecycle)) {
+                this.error('missing-hook', `Lifecycle ${lifecycle} handler not found in ${this.manager.hookDir}`, {file: filename});
+            }
+            this.manager.constructor.getLifecycleModels(lifecycles[lifecycle]).forEach(item => {
+                const m = item.model;
+                if (!this.getModel(m)) {
+                    this.warning('unknown-model', `Lifecycle ${lifecycle} is applied to unknown model ${m}`, {model: m, file: filename});
+                }
+            });
+        });
+        Object.keys(this.manager.lifeCycles || {}).forEach(m => {
+            this.manager.lifeCycles[m].forEach(lifecycle => {
+                (Array.isArray(lifecycle.config.events) ? lifecycle.config.events : []).forEach(event => {
+                    if (typeof lifecycle.handler[event] !== 'function' && typeof lifecycle.handler.handle !== 'function') {
+                        this.error('unknown-event', `Lifecycle ${lifecycle.name} doesn't handle ${event} event of ${m}`, {model: m, file: filename});
+                    }
+                });
+            });
+        });
+        hooks.forEach(hook => {
+            if (lifecycles[hook.relative] === undefined) {
+                this.warning('orphaned-hook', `Hook ${hook.relative} is not used in lifecycle.json`, {file: hook.file});
+            }
+        });
+    }
+
+    /**
+     * Check `tostring.json` models.
+     */
+    checkStringables() {
+        const filename = path.join(this.manager.dataDir, 'tostring.json');
+        const stringables = this.readJson(filename) || {};
+        const stringable = this.manager.getStringable();
+        Object.keys(stringables).forEach(m => {
+            const model = this.getModel(m);
+            if (!model) {
+                this.warning('unknown-model', `String representation is defined for unknown model ${m}`, {model: m, file: filename});
+            } else if (stringable.isTemplate(stringables[m])) {
+                stringable.getExpressions(stringables[m]).forEach(expression => {
+                    if (!this.isStringablePath(model, expression.path)) {
+                        this.error('unknown-attribute', `String representation ${m} uses unknown attribute ${expression.path}`, {model: m, file: filename});
+                    }
+                    expression.formatters.forEach(formatter => {
+                        if (typeof stringable.formatters[formatter.name] !== 'function') {
+                            this.error('unknown-formatter', `String representation ${m} uses unknown formatter ${formatter.name}`, {model: m, file: filename});
+                        }
+                    });
+                });
+            }
+        });
+    }
+
+    /**
+     * Check if template path refers model attribute or BelongsTo association.
+     *
+     * @param {Model} model Sequelize model
+     * @param {string} path Attribute path, e.g. `Category.Name`
+     * @returns {boolean}
+     */
+    isStringablePath(model, path) {
+        const parts = path.split('.');
+        for (let i = 0; i < parts.length; i++) {
+            const association = model.associations[parts[i]];
+            if (association instanceof BelongsToAssociation) {
+                model = association.target;
+            } else {
+                return i === parts.length - 1 && model.getAttributes()[parts[i]] !== undefined;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Check `naturalkey.json` models and attributes.
+     */
+    checkNaturalKeys() {
+        const filename = path.join(this.manager.dataDir, 'naturalkey.json');
+        const keys = this.readJson(filename) || {};
+        Object.keys(keys).forEach(m => {
+            const model = this.getModel(m);
+            if (!model) {
+                this.warning('unknown-model', `Natural key is defined for unknown model ${m}`, {model: m, file: filename});
+            } else {
+                const attributes = model.getAttributes();
+                (Array.isArray(keys[m]) ? keys[m] : [keys[m]]).forEach(key => {
+                    if (!attributes[key]) {
+                        this.error('unknown-attribute', `Natural key ${m}.${key} is not a model attribute`, {model: m, file: filename});
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Check `addon.json` addons and functions defined by more than one extension.
+     */
+    checkAddons() {
+        const filename = path.join(this.manager.dataDir, 'addon.json');
+        const config = this.readJson(filename) || {};
+        const addons = this.getModules(this.manager.addonDir);
+        Object.keys(config).forEach(name => {
+            if (!addons.find(addon => addon.relative === name || addon.name === name)) {
+                this.warning('unknown-addon', `Addon ${name} is configured but not found in ${this.manager.addonDir}`, {file: filename});
+            }
+        });
+        this.manager.getConflicts().forEach(conflict => {
+            const fn = conflict.type === 'static' ? `${conflict.model}.${conflict.fn}()` : `${conflict.model}#${conflict.fn}()`;
+            this.warning('extension-conflict', `Function ${fn} from ${conflict.previous} is overridden by ${conflict.name}`,
+                {model: conflict.model});
+        });
+    }
+
+    /**
+     * Check fixture files of all fixture sets.
+     *
+     * @returns {Promise}
+     */
+    checkFixtures() {
+        const dir = this.manager.fixtureDir;
+        if (!fs.existsSync(dir)) {
+            return Promise.resolve();
+        }
+        const extensions = Fixture.getExtensions();
+        const dirs = [dir];
+        const files = [];
+        fs.readdirSync(dir).forEach(file => {
+            if (fs.statSync(path.join(dir, file)).isDirectory()) {
+                dirs.push(path.join(dir, file));
+            }
+        });
+        dirs.forEach(d => {
+            fs.readdirSync(d)
+                .filter(file => extensions.indexOf(path.extname(file)) >= 0)
+                .forEach(file => files.push(path.join(d, file)));
+        });
+        return new Promise((resolve, reject) => {
+            const q = new Queue(files, filename => {
+                this.checkFixture(filename)
+                    .then(() => q.next())
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve());
+        });
+    }
+
+    /**
+     * Check fixture columns against model attributes.
+     *
+     * @param {string} filename Fixture file name
+     * @returns {Promise}
+     */
+    checkFixture(filename) {
+        const file = path.basename(filename);
+        const m = file.substring(0, file.length - path.extname(file).length);
+        const model = this.getModel(m);
+        if (!model) {
+            this.warning('unknown-model', `Fixture ${file} has no model`, {model: m, file: filename});
+            return Promise.resolve();
+        }
+        return this.getFixtureColumns(filename, m)
+            .then(columns => {
+                if (!columns) {
+                    return;
+                }
+                const attributes = model.getAttributes();
+                columns.filter(k => k !== '@ref' && !attributes[k]).forEach(k => {
+                    this.error('unknown-attribute', `Fixture column ${m}.${k} is not a model attribute`, {model: m, file: filename});
+                });
+            })
+            .catch(err => {
+                this.error('invalid-fixture', `Unable to read fixture ${file}: ${err.message}`, {model: m, file: filename});
+            });
+    }
+
+    /**
+     * Get columns used by fixture rows, CSV columns are taken from its header.
+     *
+     * @param {string} filename Fixture file name
+     * @param {string} m Model name
+     * @returns {Promise<string[]|undefined>}
+     */
+    async getFixtureColumns(filename, m) {
+        const file = path.basename(filename);
+        const res = [];
+        const add = row => Object.keys(row).forEach(k => {
+            if (res.indexOf(k) < 0) {
+                res.push(k);
+            }
+        });
+        if (path.extname(file) === '.json') {
+            const rows = this.readJson(filename);
+            if (rows === undefined) {
+                return;
+            }
+            if (!Array.isArray(rows)) {
+                this.error('invalid-fixture', `Fixture ${file} must be an array of rows`, {model: m, file: filename});
+                return;
+            }
+            rows.forEach(row => add(row));
+            return res;
+        }
+        const stream = this.manager.getDataStream();
+        const input = fs.createReadStream(filename, {encoding: 'utf8'});
+        try {
+            if (stream.getFormat(filename) === 'csv') {
+                for await (const header of stream.parseCsv(input)) {
+                    res.push(...header.filter(column => column));
+                    break;
+                }
+            } else {
+                for await (const row of stream.readNdjson(input)) {
+                    add(row);
+                }
+            }
+        }
+        finally {
+            input.destroy();
+        }
+        return res;
+    }
+
+    /**
+     * Check model extensions, extends, and addons.
+     */
+    checkExtensions() {
+        const extensions = [];
+        this.getModules(this.manager.extensionDir).forEach(m => {
+            if (!this.getModel(m.name)) {
+                this.warning('unknown-model', `Extension ${m.relative} has no model`, {model: m.name, file: m.file});
+            }
+        });
+        this.getModules(this.manager.extendDir).forEach(m => {
+            const model = this.getModel(m.name);
+            if (!model) {
+                this.warning('unknown-model', `Extend ${m.relative} has no model`, {model: m.name, file: m.file});
+            } else {
+                extensions.push({models: [model], file: m.file});
+            }
+        });
+        const models = this.manager.getModelFiles();
+        (this.manager.addons || []).forEach(addon => {
+            extensions.push({models: models
+                .filter(item => this.manager.isAddonEnabled(addon, item))
+                .map(item => this.getModel(item.name))
+                .filter(model => model), file: addon.file});
+        });
+        return new Promise((resolve, reject) => {
+            const q = new Queue(extensions, ext => {
+                Loader.load(ext.file)
+                    .then(data => {
+                        ext.models.forEach(model => this.checkExtension(model, data, ext.file));
+                        q.next();
+                    })
+                    .catch(err => reject(err));
+            });
+            q.once('done', () => resolve());
+        });
+    }
+
+    /**
+     * Check model extension.
+     *
+     * @param {Model} model Sequelize model
+     * @param {object} data Extension
+     * @param {string} file Extension file name
+     */
+    checkExtension(model, data, file) {
+        if (typeof data.getAttributes !== 'function' && typeof data.getFunctions !== 'function' &&
+            typeof data.getInstanceFunctions !== 'function') {
+            return this.warning('empty-extension', `Extension ${path.basename(file)} doesn't export getAttributes(), getFunctions(), or getInstanceFunctions()`,
+                {model: model.name, file});
+        }
+        if (typeof data.getFunctions === 'function') {
+            Object.keys(data.getFunctions(model, {})).forEach(fn => {
+                if (this.isSequelizeFunction(Model, fn)) {
+                    this.warning('shadowed-function', `Static function ${model.name}.${fn}() shadows Sequelize method`, {model: model.name, file});
+                }
+            });
+        }
+        if (typeof data.getInstanceFunctions === 'function') {
+            Object.keys(data.getInstanceFunctions(model, {})).forEach(fn => {
+                if (this.isSequelizeFunction(Model.prototype, fn)) {
+                    this.warning('shadowed-function', `Instance function ${model.name}#${fn}() shadows Sequelize method`, {model: model.name, file});
+                }
+            });
+        }
+    }
+
+    /**
+     * Check if function name is defined by Sequelize, `toString()` is meant to be
+     * overridden so it is allowed.
+     *
+     * @param {object} o Sequelize model or its prototype
+     * @param {string} fn Function name
+     * @returns {boolean}
+     */
+    isSequelizeFunction(o, fn) {
+        if (fn === 'toString') {
+            return false;
+        }
+        while (o && o !== Object.prototype && o !== Function.prototype) {
+            const descriptor = Object.getOwnPropertyDescriptor(o, fn);
+            if (descriptor && (typeof descriptor.value === 'function' || descriptor.get)) {
+                return true;
+            }
+            o = Object.getPrototypeOf(o);
+        }
+        return false;
+    }
+
+    /**
+     * Check attribute references refer to loaded models.
+     */
+    checkReferences() {
+        for (const model of this.manager.db.models) {
+            const attributes = model.getAttributes();
+            Object.keys(attributes).forEach(a => {
+                const references = attributes[a].references;
+                if (references) {
+                    const table = typeof references.table === 'object' ? references.table.tableName : references.table;
+                    if (table && !this.manager.getModelFromTable(table)) {
+                        this.error('unknown-table', `Attribute ${model.name}.${a} references table ${table} which has no model`, {model: model.name});
+                    }
+                }
+            });
+        }
+    }
+}
+
+module.exports = Validator;
@@ -0,0 +1,407 @@
+/**
+ * The MIT License (MIT)
+ *
+ * Copyright (c) 2026 Toha <tohenk@yahoo.com>
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the "Software"), to deal in
+ * the Software without restriction, including without limitation the rights to
+ * use, copy, modify, merge, publish, distribute, sublicense, and/or sell copies
+ * of the Software, and to permit persons to whom the Software is furnished to do
+ * so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+const { DataTypes, ValidationError, BelongsToAssociation, HasOneAssociation, HasManyAssociation, BelongsToManyAssociation } = require('@sequelize/core');
+const debug = require('debug')('sequelize:manager:writer');
+
+const INTEGERS = [DataTypes.INTEGER, DataTypes.BIGINT, DataTypes.SMALLINT, DataTypes.TINYINT, DataTypes.MEDIUMINT];
+const NUMBERS = [DataTypes.FLOAT, DataTypes.DOUBLE, DataTypes.REAL, DataTypes.DECIMAL];
+const TRUES = ['true', '1', 'yes', 'y', 'on'];
+const FALSES = ['false', '0', 'no', 'n', 'off'];
+
+/**
+ * Model instance writer.
+ *
+ * Values are set from plain objects such as form input. String values are coerced
+ * according to attribute data type, and values keyed by association name are built
+ * as associated instances, an object for BelongsTo and HasOne, or an array of objects
+ * for HasMany and BelongsToMany:
+ *
+ * ```js
+ * {
+ *     "Date": "2026-01-31",
+ *     "Customer": {"Id": "12"},
+ *     "Lines": [{"ProductId": "1", "Qty": "2"}]
+ * }
+ * ```
+ *
+ * Each issue is an object with `path`, e.g. `Lines[0].Qty`, and `message`.
+ */
+class Writer {
+
+    /**
+     * Constructor.
+     *
+     * @param {Manager} manager Model manager
+     */
+    constructor(manager) {
+        this.manager = manager;
+        this.nested = new WeakMap();
+        this.issues = new WeakMap();
+    }
+
+    /**
+     * Set model instance values.
+     *
+     * Values keyed by association name are built as associated instances only when
+     * `nested` is enabled, which is the default without callback. With a callback and
+     * without `nested`, those keys are passed to the callback like other unknown keys.
+     *
+     * @param {Model} instance Model instance
+     * @param {object|Array} values Values as object or array of key and value pairs
+     * @param {function} callback A callback to handle unknown keys
+     * @param {object} options Set options
+     * @param {boolean} options.nested Build associated instances, default to true without callback
+     * @param {string} options.prefix Issue path prefix
+     * @returns {object} Issues with `unknown` and `errors`
+     */
+    setValues(instance, values, callback = null, options = {}) {
+        const nested = options.nested !== undefined ? options.nested : typeof callback !== 'function';
+        const prefix = options.prefix || '';
+        const model = instance.constructor;
+        const attributes = model.getAttributes();
+        const res = {unknown: [], errors: []};
+        const paths = [];
+        if (values && typeof values === 'object' && !Array.isArray(values)) {
+            values = Object.keys(values).map(k => [k, values[k]]);
+        }
+        (Array.isArray(values) ? values : []).forEach(([key, value]) => {
+            const path = prefix + key;
+            paths.push(path);
+            if (attributes[key]) {
+                try {
+                    instance.set(key, this.coerce(attributes[key], value));
+                }
+                catch (err) {
+                    res.errors.push({path, message: err.message});
+                }
+            } else if (nested && model.associations[key]) {
+                this.setNested(instance, model.associations[key], value, path, res);
+            } else if (typeof callback === 'function') {
+                callback(key, value);
+            } else {
+                res.unknown.push(path);
+            }
+        });
+        // issues of the paths being set again, including their nested paths, are replaced
+        const isStale = path => paths.some(p => path === p || path.startsWith(`${p}.`) || path.startsWith(`${p}[`));
+        const issues = this.getIssues(instance);
+        this.issues.set(instance, {
+            unknown: [...issues.unknown.filter(path => !isStale(path)), ...res.unknown],
+            errors: [...issues.errors.filter(issue => !isStale(issue.path)), ...res.errors],
+        });
+        return res;
+    }
+
+    /**
+     * Build associated instances.
+     *
+     * @param {Model} instance Model instance
+     * @param {Association} association Sequelize association
+     * @param {object|object[]|null} value Associated values
+     * @param {string} path Issue path
+     * @param {object} res Issues
+     */
+    setNested(instance, association, value, path, res) {
+        const many = association instanceof HasManyAssociation || association instanceof BelongsToManyAssociation;
+        if (value === null || value === undefined) {
+            return;
+        }
+        if (many !== Array.isArray(value) || typeof value !== 'object') {
+            res.errors.push({path, message: many ? 'An array is expected' : 'An object is expected'});
+            return;
+        }
+        const build = (values, p) => {
+            const child = association.target.build({});
+            const issues = this.setValues(child, values, null, {nested: true, prefix: `${p}.`});
+            res.unknown.push(...issues.unknown);
+            res.errors.push(...issues.errors);
+            return child;
+        }
+        if (!this.nested.has(instance)) {
+            this.nested.set(instance, {});
+        }
+        this.nested.get(instance)[association.as] = many ? value.map((v, i) => build(v, `${path}[${i}]`)) : build(value, path);
+    }
+
+    /**
+     * Get issues found while setting instance values, including the issues of its
+     * associated instances.
+     *
+     * @param {Model} instance Model instance
+     * @returns {object} Issues with `unknown` and `errors`
+     */
+    getIssues(instance) {
+        return this.issues.get(instance) || {unknown: [], errors: []};
+    }
+
+    /**
+     * Coerce string value according to attribute data type.
+     *
+     * @param {object} attribute Model attribute
+     * @param {any} value The value
+     * @returns {any}
+     */
+    coerce(attribute, value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        const type = attribute.type;
+        const is = types => types.some(t => type instanceof t);
+        const s = value.trim();
+        if (is([...INTEGERS, ...NUMBERS, DataTypes.BOOLEAN, DataTypes.DATE, DataTypes.DATEONLY]) && s === '') {
+            return null;
+        }
+        if (is(INTEGERS)) {
+            if (!/^[-+]?\d+$/.test(s)) {
+                throw new Error(`${value} is not an integer`);
+            }
+            return Number.isSafeInteger(Number(s)) ? Number(s) : s;
+        }
+        if (is(NUMBERS)) {
+            if (isNaN(s) || !isFinite(s)) {
+                throw new Error(`${value} is not a number`);
+            }
+            return type instanceof DataTypes.DECIMAL ? s : Number(s);
+        }
+        if (is([DataTypes.BOOLEAN])) {
+            if (TRUES.indexOf(s.toLowerCase()) >= 0) {
+                return true;
+            }
+            if (FALSES.indexOf(s.toLowerCase()) >= 0) {
+                return false;
+            }
+            throw new Error(`${value} is not a boolean`);
+        }
+        if (is([DataTypes.DATEONLY])) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || isNaN(new Date(s).getTime())) {
+                throw new Error(`${value} is not a date`);
+            }
+            return s;
+        }
+        if (is([DataTypes.DATE])) {
+            const date = new Date(s);
+            if (isNaN(date.getTime())) {
+                throw new Error(`${value} is not a date`);
+            }
+            return date;
+        }
+        if (is([DataTypes.JSON, DataTypes.JSONB]) && (s.startsWith('{') || s.startsWith('['))) {
+            try {
+                return JSON.parse(s);
+            }
+            catch (err) {
+                throw new Error(`${value} is not a valid JSON`);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Validate instance and its associated instances. Foreign keys which are
+     * assigned when saving are not validated.
+     *
+     * @param {Model} instance Model instance
+     * @param {string} prefix Issue path prefix
+     * @param {string[]} skip Attributes not to validate
+     * @returns {Promise<object[]>} Resolved with validation errors
+     */
+    async validate(instance, prefix = '', skip = []) {
+        const res = [];
+        const nested = this.nested.get(instance) || {};
+        const associations = instance.constructor.associations;
+        skip = [...skip];
+        for (const name of Object.keys(nested)) {
+            if (associations[name] instanceof BelongsToAssociation) {
+                skip.push(associations[name].foreignKey);
+            }
+        }
+        const options = {skip};
+        // a row referenced by primary key may exist, only validate given values
+        if (this.hasPrimaryKey(instance)) {
+            options.fields = (instance.changed() || []).filter(attr => skip.indexOf(attr) < 0);
+            delete options.skip;
+        }
+        try {
+            await instance.validate(options);
+        }
+        catch (err) {
+            if (!(err instanceof ValidationError)) {
+                throw err;
+            }
+            res.push(...this.toErrors(err, prefix));
+        }
+        for (const name of Object.keys(nested)) {
+            const association = associations[name];
+            const fk = association instanceof HasOneAssociation || association instanceof HasManyAssociation ?
+                [association.foreignKey] : [];
+            const children = Array.isArray(nested[name]) ? nested[name] : [nested[name]];
+            for (let i = 0; i < children.length; i++) {
+                const path = Array.isArray(nested[name]) ? `${prefix}${name}[${i}].` : `${prefix}${name}.`;
+                res.push(...await this.validate(children[i], path, fk));
+            }
+        }
+        return res;
+    }
+
+    /**
+     * Save instance and its associated instances in a transaction.
+     *
+     * Values are validated first, nothing is saved when there are errors. An
+     * instance with primary key of an existing row updates that row.
+     *
+     * @param {Model} instance Model instance
+     * @param {object} options Save options
+     * @param {Transaction} options.transaction Use this transaction instead of a new one, default to
+     *   the transaction of current `sequelize.transaction()` callback
+     * @returns {Promise<object>} Resolved with `instance`, `saved`, `unknown`, and `errors`
+     */
+    async save(instance, options = {}) {
+        const issues = this.getIssues(instance);
+        const res = {instance, saved: false, unknown: issues.unknown, errors: [...issues.errors]};
+        if (!res.errors.length) {
+            res.errors.push(...await this.validate(instance));
+        }
+        if (res.errors.length) {
+            return res;
+        }
+        const transaction = options.transaction || this.manager.db.getCurrentClsTransaction();
+        const t = transaction ? null : await this.manager.db.startUnmanagedTransaction();
+        try {
+            res.instance = await this.saveNested(instance, transaction || t);
+            if (t) {
+                await t.commit();
+            }
+            res.saved = true;
+        }
+        catch (err) {
+            if (t) {
+                await t.rollback().catch(() => null);
+            }
+            if (!(err instanceof ValidationError)) {
+                throw err;
+            }
+            res.errors.push(...this.toErrors(err, err.prefix || ''));
+        }
+        return res;
+    }
+
+    /**
+     * Save instance, its BelongsTo instances are saved first and the others after.
+     *
+     * @param {Model} instance Model instance
+     * @param {Transaction} transaction Sequelize transaction
+     * @param {string} prefix Error path prefix
+     * @returns {Promise<Model>} Resolved with saved instance
+     */
+    async saveNested(instance, transaction, prefix = '') {
+        const model = instance.constructor;
+        const nested = this.nested.get(instance) || {};
+        const names = Object.keys(nested);
+        for (const name of names.filter(name => model.associations[name] instanceof BelongsToAssociation)) {
+            const association = model.associations[name];
+            nested[name] = await this.saveNested(nested[name], transaction, `${prefix}${name}.`);
+            instance.set(association.foreignKey, nested[name].get(association.targetKey));
+        }
+        try {
+            instance = await this.saveRow(instance, transaction);
+        }
+        catch (err) {
+            if (err instanceof ValidationError && err.prefix === undefined) {
+                err.prefix = prefix;
+            }
+            throw err;
+        }
+        for (const name of names.filter(name => !(model.associations[name] instanceof BelongsToAssociation))) {
+            const association = model.associations[name];
+            const children = Array.isArray(nested[name]) ? nested[name] : [nested[name]];
+            const saved = [];
+            for (let i = 0; i < children.length; i++) {
+                if (!(association instanceof BelongsToManyAssociation)) {
+                    children[i].set(association.foreignKey, instance.get(association.sourceKey));
+                }
+                const path = Array.isArray(nested[name]) ? `${prefix}${name}[${i}].` : `${prefix}${name}.`;
+                saved.push(await this.saveNested(children[i], transaction, path));
+            }
+            if (association instanceof BelongsToManyAssociation) {
+                await instance[association.accessors.addMultiple](saved, {transaction});
+            }
+            nested[name] = Array.isArray(nested[name]) ? saved : saved[0];
+        }
+        this.nested.set(instance, nested);
+        return instance;
+    }
+
+    /**
+     * Insert new instance or update existing row having the same primary key.
+     *
+     * @param {Model} instance Model instance
+     * @param {Transaction} transaction Sequelize transaction
+     * @returns {Promise<Model>} Resolved with saved instance
+     */
+    async saveRow(instance, transaction) {
+        const model = instance.constructor;
+        if (this.hasPrimaryKey(instance)) {
+            const where = {};
+            model.primaryKeyAttributes.forEach(key => {
+                where[key] = instance.get(key);
+            });
+            const existing = await model.findOne({where, transaction});
+            if (existing) {
+                debug(`Updating existing ${model.name} ${JSON.stringify(where)}`);
+                (instance.changed() || []).forEach(attr => existing.set(attr, instance.get(attr)));
+                return existing.save({transaction});
+            }
+        }
+        return instance.save({transaction});
+    }
+
+    /**
+     * Check if new instance has primary key values.
+     *
+     * @param {Model} instance Model instance
+     * @returns {boolean}
+     */
+    hasPrimaryKey(instance) {
+        const keys = instance.constructor.primaryKeyAttributes;
+        return instance.isNewRecord && keys.length > 0 &&
+            keys.every(key => instance.get(key) !== null && instance.get(key) !== undefined);
+    }
+
+    /**
+     * Convert Sequelize validation error to errors.
+     *
+     * @param {ValidationError} err Validation error
+     * @param {string} prefix Error path prefix
+     * @returns {object[]}
+     */
+    toErrors(err, prefix) {
+        if (Array.isArray(err.errors) && err.errors.length) {
+            return err.errors.map(e => ({path: prefix + (e.path || ''), message: e.message}));
+        }
+        return [{path: prefix.replace(/\.$/, ''), message: err.message}];
+    }
+}
+
+module.exports = Writer;
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Behaviors', () => {
+    let db, dir;
+
+    beforeEach(async () => {
+        // apply behaviors to Post only within these tests
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'behavior-'));
+        fs.cpSync(path.join(__dirname, 'model', 'data'), dir, {recursive: true});
+        fs.writeFileSync(path.join(dir, 'lifecycle.json'), JSON.stringify({
+            sluggable: {models: {Post: {source: 'Title', field: 'Slug'}}},
+            softdelete: ['Post'],
+            audit: {models: {Post: {exclude: ['Slug']}}},
+        }));
+        db = new Manager({modeldir: path.join(__dirname, 'model'), datadir: dir});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    const slugs = async () => (await db.Post.withTrashed().findAll({order: [['Id', 'ASC']]})).map(post => post.Slug);
+
+    it('makes slugs unique within a bulk batch', async () => {
+        // both fixture posts are titled Hello World
+        assert.deepStrictEqual(await slugs(), ['hello-world', 'hello-world-2']);
+        const posts = await db.Post.bulkCreate([
+            {Title: 'Bulk Post', UserId: 1},
+            {Title: 'Bulk post!', UserId: 1},
+            {Title: 'Hello, World', UserId: 1},
+        ]);
+        assert.deepStrictEqual(posts.map(post => post.Slug), ['bulk-post', 'bulk-post-2', 'hello-world-3']);
+    });
+
+    it('makes slugs unique against soft deleted rows', async () => {
+        const post = await db.Post.create({Title: 'Deleted', UserId: 1});
+        await post.destroy();
+        assert.strictEqual(await db.Post.count({where: {Slug: 'deleted'}}), 0);
+        assert.strictEqual((await db.Post.create({Title: 'Deleted', UserId: 1})).Slug, 'deleted-2');
+        const [bulk] = await db.Post.bulkCreate([{Title: 'Deleted', UserId: 1}]);
+        assert.strictEqual(bulk.Slug, 'deleted-3');
+        // an updated row keeps its own slug
+        await bulk.update({UserId: 2});
+        assert.strictEqual(bulk.Slug, 'deleted-3');
+    });
+
+    it('scopes soft deleted rows', async () => {
+        const [first, second] = await db.Post.findAll({order: [['Id', 'ASC']]});
+        await first.destroy();
+        assert.strictEqual(first.isTrashed(), true);
+        assert.strictEqual(second.isTrashed(), false);
+        assert.strictEqual(await db.Post.count(), 1);
+        assert.strictEqual(await db.Post.withTrashed().count(), 2);
+        assert.deepStrictEqual((await db.Post.onlyTrashed().findAll()).map(post => post.Id), [first.Id]);
+        await db.Post.restore({where: {Id: first.Id}});
+        assert.strictEqual(await db.Post.onlyTrashed().count(), 0);
+        assert.strictEqual(await db.Post.count(), 2);
+    });
+
+    it('versions each row of bulk operations', async () => {
+        const [first, second] = await db.Post.findAll({order: [['Id', 'ASC']]});
+        await db.Post.update({Title: 'Changed'}, {where: {}});
+        await db.Post.destroy({where: {Id: second.Id}});
+        await db.Post.restore({where: {Id: second.Id}});
+        const history = async post => (await post.getHistory()).map(row => [row.version, row.action]);
+        assert.deepStrictEqual(await history(first), [[1, 'create'], [2, 'update']]);
+        assert.deepStrictEqual(await history(second), [[1, 'create'], [2, 'update'], [3, 'destroy'], [4, 'restore']]);
+        const [created, updated] = await db.Post.getHistory(first.Id);
+        // Slug is excluded
+        assert.deepStrictEqual(Object.keys(created.after).sort(), ['CategoryId', 'Id', 'PublishedAt', 'Title', 'UserId']);
+        assert.deepStrictEqual([updated.before, updated.after], [{Title: 'Hello World'}, {Title: 'Changed'}]);
+    });
+});
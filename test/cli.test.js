@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const bin = path.join(__dirname, '..', 'bin', 'sequelize-manager.js');
+
+describe('Cli', () => {
+    let dir;
+
+    const run = (...args) => {
+        const res = spawnSync(process.execPath, [bin, ...args], {cwd: dir, encoding: 'utf8', timeout: 60000});
+        return {code: res.status, stdout: res.stdout, stderr: res.stderr};
+    }
+
+    const json = (...args) => {
+        const res = run(...args, '--json');
+        return Object.assign(res, {data: JSON.parse(res.stdout)});
+    }
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+        fs.writeFileSync(path.join(dir, 'sequelize-manager.json'), JSON.stringify({
+            modeldir: path.relative(dir, path.join(__dirname, 'model')),
+            database: {dialect: 'sqlite3', storage: './test.sqlite', logging: false},
+        }));
+    });
+
+    after(() => fs.rmSync(dir, {recursive: true, force: true}));
+
+    it('shows usage and exits with 2 on unknown command', () => {
+        let res = run();
+        assert.strictEqual(res.code, 2);
+        assert.match(res.stdout + res.stderr, /fixtures:load/);
+        res = run('nothing');
+        assert.strictEqual(res.code, 2);
+        res = run('sync', '--help');
+        assert.strictEqual(res.code, 0);
+    });
+
+    it('lists models without connecting', () => {
+        const res = run('models:list');
+        assert.strictEqual(res.code, 0);
+        assert.match(res.stdout, /^Country \(country\) \[.*fixture\]$/m);
+        assert.strictEqual(fs.existsSync(path.join(dir, 'test.sqlite')), false);
+    });
+
+    it('exits with 3 when check finds schema differences', () => {
+        let res = run('check');
+        assert.strictEqual(res.code, 3);
+        assert.match(res.stdout, /^Connection: OK\nSchema: \d+ difference\(s\)\nMigrations: OK\n$/);
+        res = json('sync');
+        assert.strictEqual(res.code, 0);
+        assert.deepStrictEqual(res.data.synced.sort(), ['Category', 'Country', 'Item', 'Post', 'User']);
+        res = json('check');
+        assert.strictEqual(res.code, 0);
+        assert.deepStrictEqual(res.data, {connected: true, changes: [], pending: [], ok: true});
+    });
+
+    it('dispatches commands with their options', () => {
+        let res = json('fixtures:load', '--env=test');
+        assert.strictEqual(res.code, 0);
+        assert.deepStrictEqual(res.data.Country, {inserted: 3, updated: 0, skipped: 0});
+        res = run('fixtures:load', '--mode=upsert');
+        assert.strictEqual(res.code, 0);
+        assert.ok(res.stdout.split('\n').indexOf('Country: 0 inserted, 0 updated, 3 skipped') >= 0);
+        res = json('fixtures:dump', '--models=Country', '--format=csv', `--dir=${path.join(dir, 'dump')}`);
+        assert.strictEqual(res.code, 0);
+        assert.deepStrictEqual(res.data, {Country: {file: path.join(dir, 'dump', 'Country.csv'), count: 3}});
+        res = json('migrate:status');
+        assert.deepStrictEqual(res.data, []);
+        res = json('validate');
+        assert.strictEqual(res.code, 0);
+        assert.strictEqual(res.data.valid, true);
+    });
+
+    it('exits with 1 on failure', () => {
+        let res = run('sync', '--force');
+        assert.strictEqual(res.code, 1);
+        assert.match(res.stderr, /^Error: Refusing destructive changes: dropTable/);
+        res = json('sync', '--force');
+        assert.strictEqual(res.code, 1);
+        assert.ok(res.data.changes.every(c => c.type === 'dropTable'));
+        res = run('migrate:status', '--config=missing.json');
+        assert.strictEqual(res.code, 1);
+        assert.match(res.stderr, /^Error: Config file .*missing\.json not found!/);
+        res = run('data:import', 'Country');
+        assert.strictEqual(res.code, 1);
+        assert.match(res.stderr, /Model and file to import are required/);
+    });
+});
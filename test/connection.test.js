@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+// a directory can't be opened as database
+const unavailable = {dialect: 'sqlite3', storage: os.tmpdir(), pool: {max: 1}, logging: false};
+
+describe('Connection', () => {
+    const createManager = () => new Manager({modeldir: path.join(__dirname, 'model')});
+
+    it('retries connecting with exponential backoff', async () => {
+        const db = createManager();
+        const retries = [];
+        db.on('connectRetry', (err, attempt, delay) => retries.push([err.name, attempt, delay]));
+        await db.init(unavailable);
+        try {
+            await assert.rejects(db.connectDatabase({retries: 3, delay: 10, factor: 3, maxDelay: 50}), /SQLITE_CANTOPEN/);
+            assert.deepStrictEqual(retries, [
+                ['SequelizeConnectionError', 1, 10],
+                ['SequelizeConnectionError', 2, 30],
+                ['SequelizeConnectionError', 3, 50],
+            ]);
+        }
+        finally {
+            await db.close();
+        }
+    });
+
+    it('gives up retrying once timed out', async () => {
+        const db = createManager();
+        const retries = [];
+        db.on('connectRetry', (err, attempt, delay) => retries.push(delay));
+        await db.init(unavailable);
+        try {
+            const started = Date.now();
+            await assert.rejects(db.connectDatabase({retries: 10, delay: 40, factor: 1, timeout: 100}), /SQLITE_CANTOPEN/);
+            // next retry would exceed the timeout
+            assert.ok(Date.now() - started < 100);
+            assert.ok(retries.length > 0 && retries.length < 3);
+        }
+        finally {
+            await db.close();
+        }
+    });
+
+    it('reports connection health', async () => {
+        const db = createManager();
+        await db.init(database);
+        await db.connectDatabase();
+        let res = await db.healthCheck();
+        assert.strictEqual(res.ok, true);
+        assert.ok(res.latency >= 0);
+        assert.deepStrictEqual(res.pool, {size: 1, available: 1, using: 0, waiting: 0, max: 1, min: 0});
+        await db.close();
+        res = await db.healthCheck();
+        assert.strictEqual(res.ok, false);
+        assert.strictEqual(res.latency, null);
+        assert.match(res.error.message, /closed/);
+
+        const other = createManager();
+        await other.init(unavailable);
+        res = await other.healthCheck();
+        assert.strictEqual(res.ok, false);
+        assert.match(res.error.message, /SQLITE_CANTOPEN/);
+        await other.close();
+    });
+
+    it('waits for connections in use before closing', async () => {
+        const db = createManager();
+        await db.init(database);
+        await db.syncModels();
+        const events = [];
+        db.on('disconnected', () => events.push('disconnected'));
+        const transaction = await db.getSequelize().startUnmanagedTransaction();
+        await db.Item.create({Name: 'A'}, {transaction});
+        const closing = db.close().then(() => events.push('closed'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepStrictEqual(events, []);
+        await transaction.commit();
+        events.push('committed');
+        await closing;
+        assert.deepStrictEqual(events, ['committed', 'disconnected', 'closed']);
+        assert.strictEqual(db.getSequelize().isClosed(), true);
+    });
+
+    it('closes manager which is not initialized', async () => {
+        const db = createManager();
+        const events = [];
+        db.on('disconnected', () => events.push('disconnected'));
+        await db.close();
+        assert.deepStrictEqual(events, []);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('DataStream', () => {
+    const db = new Manager({modeldir: path.join(__dirname, 'model')});
+    let dir;
+
+    before(async () => {
+        await db.init(database);
+        await db.syncModels();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'datastream-'));
+    });
+
+    afterEach(() => db.Item.destroy({where: {}}));
+
+    after(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('quotes CSV values when needed', () => {
+        const ds = db.getDataStream();
+        assert.strictEqual(ds.toCsvValue(null), '');
+        assert.strictEqual(ds.toCsvValue(undefined), '');
+        assert.strictEqual(ds.toCsvValue(''), '""');
+        assert.strictEqual(ds.toCsvValue('plain'), 'plain');
+        assert.strictEqual(ds.toCsvValue(12.5), '12.5');
+        assert.strictEqual(ds.toCsvValue('a,b'), '"a,b"');
+        assert.strictEqual(ds.toCsvValue('a,b', ';'), 'a,b');
+        assert.strictEqual(ds.toCsvValue('a;b', ';'), '"a;b"');
+        assert.strictEqual(ds.toCsvValue('say "hi"'), '"say ""hi"""');
+        assert.strictEqual(ds.toCsvValue('line\r\nbreak'), '"line\r\nbreak"');
+        assert.strictEqual(ds.toCsvValue(' padded'), '" padded"');
+        assert.strictEqual(ds.toCsvValue(new Date(Date.UTC(2026, 0, 2))), '2026-01-02T00:00:00.000Z');
+        assert.strictEqual(ds.toCsvValue({a: 'b,c'}), '"{""a"":""b,c""}"');
+        assert.strictEqual(ds.toCsvValue(Buffer.from('abc')), 'YWJj');
+    });
+
+    it('exports and imports quoted CSV back as is', async () => {
+        const names = ['plain', 'a,b', 'say "hi"', 'line\nbreak', ' padded ', '', null];
+        await db.Item.bulkCreate(names.map((Name, i) => ({Id: i + 1, Name})));
+        const file = path.join(dir, 'items.csv');
+        const res = await db.exportData('Item', file, {columns: {Id: 'Id', Name: 'Item name'}});
+        assert.strictEqual(res.count, names.length);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'),
+            'Id,Item name\n1,plain\n2,"a,b"\n3,"say ""hi"""\n4,"line\nbreak"\n5," padded "\n6,""\n7,\n');
+        await db.Item.destroy({where: {}});
+        const imported = await db.importData('Item', file, {columns: {'Item name': 'Name'}});
+        assert.strictEqual(imported.imported, names.length);
+        const items = await db.Item.findAll({order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(items.map(item => item.Name), names);
+    });
+
+    it('reads CSV with BOM, CRLF, and custom delimiter', async () => {
+        const file = path.join(dir, 'bom.csv');
+        fs.writeFileSync(file, '\uFEFFId;Name\r\n1;"x;y"\r\n\r\n2;"multi\r\nline"\r\n');
+        const res = await db.importData('Item', file, {delimiter: ';'});
+        assert.deepStrictEqual([res.rows, res.imported], [2, 2]);
+        const items = await db.Item.findAll({order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(items.map(item => [item.Id, item.Name]), [[1, 'x;y'], [2, 'multi\r\nline']]);
+    });
+
+    it('resumes import from checkpoint', async () => {
+        const file = path.join(dir, 'resume.ndjson');
+        const checkpoint = `${file}.checkpoint`;
+        fs.writeFileSync(file, [1, 2, 3, 4, 5].map(Id => JSON.stringify({Id, Name: `Item ${Id}`})).join('\n') + '\n');
+        const ds = db.getDataStream();
+        const lines = [];
+        let fail = true;
+        const handler = (items, transaction) => {
+            if (fail && items.some(item => item.line === 4)) {
+                return Promise.reject(new Error('Failed at line 4'));
+            }
+            lines.push(...items.map(item => item.line));
+            return ds.insert(db.Item, items, transaction);
+        };
+        await assert.rejects(db.importData('Item', file, {batch: 2, checkpoint: true, handler}), /Failed at line 4/);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(checkpoint)).rows, 2);
+        assert.strictEqual(await db.Item.count(), 2);
+
+        fail = false;
+        const res = await db.importData('Item', file, {batch: 2, checkpoint: true, handler});
+        assert.deepStrictEqual([res.rows, res.resumed, res.imported], [5, 2, 3]);
+        assert.deepStrictEqual(lines, [1, 2, 3, 4, 5]);
+        assert.strictEqual(fs.existsSync(checkpoint), false);
+        assert.strictEqual(await db.Item.count(), 5);
+    });
+
+    it('refuses checkpoint of a changed file', async () => {
+        const file = path.join(dir, 'changed.ndjson');
+        const checkpoint = path.join(dir, 'changed.state');
+        fs.writeFileSync(file, '{"Id": 1, "Name": "A"}\n{"Id": 1, "Name": "B"}\n');
+        await assert.rejects(db.importData('Item', file, {batch: 1, checkpoint}), /UNIQUE constraint failed|Validation error/);
+        assert.strictEqual(fs.existsSync(checkpoint), true);
+        fs.appendFileSync(file, '{"Id": 3, "Name": "C"}\n');
+        await assert.rejects(db.importData('Item', file, {batch: 1, checkpoint}), /doesn't match/);
+        assert.strictEqual(await db.Item.count(), 1);
+    });
+
+    it('removes partially exported file', async () => {
+        await db.Item.bulkCreate([{Name: 'A'}, {Name: 'B'}, {Name: 'C'}]);
+        const file = path.join(dir, 'partial.ndjson');
+        await assert.rejects(db.exportData('Item', file, {
+            batch: 1,
+            transform: values => {
+                if (values.Name === 'B') {
+                    throw new Error('Transform failed');
+                }
+                return values;
+            },
+        }), /Transform failed/);
+        assert.strictEqual(fs.existsSync(file), false);
+        // existing target which can't be written is left alone
+        const target = path.join(dir, 'target.csv');
+        fs.mkdirSync(target);
+        await assert.rejects(db.exportData('Item', target), /EISDIR/);
+        assert.strictEqual(fs.statSync(target).isDirectory(), true);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const events = ['addonLoaded', 'modelLoaded', 'associated', 'connected', 'disconnected', 'tenantCreated', 'tenantEvicted',
+    'beforeSync', 'afterSync', 'fixtureStart', 'fixtureProgress', 'fixtureDone'];
+
+/**
+ * Record emitted events as `event:name`, name is the addon name, model name, or tenant id.
+ */
+const record = db => {
+    const res = [];
+    events.forEach(event => db.on(event, (...args) => {
+        const name = event === 'addonLoaded' ? args[1] : (typeof args[0] === 'string' ? args[0] : (args[0] && args[0].name));
+        res.push(name ? `${event}:${name}` : event);
+    }));
+    return res;
+}
+
+describe('Manager events', () => {
+    let db, emitted;
+
+    beforeEach(() => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        emitted = record(db);
+    });
+
+    afterEach(() => db.close());
+
+    it('emits addonLoaded and modelLoaded for each model before associated', async () => {
+        const features = {};
+        db.on('modelLoaded', (model, feature) => features[model.name] = feature);
+        await db.init(database);
+        assert.deepStrictEqual(emitted, ['addonLoaded:Greeting', 'addonLoaded:Shout', 'modelLoaded:Category', 'modelLoaded:Country', 'modelLoaded:Item',
+            'modelLoaded:Post', 'modelLoaded:User', 'associated']);
+        assert.deepStrictEqual(features.Item, {addons: ['Greeting']});
+        assert.deepStrictEqual(features.Country, {stringable: true, addons: ['Greeting'], fixture: true});
+    });
+
+    it('emits connected once authenticated and disconnected once closed', async () => {
+        await db.init(database);
+        emitted.length = 0;
+        let connected;
+        db.on('connected', sequelize => connected = sequelize);
+        await db.connectDatabase();
+        assert.strictEqual(connected, db.getSequelize());
+        await db.close();
+        assert.deepStrictEqual(emitted, ['connected', 'disconnected']);
+        assert.strictEqual(db.getSequelize().isClosed(), true);
+    });
+
+    it('emits beforeSync and afterSync of each model in reference order', async () => {
+        await db.init(database);
+        emitted.length = 0;
+        await db.syncModels();
+        // a model is synchronized after the models it references
+        assert.deepStrictEqual(emitted, [
+            'beforeSync:Country', 'afterSync:Country',
+            'beforeSync:User', 'afterSync:User',
+            'beforeSync:Category', 'afterSync:Category',
+            'beforeSync:Post', 'afterSync:Post',
+            'beforeSync:Item', 'afterSync:Item',
+        ]);
+    });
+
+    it('emits fixture events of each model', async () => {
+        await db.init(database);
+        await db.syncModels();
+        emitted.length = 0;
+        const counts = {}, progress = {}, done = {};
+        db.on('fixtureStart', (model, count) => counts[model.name] = count);
+        db.on('fixtureProgress', (model, value) => progress[model.name] = value);
+        db.on('fixtureDone', (model, res) => done[model.name] = res);
+        await db.loadFixtures();
+        // each model is started, progressed, and done before the next one
+        const models = [];
+        emitted.forEach(event => {
+            const [name, model] = event.split(':');
+            if (name === 'fixtureStart') {
+                models.push(model);
+            } else {
+                assert.strictEqual(model, models[models.length - 1], `${event} belongs to the last started model`);
+            }
+        });
+        assert.deepStrictEqual(models, ['Category', 'Country', 'User', 'Post']);
+        assert.deepStrictEqual(emitted.filter(event => event.startsWith('fixtureDone')),
+            models.map(model => `fixtureDone:${model}`));
+        // streamed fixtures don't know their row count up front
+        assert.deepStrictEqual(counts, {Category: 3, Country: 3, User: null, Post: null});
+        assert.deepStrictEqual(progress, {Category: 100, Country: 100, User: 100, Post: 100});
+        assert.deepStrictEqual(done.User, {inserted: 2, updated: 0, skipped: 0});
+    });
+});
+
+describe('Tenant events', () => {
+    let db, emitted;
+
+    beforeEach(async () => {
+        db = new Manager({
+            modeldir: path.join(__dirname, 'model'),
+            tenants: {
+                resolve: id => database,
+                max: 1,
+            },
+        });
+        await db.init(database);
+        emitted = record(db);
+    });
+
+    afterEach(() => db.close());
+
+    it('emits tenantCreated and tenantEvicted when the limit is exceeded or closed', async () => {
+        const tenants = db.getTenants();
+        const a = await tenants.get('a');
+        const disconnected = [];
+        a.on('disconnected', () => disconnected.push('a'));
+        await tenants.get('b');
+        assert.deepStrictEqual(emitted, ['tenantCreated:a', 'tenantCreated:b', 'tenantEvicted:a']);
+        assert.deepStrictEqual(disconnected, ['a']);
+        await db.close();
+        // tenants are closed before the manager itself
+        assert.deepStrictEqual(emitted.slice(3), ['tenantEvicted:b', 'disconnected']);
+    });
+});
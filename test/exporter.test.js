@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const product = `const { DataTypes } = require(${JSON.stringify(require.resolve('@sequelize/core'))});
+
+module.exports = (sequelize, attributes, options) => sequelize.define('Product', {
+    Id: {type: DataTypes.UUID, primaryKey: true, defaultValue: DataTypes.UUIDV4},
+    Name: {type: DataTypes.STRING(50), allowNull: false, validate: {len: [3, 50]}, comment: 'Product name'},
+    Email: {type: DataTypes.STRING, validate: {isEmail: true}},
+    Price: {type: DataTypes.DOUBLE, allowNull: false, defaultValue: 0, validate: {min: 0, max: {args: 1000}}},
+    Active: {type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true},
+    Size: {type: DataTypes.ENUM('S', 'M', 'L')},
+    Grade: {type: DataTypes.STRING(1), validate: {isIn: [['A', 'B']]}},
+    Released: DataTypes.DATEONLY,
+    Label: {type: DataTypes.VIRTUAL, get() { return this.Name; }},
+}, {tableName: 'product item', timestamps: true});
+`;
+
+describe('Exporter', () => {
+    let db, dir;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exporter-'));
+        fs.writeFileSync(path.join(dir, 'Product.js'), product);
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+    });
+
+    after(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('exports row, create, and update JSON Schema definitions', () => {
+        const schema = db.exportSchema('json-schema', {models: ['Post', 'Country']});
+        assert.strictEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+        assert.deepStrictEqual(Object.keys(schema.$defs), ['Country', 'CountryCreate', 'CountryUpdate', 'Post', 'PostCreate', 'PostUpdate']);
+        const { Post, PostCreate, PostUpdate } = schema.$defs;
+        assert.deepStrictEqual(Post.required, ['Id', 'UserId', 'Title']);
+        assert.deepStrictEqual(Post.properties.Id, {type: 'integer'});
+        assert.deepStrictEqual(Post.properties.CategoryId, {type: ['integer', 'null']});
+        assert.deepStrictEqual(Post.properties.PublishedAt, {type: ['string', 'null'], format: 'date-time'});
+        assert.strictEqual(Post.additionalProperties, false);
+        // auto increment key is generated
+        assert.deepStrictEqual(Object.keys(PostCreate.properties), ['UserId', 'CategoryId', 'Title', 'Slug', 'PublishedAt']);
+        assert.deepStrictEqual(PostCreate.required, ['UserId', 'Title']);
+        assert.deepStrictEqual(PostUpdate.properties, PostCreate.properties);
+        assert.strictEqual(PostUpdate.required, undefined);
+        assert.throws(() => db.exportSchema('json-schema', {models: ['Nothing']}), /Unable to export unknown model Nothing/);
+        assert.throws(() => db.exportSchema('yaml'), /Unsupported schema export format yaml/);
+    });
+
+    it('describes data types, validations, and defaults in JSON Schema', async () => {
+        const other = new Manager({modeldir: dir});
+        await other.init(database);
+        try {
+            const { Product, ProductCreate } = other.exportSchema('json-schema').$defs;
+            assert.deepStrictEqual(Product.properties, {
+                Id: {type: 'string', format: 'uuid'},
+                Name: {type: 'string', maxLength: 50, minLength: 3, description: 'Product name'},
+                Email: {type: ['string', 'null'], format: 'email'},
+                Price: {type: 'number', minimum: 0, maximum: 1000, default: 0},
+                Active: {type: 'boolean', default: true},
+                Size: {type: ['string', 'null'], enum: ['S', 'M', 'L', null]},
+                Grade: {type: ['string', 'null'], maxLength: 1, enum: ['A', 'B', null]},
+                Released: {type: ['string', 'null'], format: 'date'},
+                createdAt: {type: 'string', format: 'date-time'},
+                updatedAt: {type: 'string', format: 'date-time'},
+            });
+            assert.deepStrictEqual(Product.required, ['Id', 'Name', 'Price', 'Active', 'createdAt', 'updatedAt']);
+            // timestamps are generated, default values aren't required
+            assert.deepStrictEqual(ProductCreate.required, ['Name']);
+            assert.ok(ProductCreate.properties.Id);
+            assert.strictEqual(ProductCreate.properties.createdAt, undefined);
+            assert.match(other.exportSchema('mermaid'), /^    "product item" \{\n        UUID Id PK\n/m);
+        }
+        finally {
+            await other.close();
+        }
+    });
+
+    it('exports Mermaid ER diagram with keys and relations', () => {
+        assert.strictEqual(db.exportSchema('mermaid', {models: ['User', 'Country', 'Post']}), [
+            'erDiagram',
+            '    country {',
+            '        INTEGER Id PK',
+            '        STRING(2) Code UK',
+            '        STRING(100) Name',
+            '    }',
+            '    post {',
+            '        INTEGER Id PK',
+            '        INTEGER UserId FK',
+            '        INTEGER CategoryId FK',
+            '        STRING(100) Title',
+            '        STRING(100) Slug',
+            '        DATE PublishedAt',
+            '    }',
+            '    user {',
+            '        INTEGER Id PK',
+            '        STRING(50) Username UK',
+            '        STRING(100) Email',
+            '        INTEGER CountryId FK',
+            '    }',
+            '    user ||--o{ post : "UserId"',
+            '    country |o--o{ user : "CountryId"',
+            '',
+        ].join('\n'));
+        // relations to models not exported are left out
+        assert.doesNotMatch(db.exportSchema('mermaid', {models: ['Post']}), /--/);
+    });
+
+    it('exports Graphviz DOT with keys and relations', () => {
+        const dot = db.exportSchema('dot', {models: ['Category', 'User']}).split('\n');
+        assert.deepStrictEqual(dot.slice(0, 3), ['digraph schema {', '    rankdir=LR;', '    node [shape=plaintext];']);
+        assert.match(dot[3], /^    "category" \[label=<<TABLE .*<B>category<\/B>.*<TD ALIGN="LEFT" PORT="Id"><U>Id<\/U> \(PK\)<\/TD><TD ALIGN="LEFT">INTEGER<\/TD>.*PORT="ParentId">ParentId \(FK\)<\/TD>.*<\/TABLE>>\];$/);
+        assert.match(dot[4], /PORT="Username">Username \(UK\)<\/TD><TD ALIGN="LEFT">STRING\(50\)<\/TD>/);
+        assert.deepStrictEqual(dot.slice(5), ['    "category":"ParentId" -> "category" [arrowhead=odot];', '}', '']);
+        assert.match(db.exportSchema('dot', {models: ['Post', 'User']}), /^    "post":"UserId" -> "user" \[arrowhead=normal\];$/m);
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const createManager = async (config = {}) => {
+    const db = new Manager(Object.assign({modeldir: path.join(__dirname, 'model')}, config));
+    await db.init(database);
+    await db.syncModels();
+    return db;
+}
+
+describe('Manager.extend', () => {
+    const define = () => {
+        class Foo {
+            static find() {
+                return 'find';
+            }
+            name() {
+                return 'foo';
+            }
+        }
+        return Foo;
+    }
+
+    it('chains functions already defined through previous', () => {
+        const Foo = define();
+        const conflicts = Manager.extend(Foo, {
+            getFunctions(model, previous) {
+                return {find: () => `${previous.find.call(model)}!`};
+            },
+            getInstanceFunctions(model, previous) {
+                return {
+                    name() {
+                        return previous.name.call(this).toUpperCase();
+                    }
+                }
+            },
+        }, 'a');
+        assert.deepStrictEqual(conflicts, []);
+        assert.strictEqual(Foo.find(), 'find!');
+        assert.strictEqual(new Foo().name(), 'FOO');
+        // the original instance function is kept
+        assert.strictEqual(new Foo().__name(), 'foo');
+    });
+
+    it('returns functions already defined by other extensions', () => {
+        const Foo = define();
+        const ext = value => ({getInstanceFunctions: model => ({name: () => value, [value]: () => value})});
+        assert.deepStrictEqual(Manager.extend(Foo, ext('a'), 'a'), []);
+        assert.deepStrictEqual(Manager.extend(Foo, ext('b'), 'b'), [{model: 'Foo', type: 'instance', fn: 'name', name: 'b', previous: 'a'}]);
+        // applying the same extension again is not a conflict
+        assert.deepStrictEqual(Manager.extend(Foo, ext('b'), 'b'), []);
+        assert.deepStrictEqual(Manager.extend(Foo, {getFunctions: model => ({find: () => 'c'})}, 'c'), []);
+        assert.strictEqual(new Foo().name(), 'b');
+    });
+
+    it('ignores extension without functions quietly', t => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const Foo = define();
+        assert.deepStrictEqual(Manager.extend(Foo, {}), []);
+        assert.strictEqual(warn.mock.callCount(), 0);
+        assert.strictEqual(new Foo().name(), 'foo');
+    });
+});
+
+describe('Extends and addons', () => {
+    let db, dir;
+
+    afterEach(async () => {
+        await db.close();
+        if (dir) {
+            fs.rmSync(dir, {recursive: true, force: true});
+            dir = null;
+        }
+    });
+
+    it('applies model extend then addons in priority order', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        const admin = await db.User.findByUsername('admin');
+        // extend:User, then Greeting (10), then Shout (20 in data/addon.json)
+        assert.strictEqual(admin.greet(), 'HI ADMIN!');
+        const category = await db.Category.findOne();
+        assert.strictEqual(category.greet(), 'Hello Category');
+        assert.deepStrictEqual(db.features.User.addons, ['Greeting', 'Shout']);
+        assert.strictEqual(db.features.User.extended, true);
+        assert.deepStrictEqual(db.features.Category.addons, ['Greeting']);
+    });
+
+    it('reports functions overridden by other extensions', async () => {
+        db = await createManager();
+        assert.deepStrictEqual(db.getConflicts(), [
+            {model: 'User', type: 'instance', fn: 'greet', name: 'addon:Greeting', previous: 'extend:User'},
+            {model: 'User', type: 'instance', fn: 'greet', name: 'addon:Shout', previous: 'addon:Greeting'},
+        ]);
+    });
+
+    it('uses addon own priority when not configured', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extend-'));
+        const loaded = [];
+        db = new Manager({modeldir: path.join(__dirname, 'model'), datadir: dir});
+        db.on('addonLoaded', (addon, name) => loaded.push(name));
+        await db.init(database);
+        assert.deepStrictEqual(loaded.sort(), ['Greeting', 'Shout']);
+        assert.deepStrictEqual(db.addons.map(addon => [addon.name, addon.priority]), [['Shout', 5], ['Greeting', 10]]);
+        // Shout has no include, so it extends every model
+        assert.deepStrictEqual(db.features.Item.addons, ['Shout', 'Greeting']);
+        assert.deepStrictEqual(db.getConflicts().filter(conflict => conflict.model === 'User'), [
+            {model: 'User', type: 'instance', fn: 'greet', name: 'addon:Shout', previous: 'extend:User'},
+            {model: 'User', type: 'instance', fn: 'greet', name: 'addon:Greeting', previous: 'addon:Shout'},
+        ]);
+        const user = db.User.build({Username: 'john'});
+        assert.strictEqual(user.greet(), 'HI JOHN!');
+    });
+});
@@ -0,0 +1,234 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const createManager = async (config = {}) => {
+    const db = new Manager(Object.assign({modeldir: path.join(__dirname, 'model')}, config));
+    await db.init(database);
+    await db.syncModels();
+    return db;
+}
+
+const rows = async db => {
+    const res = {};
+    for (const model of ['Country', 'User', 'Category', 'Post']) {
+        res[model] = await db[model].findAll({raw: true, order: [['Id', 'ASC']]});
+    }
+    return res;
+}
+
+const names = async model => (await model.findAll({order: [['Code', 'ASC']]})).map(row => `${row.Code}:${row.Name}`);
+
+describe('Fixture', () => {
+    let db;
+
+    afterEach(() => db.close());
+
+    it('applies fixture sets in order of default, common, then environment', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        assert.deepStrictEqual(await names(db.Country), ['ID:Republic of Indonesia', 'JP:Japan', 'US:United States']);
+        await db.Country.destroy({where: {}});
+        await db.loadFixtures({env: 'test'});
+        assert.deepStrictEqual(await names(db.Country), ['ID:Indonesia (test)', 'JP:Japan', 'US:United States']);
+    });
+
+    it('uses fixtureenv when env is not specified', async () => {
+        db = await createManager({fixtureenv: 'test'});
+        assert.deepStrictEqual(db.getFixture().getFiles(db.Country, 'test').map(file => path.relative(db.fixtureDir, file)),
+            ['Country.json', path.join('common', 'Country.json'), path.join('test', 'Country.json')]);
+        await db.loadFixtures();
+        assert.deepStrictEqual(await names(db.Country), ['ID:Indonesia (test)', 'JP:Japan', 'US:United States']);
+    });
+
+    it('upserts rows matched by natural key', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        await db.Country.update({Name: 'Changed'}, {where: {Code: 'US'}});
+        await db.Country.destroy({where: {Code: 'JP'}});
+        const countries = await db.Country.count();
+
+        let res = await db.loadFixtures({mode: 'upsert'});
+        assert.deepStrictEqual(res.Country, {inserted: 1, updated: 0, skipped: 2});
+        assert.strictEqual(await db.Country.count(), countries + 1);
+        assert.deepStrictEqual(await names(db.Country), ['ID:Republic of Indonesia', 'JP:Japan', 'US:Changed']);
+
+        res = await db.loadFixtures({mode: 'upsert', update: true});
+        assert.deepStrictEqual(res.Country, {inserted: 0, updated: 1, skipped: 2});
+        assert.deepStrictEqual(await names(db.Country), ['ID:Republic of Indonesia', 'JP:Japan', 'US:United States']);
+        // streamed rows are matched by natural key too
+        assert.deepStrictEqual(res.User, {inserted: 0, updated: 0, skipped: 2});
+        assert.strictEqual(await db.User.count(), 2);
+    });
+
+    it('skips models which already have rows in empty mode', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        const res = await db.loadFixtures();
+        assert.deepStrictEqual(res.Country, {inserted: 0, updated: 0, skipped: 3});
+        assert.deepStrictEqual(res.User, {inserted: 0, updated: 0, skipped: 2});
+        assert.strictEqual(await db.Country.count(), 3);
+    });
+
+    it('loads CSV and NDJSON fixtures', async () => {
+        db = await createManager();
+        const res = await db.loadFixtures();
+        assert.deepStrictEqual(res.User, {inserted: 2, updated: 0, skipped: 0});
+        assert.deepStrictEqual(res.Post, {inserted: 2, updated: 0, skipped: 0});
+        const users = await db.User.findAll({include: ['Country'], order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(users.map(user => [user.Username, user.Country.Code]), [['admin', 'ID'], ['john', 'US']]);
+        const posts = await db.Post.findAll({include: ['User', 'Category'], order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(posts.map(post => [post.User.Username, post.Category.Name]), [['admin', 'News'], ['john', 'General']]);
+        assert.ok(posts[1].PublishedAt instanceof Date);
+    });
+});
+
+describe('Fixture references and generators', () => {
+    let db;
+
+    afterEach(() => db.close());
+
+    it('resolves references to rows of models populated before', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        // Post rows name User and Category rows which are populated first by foreign key order
+        const post = await db.Post.findOne({include: ['User', 'Category'], order: [['Id', 'ASC']]});
+        assert.deepStrictEqual([post.User.Username, post.Category.Name], ['admin', 'News']);
+        await db.populateData(db.Item, [{Name: '@admin.Email'}]);
+        assert.strictEqual((await db.Item.findOne()).Name, 'admin@example.com');
+    });
+
+    it('inserts the pending batch early when a row references a row in it', async () => {
+        db = await createManager();
+        let batches = 0;
+        const counter = () => batches++;
+        db.Category.hooks.addListener('beforeBulkCreate', counter);
+        await db.populateData(db.Category, [
+            {'@ref': 'a', Name: 'A'},
+            {'@ref': 'b', Name: 'B', ParentId: '@a'},
+            {Name: 'C', ParentId: '@b'},
+            {Name: 'D', ParentId: '@a'},
+        ]);
+        db.Category.hooks.removeListener('beforeBulkCreate', counter);
+        assert.strictEqual(batches, 3);
+        const categories = await db.Category.findAll({include: ['Parent'], order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(categories.map(c => [c.Name, c.Parent ? c.Parent.Name : null]),
+            [['A', null], ['B', 'A'], ['C', 'B'], ['D', 'A']]);
+    });
+
+    it('unescapes @@ into a literal @', async () => {
+        db = await createManager();
+        await db.loadFixtures();
+        assert.strictEqual((await db.User.findOne({where: {Username: 'john'}})).Email, '@john');
+        await db.populateData(db.Item, [{Name: '@@admin'}]);
+        assert.strictEqual((await db.Item.findOne()).Name, '@admin');
+    });
+
+    it('fails on reference to an unknown row', async () => {
+        db = await createManager();
+        await assert.rejects(db.populateData(db.Item, [{Name: '@nobody'}]), /Item\.Name references unknown row nobody/);
+        await assert.rejects(db.populateData(db.Item, [{Name: {$nothing: 1}}]), /Item\.Name uses unknown generator nothing/);
+    });
+
+    it('generates values using built-in and configured generators', async () => {
+        db = await createManager({generators: {label: (arg, ctx) => `${ctx.model.name}-${arg}`}});
+        await db.loadFixtures();
+        const before = Date.now();
+        await db.populateData(db.Item, [
+            {Id: {$seq: 10}, Name: {$uuid: null}},
+            {Id: {$seq: 10}, Name: {$label: 'x'}},
+        ]);
+        await db.populateData(db.Post, [{Title: 'Now', UserId: '@admin', PublishedAt: {$now: null}}], {skip: false});
+        const items = await db.Item.findAll({order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(items.map(item => item.Id), [10, 11]);
+        assert.match(items[0].Name, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+        assert.strictEqual(items[1].Name, 'Item-x');
+        const post = await db.Post.findOne({where: {Title: 'Now'}});
+        assert.ok(post.PublishedAt.getTime() >= before - 1000);
+    });
+});
+
+describe('Fixture dump', () => {
+    let db, dir;
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('dumps rows which load back the same', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+        db = await createManager();
+        await db.loadFixtures();
+        const expected = await rows(db);
+        const res = await db.dumpFixtures({dir});
+        assert.deepStrictEqual(res.User, {file: path.join(dir, 'User.json'), count: 2});
+        // a value starting with @ is escaped so it isn't taken as reference
+        const users = JSON.parse(fs.readFileSync(res.User.file));
+        assert.strictEqual(users[1].Email, '@@john');
+        await db.close();
+
+        db = await createManager({fixturedir: dir});
+        await db.loadFixtures();
+        assert.deepStrictEqual(await rows(db), expected);
+    });
+
+    it('dumps selected models with their options', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+        db = await createManager();
+        await db.loadFixtures();
+        const res = await db.dumpFixtures({dir, env: 'test', models: {Country: {where: {Code: 'US'}, exclude: ['Id']}}});
+        assert.deepStrictEqual(Object.keys(res), ['Country']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'test', 'Country.json'))), [{Code: 'US', Name: 'United States'}]);
+        await assert.rejects(db.dumpFixtures({dir, models: ['Nothing']}), /unknown model Nothing/);
+    });
+});
+
+describe('Fixture transaction', () => {
+    let db, dir;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+        fs.cpSync(path.join(__dirname, 'model', 'fixture'), dir, {recursive: true});
+        // the second post has no title
+        fs.appendFileSync(path.join(dir, 'Post.ndjson'), '{"Title": null, "UserId": "@admin"}\n');
+        db = await createManager({fixturedir: dir});
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('rolls back all models when loaded in a single transaction', async () => {
+        const err = await db.loadFixtures({transactional: 'all'}).catch(err => err);
+        assert.ok(err instanceof Error);
+        assert.deepStrictEqual(Object.keys(err.report), ['Category', 'Country', 'User', 'Post']);
+        assert.deepStrictEqual(err.report.Country, {inserted: 3, updated: 0, skipped: 0});
+        assert.strictEqual(err.report.Post.error, err);
+        assert.strictEqual(err.report.Post.inserted, 0);
+        for (const model of ['Country', 'User', 'Category', 'Post']) {
+            assert.strictEqual(await db[model].count(), 0, `${model} is rolled back`);
+        }
+    });
+
+    it('only rolls back the failing model when each model is loaded in its own transaction', async () => {
+        const res = await db.loadFixtures({transactional: 'model'});
+        assert.deepStrictEqual(res.User, {inserted: 2, updated: 0, skipped: 0});
+        assert.ok(res.Post.error instanceof Error);
+        assert.strictEqual(await db.Post.count(), 0);
+        assert.strictEqual(await db.User.count(), 2);
+        assert.strictEqual(await db.Country.count(), 3);
+    });
+
+    it('reports the failing model without transaction', async () => {
+        const res = await db.loadFixtures();
+        assert.ok(res.Post.error instanceof Error);
+        assert.strictEqual(await db.Category.count(), 3);
+    });
+});
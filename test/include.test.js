@@ -0,0 +1,59 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+/**
+ * Simplify includes to nested association names.
+ */
+const tree = includes => Object.fromEntries(includes.map(incl => [incl.as, incl.include ? tree(incl.include) : {}]));
+
+describe('IncludeBuilder', () => {
+    let db;
+
+    before(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+    });
+
+    after(() => db.close());
+
+    it('merges association paths with their level options', () => {
+        const includes = db.buildIncludes(db.Post, {
+            'User.Country': {attributes: ['Code']},
+            'User': {required: true},
+            'Category': {include: ['Parent']},
+        });
+        assert.deepStrictEqual(tree(includes), {User: {Country: {}}, Category: {Parent: {}}});
+        assert.strictEqual(includes[0].model, db.User);
+        assert.strictEqual(includes[0].required, true);
+        assert.deepStrictEqual(includes[0].include[0].attributes, ['Code']);
+        assert.throws(() => db.buildIncludes(db.Post, 'User.Nothing'), /Unable to include User\.Nothing, User has no association Nothing/);
+        assert.throws(() => db.buildIncludes(db.Post, {User: {group: 'Id'}}), /Unsupported include option group/);
+    });
+
+    it('follows self-referencing association up to depth', async () => {
+        assert.deepStrictEqual(tree(db.buildIncludes(db.Category)), {Parent: {}});
+        const includes = db.buildIncludes(db.Category, null, {depth: 2});
+        assert.deepStrictEqual(tree(includes), {Parent: {Parent: {}}});
+        const category = await db.Category.findOne({where: {Name: 'Local News'}, include: includes});
+        assert.deepStrictEqual([category.Parent.Name, category.Parent.Parent.Name], ['News', 'General']);
+        assert.deepStrictEqual(tree(db.buildIncludes(db.Category, null, {depth: 3})), {Parent: {Parent: {Parent: {}}}});
+    });
+
+    it('follows mutually referencing associations up to depth', async () => {
+        const includes = db.buildIncludes(db.Post, null, {depth: 2});
+        assert.deepStrictEqual(tree(includes), {Category: {Parent: {}}, User: {Country: {}, Posts: {}}});
+        const post = await db.Post.findOne({where: {Id: 1}, include: includes});
+        assert.strictEqual(post.User.Username, 'admin');
+        assert.deepStrictEqual(post.User.Posts.map(p => p.Id), [1]);
+        assert.deepStrictEqual(tree(db.buildIncludes(db.Post, null, {depth: 3, types: ['BelongsTo']})),
+            {Category: {Parent: {Parent: {}}}, User: {Country: {}}});
+        assert.deepStrictEqual(tree(db.buildIncludes(db.Post, null, {depth: 0})), {});
+        assert.throws(() => db.buildIncludes(db.Post, null, {types: ['Nothing']}), /Unknown association type Nothing/);
+    });
+});
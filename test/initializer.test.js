@@ -0,0 +1,98 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QueryTypes } = require('@sequelize/core');
+const Manager = require('..');
+const Initializer = require('../lib/initializer');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Initializer', () => {
+    let db, dir;
+
+    const createManager = async (initializers, options = database) => {
+        db = new Manager({modeldir: path.join(__dirname, 'model'), initializers});
+        await db.init(options);
+        return db;
+    };
+
+    const pragma = async name => (await db.getSequelize().query(`PRAGMA ${name}`, {type: QueryTypes.SELECT}))[0][name];
+
+    afterEach(async () => {
+        if (db) {
+            await db.close();
+            db = null;
+        }
+        if (dir) {
+            fs.rmSync(dir, {recursive: true, force: true});
+            dir = null;
+        }
+    });
+
+    it('initializes each connection once', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'initializer-'));
+        const connections = [];
+        await createManager({
+            sqlite: {pragmas: {cache_size: 1234, recursive_triggers: true}},
+            init: connection => {
+                connections.push(connection);
+                return Promise.resolve();
+            },
+        }, {dialect: 'sqlite3', storage: path.join(dir, 'test.db'), pool: {max: 2, idle: Infinity}, logging: false});
+        const sequelize = db.getSequelize();
+        // hold two connections at once
+        const [t1, t2] = await Promise.all([sequelize.startUnmanagedTransaction(), sequelize.startUnmanagedTransaction()]);
+        await Promise.all([t1.commit(), t2.commit()]);
+        for (let i = 0; i < 5; i++) {
+            assert.strictEqual(await pragma('cache_size'), 1234);
+            assert.strictEqual(await pragma('recursive_triggers'), 1);
+        }
+        assert.strictEqual(connections.length, 2);
+        assert.notStrictEqual(connections[0], connections[1]);
+    });
+
+    it('destroys connection which fails to initialize', async () => {
+        const connections = [];
+        await createManager({
+            sqlite3: {
+                init: connection => {
+                    connections.push(connection);
+                    return connections.length === 1 ? Promise.reject(new Error('Init failed')) : Promise.resolve();
+                },
+            },
+        });
+        const sequelize = db.getSequelize();
+        await assert.rejects(sequelize.query('SELECT 1'), /Init failed/);
+        assert.strictEqual(sequelize.pool.size, 0);
+        // a new connection is made and initialized
+        await sequelize.query('SELECT 1');
+        await sequelize.query('SELECT 1');
+        assert.strictEqual(connections.length, 2);
+        assert.notStrictEqual(connections[0], connections[1]);
+        assert.strictEqual(sequelize.pool.size, 1);
+    });
+
+    it('applies initializers of current dialect only', async () => {
+        await createManager({
+            mysql: {variables: {sql_mode: 'STRICT_ALL_TABLES'}},
+            postgres: {searchPath: 'app'},
+            sqlite3: {pragmas: {cache_size: 99}},
+        });
+        const steps = new Initializer(db.getSequelize(), db.getInitializers()).steps;
+        assert.deepStrictEqual(steps.map(step => step.name), ['Pragma cache_size=99']);
+        assert.strictEqual(await pragma('cache_size'), 99);
+    });
+
+    it('rejects invalid config', async () => {
+        await createManager();
+        const sequelize = db.getSequelize();
+        assert.throws(() => new Initializer(sequelize, {oracle: {}}), /unsupported dialect oracle/);
+        assert.throws(() => new Initializer(sequelize, {sqlite3: {timezone: '+07:00'}}), /Unsupported connection initializer timezone for sqlite3/);
+        assert.throws(() => new Initializer(sequelize, {init: 'fn'}), /init must be a function/);
+        assert.throws(() => new Initializer({dialect: {name: 'postgres'}}, {postgres: {statementTimeout: 'x'}}), /must be a number/);
+        const initializer = new Initializer(sequelize, {sqlite3: {pragmas: {'foo; DROP': 1}}});
+        await assert.rejects(initializer.initialize({}), /Invalid connection initializer name/);
+    });
+});
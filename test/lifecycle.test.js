@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+const { calls } = require('./model/hook/trace');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Lifecycle entries', () => {
+    it('reads models, options, and order of lifecycle entries', () => {
+        assert.deepStrictEqual(Manager.getLifecycleModels(['Post', 'User']), [
+            {model: 'Post', config: {}, order: 0},
+            {model: 'User', config: {}, order: 0},
+        ]);
+        assert.deepStrictEqual(Manager.getLifecycleModels({order: 5, label: 'x', models: ['Post']}), [
+            {model: 'Post', config: {label: 'x'}, order: 5},
+        ]);
+        // model options override entry options, a model can be disabled with false
+        assert.deepStrictEqual(Manager.getLifecycleModels({label: 'x', models: {Post: {label: 'y', order: -1}, User: true, Item: false}}), [
+            {model: 'Post', config: {label: 'y'}, order: -1},
+            {model: 'User', config: {label: 'x'}, order: 0},
+        ]);
+        assert.deepStrictEqual(Manager.getLifecycleModels(null), []);
+    });
+
+    it('finds hooks in hookdir before built-in behaviors', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+        fs.writeFileSync(path.join(dir, 'sluggable.js'), 'module.exports = {};\n');
+        let db = new Manager({modeldir: path.join(__dirname, 'model')});
+        assert.strictEqual(db.findLifecycle('trace'), path.join(__dirname, 'model', 'hook', 'trace.js'));
+        assert.strictEqual(db.findLifecycle('timestampable'), path.join(__dirname, '..', 'lib', 'behavior', 'timestampable.js'));
+        assert.strictEqual(db.findLifecycle('nothing'), undefined);
+        db = new Manager({modeldir: path.join(__dirname, 'model'), hookdir: dir});
+        assert.strictEqual(db.findLifecycle('sluggable'), path.join(dir, 'sluggable.js'));
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+});
+
+describe('Lifecycles', () => {
+    let db, dir;
+
+    beforeEach(() => {
+        calls.length = 0;
+    });
+
+    afterEach(async () => {
+        await db.close();
+        if (dir) {
+            fs.rmSync(dir, {recursive: true, force: true});
+            dir = null;
+        }
+    });
+
+    it('applies lifecycles by order and awaits async handlers', async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        assert.deepStrictEqual(db.lifeCycles.Category.map(lifecycle => [lifecycle.name, lifecycle.order]), [['mark', -1], ['trace', 10]]);
+        assert.deepStrictEqual(db.features.Category.lifecycle, ['mark', 'trace']);
+        assert.deepStrictEqual(calls, ['mark:setup:Category', 'trace:setup:Category']);
+        calls.length = 0;
+        const category = await db.Category.create({Name: 'General'});
+        // mark waits longer than trace, yet both are done once created
+        assert.deepStrictEqual(calls, ['mark:afterCreate:General', 'trace:afterCreate:General']);
+        // trace only subscribes to afterCreate
+        await category.destroy();
+        assert.deepStrictEqual(calls, ['mark:afterCreate:General', 'trace:afterCreate:General']);
+    });
+
+    it('falls back to built-in behaviors and skips unknown lifecycles', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+        fs.writeFileSync(path.join(dir, 'lifecycle.json'), JSON.stringify({
+            timestampable: {createdAt: 'CreatedAt', updatedAt: false, models: ['Item']},
+            nothing: ['Item'],
+        }));
+        db = new Manager({modeldir: path.join(__dirname, 'model'), datadir: dir});
+        await db.init(database);
+        await db.syncModels();
+        assert.deepStrictEqual(db.features.Item.lifecycle, ['timestampable']);
+        assert.ok(db.Item.getAttributes().CreatedAt);
+        assert.strictEqual(db.Item.getAttributes().updatedAt, undefined);
+        const item = await db.Item.create({Name: 'A'});
+        assert.ok(item.CreatedAt instanceof Date);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Manager = require('..');
+const Loader = require('../lib/loader');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const core = require.resolve('@sequelize/core');
+
+const definition = name => `(sequelize, attributes, options) => sequelize.define('${name}', Object.assign({
+    Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+    Name: DataTypes.STRING(50),
+}, attributes || {}), (typeof options === 'function' ? options : x => x)({timestamps: false}));
+`;
+const model = name => `const { DataTypes } = require(${JSON.stringify(core)});\n\nmodule.exports = ${definition(name)}`;
+const esmodel = name => `import core from ${JSON.stringify(pathToFileURL(core).href)};\n\nconst { DataTypes } = core;\n\nexport default ${definition(name)}`;
+
+describe('Loader', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loader-'));
+        const files = {
+            'Customer.mjs': esmodel('Customer'),
+            'sales/Order.js': model('Order'),
+            'sales/draft/Quote.cjs': model('Quote'),
+            'node_modules/Ignored.js': model('Ignored'),
+            'extend/Order.js': `module.exports = {getInstanceFunctions: () => ({source: () => 'top'})};\n`,
+            'extend/sales/Order.js': `module.exports = {getInstanceFunctions: () => ({source: () => 'sales'})};\n`,
+            'extend/Customer.mjs': `export function getInstanceFunctions() {\n    return {source: () => 'esm'};\n}\n`,
+            'README.md': '',
+        };
+        Object.keys(files).forEach(file => {
+            const filename = path.join(dir, file);
+            fs.mkdirSync(path.dirname(filename), {recursive: true});
+            fs.writeFileSync(filename, files[file]);
+        });
+    });
+
+    after(() => {
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('scans nested directories only when recursive', () => {
+        const relatives = options => Loader.scan(dir, options).map(item => item.relative);
+        assert.deepStrictEqual(relatives(), ['Customer']);
+        assert.deepStrictEqual(relatives({recursive: true, skips: [path.join(dir, 'extend')]}),
+            ['Customer', 'sales/Order', 'sales/draft/Quote']);
+        const [quote] = Loader.scan(dir, {recursive: true, include: '**/Quote'});
+        assert.deepStrictEqual(quote, {name: 'Quote', relative: 'sales/draft/Quote', file: path.join(dir, 'sales', 'draft', 'Quote.cjs')});
+        assert.deepStrictEqual(Loader.scan(path.join(dir, 'nothing')), []);
+    });
+
+    it('filters modules using include and exclude patterns', () => {
+        const relatives = options => Loader.scan(dir, Object.assign({recursive: true, skips: [path.join(dir, 'extend')]}, options))
+            .map(item => item.relative);
+        assert.deepStrictEqual(relatives({include: 'sales/*'}), ['sales/Order']);
+        assert.deepStrictEqual(relatives({include: 'sales/**'}), ['sales/Order', 'sales/draft/Quote']);
+        assert.deepStrictEqual(relatives({exclude: ['**/draft/*', 'Cust?mer']}), ['sales/Order']);
+    });
+
+    it('converts glob patterns to regular expressions', () => {
+        assert.strictEqual(Loader.toRegExp('*').test('Order'), true);
+        assert.strictEqual(Loader.toRegExp('*').test('sales/Order'), false);
+        assert.strictEqual(Loader.toRegExp('**').test('sales/Order'), true);
+        // `**/` also matches top level
+        assert.strictEqual(Loader.toRegExp('**/Order').test('Order'), true);
+        assert.strictEqual(Loader.toRegExp('**/Order').test('sales/draft/Order'), true);
+        assert.strictEqual(Loader.toRegExp('Ord?r').test('Order'), true);
+        assert.strictEqual(Loader.toRegExp('Ord?r').test('Ord/r'), false);
+        // other characters are matched literally
+        assert.strictEqual(Loader.toRegExp('a.b+(c)').test('a.b+(c)'), true);
+        assert.strictEqual(Loader.toRegExp('a.b').test('axb'), false);
+    });
+
+    it('finds modules by relative path before name', () => {
+        const extendDir = path.join(dir, 'extend');
+        assert.strictEqual(Loader.find(extendDir, 'sales/Order', 'Order'), path.join(extendDir, 'sales', 'Order.js'));
+        assert.strictEqual(Loader.find(extendDir, 'sales/draft/Quote', 'Quote'), undefined);
+        assert.strictEqual(Loader.find(extendDir, 'Customer'), path.join(extendDir, 'Customer.mjs'));
+    });
+
+    it('loads ES modules using dynamic import', async () => {
+        const factory = await Loader.load(path.join(dir, 'Customer.mjs'));
+        assert.strictEqual(typeof factory, 'function');
+        // without default export, the module namespace is returned
+        const extend = await Loader.load(path.join(dir, 'extend', 'Customer.mjs'));
+        assert.strictEqual(typeof extend.getInstanceFunctions, 'function');
+        assert.strictEqual(await Loader.load(path.join(dir, 'sales', 'Order.js')), require(path.join(dir, 'sales', 'Order.js')));
+        await assert.rejects(Loader.load(path.join(dir, 'Nothing.js')), {code: 'MODULE_NOT_FOUND'});
+    });
+
+    it('loads nested and ES module models with their extensions', async () => {
+        const db = new Manager({modeldir: dir, recursive: true, exclude: 'sales/draft/*'});
+        try {
+            await db.init(database);
+            assert.deepStrictEqual(db.getModelFiles().map(item => item.relative), ['Customer', 'sales/Order']);
+            await db.syncModels();
+            const order = await db.Order.create({Name: 'A'});
+            const customer = await db.Customer.create({Name: 'B'});
+            assert.strictEqual(order.source(), 'sales');
+            assert.strictEqual(customer.source(), 'esm');
+            assert.strictEqual(db.Quote, undefined);
+        }
+        finally {
+            await db.close();
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { Op } = require('@sequelize/core');
+const Manager = require('..');
+const Lookup = require('../lib/lookup');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Lookup', () => {
+    let db;
+
+    before(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+        // posts with many nulls and equal values so pages break within ties
+        const dates = [null, '2026-02-01', null, '2026-03-01', '2026-02-01', null, '2026-03-01', null, '2026-02-01'];
+        await db.Post.bulkCreate(dates.map((date, i) => ({
+            Title: `Post ${i + 1}`,
+            UserId: 1 + i % 2,
+            CategoryId: i % 3 ? 1 + i % 3 : null,
+            PublishedAt: date ? new Date(`${date}T00:00:00.000Z`) : null,
+        })));
+    });
+
+    after(() => db.close());
+
+    /**
+     * Traverse all pages using cursor.
+     */
+    const traverse = async (model, options) => {
+        const res = [];
+        let page = await db.lookup(model, options), pages = 1;
+        res.push(...page.items.map(item => item.value));
+        while (page.cursor) {
+            page = await db.lookup(model, Object.assign({}, options, {cursor: page.cursor}));
+            res.push(...page.items.map(item => item.value));
+            pages++;
+        }
+        return {values: res, pages, total: page.total};
+    }
+
+    /**
+     * Get expected post ids ordered by value then id, null is the lowest value.
+     */
+    const expected = async (fn, desc) => {
+        const posts = await db.Post.findAll({include: ['Category']});
+        const value = post => {
+            const v = fn(post);
+            return v === null || v === undefined ? null : (v instanceof Date ? v.getTime() : v);
+        }
+        const compare = (a, b) => a === b ? 0 : (a === null ? -1 : (b === null ? 1 : (a < b ? -1 : 1)));
+        return posts
+            .sort((a, b) => (desc ? -1 : 1) * compare(value(a), value(b)) || a.Id - b.Id)
+            .map(post => post.Id);
+    }
+
+    it('traverses pages over a nullable column with primary key tie-breaks', async () => {
+        for (const desc of [false, true]) {
+            const res = await traverse('Post', {order: [desc ? '-PublishedAt' : 'PublishedAt'], limit: 2});
+            assert.deepStrictEqual(res.values, await expected(post => post.PublishedAt, desc), desc ? 'descending' : 'ascending');
+            assert.strictEqual(res.total, 11);
+            assert.strictEqual(res.pages, 6);
+        }
+    });
+
+    it('traverses pages over a nullable association column', async () => {
+        for (const desc of [false, true]) {
+            const res = await traverse('Post', {order: [desc ? '-Category.Name' : 'Category.Name'], limit: 3});
+            assert.deepStrictEqual(res.values, await expected(post => post.Category ? post.Category.Name : null, desc));
+            assert.strictEqual(res.pages, 4);
+        }
+    });
+
+    it('returns the same rows as offset pages', async () => {
+        const cursor = await traverse('Post', {order: ['-PublishedAt', 'Title'], limit: 4});
+        const offset = [];
+        for (let i = 0; i < 11; i += 4) {
+            const page = await db.lookup('Post', {order: ['-PublishedAt', 'Title'], limit: 4, offset: i});
+            offset.push(...page.items.map(item => item.value));
+        }
+        assert.deepStrictEqual(cursor.values, offset);
+    });
+
+    it('rejects a cursor of other order', async () => {
+        const page = await db.lookup('Post', {order: ['PublishedAt'], limit: 2});
+        await assert.rejects(db.lookup('Post', {cursor: page.cursor}), /cursor is not valid for the order/);
+        await assert.rejects(db.lookup('Post', {cursor: 'nothing'}), /cursor is not valid/);
+    });
+
+    it('searches each word in string representation fields case insensitively', async () => {
+        const res = await db.lookup('User', {search: 'INDONESIA adm'});
+        assert.deepStrictEqual(res.items, [{value: 1, label: 'admin (Republic of Indonesia)'}]);
+        assert.strictEqual(res.total, 1);
+        assert.deepStrictEqual((await db.lookup('User', {search: 'united john'})).items.map(item => item.value), [2]);
+        assert.deepStrictEqual((await db.lookup('User', {search: 'united admin'})).items, []);
+        // without template, text attributes are searched
+        assert.deepStrictEqual((await db.lookup('Post', {search: 'hello'})).items.map(item => item.value), [1, 2]);
+        assert.deepStrictEqual((await db.lookup('Post', {search: 'POST 1'})).items.map(item => item.value), [3]);
+    });
+
+    it('uses iLike and explicit null order on PostgreSQL', () => {
+        const lookup = new Lookup({db: {dialect: {name: 'postgres'}}, getStringable: () => db.getStringable()});
+        const search = lookup.getSearch(db.User, 'ad Indo', null, db.getIncludes(db.User));
+        assert.deepStrictEqual(search, {
+            [Op.and]: [
+                {[Op.or]: [{Username: {[Op.iLike]: '%ad%'}}, {'$Country.Name$': {[Op.iLike]: '%ad%'}}]},
+                {[Op.or]: [{Username: {[Op.iLike]: '%Indo%'}}, {'$Country.Name$': {[Op.iLike]: '%Indo%'}}]},
+            ],
+        });
+        assert.strictEqual(lookup.getDirection({desc: false}), 'ASC NULLS FIRST');
+        assert.strictEqual(lookup.getDirection({desc: true}), 'DESC NULLS LAST');
+        assert.ok(Op.like in db.getLookup().getSearch(db.User, 'ad', null, db.getIncludes(db.User))[Op.and][0][Op.or][0].Username);
+    });
+});
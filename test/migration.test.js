@@ -0,0 +1,119 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const migrations = {
+    '20260101000000-create-tag': `module.exports = {
+    up(manager, queryInterface) {
+        return queryInterface.createTable('tag', {
+            Id: {type: 'INTEGER', primaryKey: true, autoIncrement: true},
+            Name: {type: 'VARCHAR(50)', allowNull: false},
+        });
+    },
+    down(manager, queryInterface) {
+        return queryInterface.dropTable('tag');
+    }
+}`,
+    '20260102000000-add-tag-color': `module.exports = {
+    up(manager, queryInterface) {
+        return queryInterface.addColumn('tag', 'Color', {type: 'VARCHAR(10)'});
+    },
+    down(manager, queryInterface) {
+        return queryInterface.removeColumn('tag', 'Color');
+    }
+}`,
+    '20260103000000-seed-tag': `module.exports = {
+    async up(manager, queryInterface) {
+        await queryInterface.bulkInsert('tag', [{Name: 'red', Color: '#f00'}]);
+    },
+    async down(manager, queryInterface) {
+        await queryInterface.bulkDelete('tag', {});
+    }
+}`,
+}
+
+describe('Migration', () => {
+    let db, dir;
+
+    const columns = async () => Object.keys(await db.getSequelize().queryInterface.describeTable('tag'));
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-'));
+        Object.keys(migrations).forEach(name => fs.writeFileSync(path.join(dir, `${name}.js`), migrations[name]));
+        db = new Manager({modeldir: path.join(__dirname, 'model'), migrationdir: dir});
+        await db.init(database);
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('applies pending migrations in order', async () => {
+        assert.deepStrictEqual(await db.migrate(), Object.keys(migrations));
+        assert.deepStrictEqual(await columns(), ['Id', 'Name', 'Color']);
+        assert.deepStrictEqual(await db.migrate(), []);
+        const status = await db.migrationStatus();
+        assert.deepStrictEqual(status.map(m => [m.name, m.applied, m.batch]), Object.keys(migrations).map(name => [name, true, 1]));
+    });
+
+    it('stops after the migration given in to', async () => {
+        const [first, second, third] = Object.keys(migrations);
+        assert.deepStrictEqual(await db.migrate({to: second}), [first, second]);
+        assert.deepStrictEqual((await db.migrationStatus()).map(m => m.applied), [true, true, false]);
+        await assert.rejects(db.migrate({to: first}), /is not pending/);
+        assert.deepStrictEqual(await db.migrate(), [third]);
+        assert.deepStrictEqual((await db.migrationStatus()).map(m => m.batch), [1, 1, 2]);
+    });
+
+    it('rolls back the latest migrations', async () => {
+        const [first, second, third] = Object.keys(migrations);
+        await db.migrate();
+        assert.deepStrictEqual(await db.rollback(2), [third, second]);
+        assert.deepStrictEqual(await columns(), ['Id', 'Name']);
+        assert.deepStrictEqual((await db.migrationStatus()).map(m => m.applied), [true, false, false]);
+        assert.deepStrictEqual(await db.rollback(), [first]);
+        assert.strictEqual(await db.getSequelize().queryInterface.tableExists('tag'), false);
+    });
+
+    it('reports applied migrations whose file is missing', async () => {
+        const [first, second] = Object.keys(migrations);
+        await db.migrate({to: second});
+        fs.unlinkSync(path.join(dir, `${first}.js`));
+        const status = await db.migrationStatus();
+        assert.deepStrictEqual(status.map(m => [m.name, m.applied, m.missing === true]), [
+            [second, true, false],
+            ['20260103000000-seed-tag', false, false],
+            [first, true, true],
+        ]);
+        assert.ok(status[2].migratedAt instanceof Date);
+    });
+
+    it('reports the failing migration', async () => {
+        fs.writeFileSync(path.join(dir, '20260104000000-broken.js'), `module.exports = {
+    up(manager, queryInterface) {
+        return queryInterface.addColumn('nothing', 'Color', {type: 'VARCHAR(10)'});
+    }
+}`);
+        const err = await db.migrate().catch(err => err);
+        assert.strictEqual(err.migration, '20260104000000-broken');
+        assert.deepStrictEqual(err.applied, Object.keys(migrations));
+    });
+
+    it('refuses to roll back a migration without down()', async () => {
+        fs.writeFileSync(path.join(dir, '20260104000000-irreversible.js'), `module.exports = {
+    up(manager, queryInterface) {
+        return queryInterface.bulkInsert('tag', [{Name: 'blue'}]);
+    }
+}`);
+        await db.migrate();
+        const err = await db.rollback(2).catch(err => err);
+        assert.match(err.message, /can't be reverted, down\(\) is missing/);
+        assert.deepStrictEqual(err.reverted, []);
+    });
+});
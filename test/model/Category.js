@@ -0,0 +1,13 @@
+const { DataTypes } = require('@sequelize/core');
+
+module.exports = (sequelize, attributes, options) => {
+    const Category = sequelize.define('Category', Object.assign({
+        Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+        Name: {type: DataTypes.STRING(50), allowNull: false},
+        ParentId: DataTypes.INTEGER,
+    }, attributes || {}), (typeof options === 'function' ? options : x => x)({tableName: 'category', timestamps: false}));
+    Category.associate = () => {
+        Category.belongsTo(Category, {foreignKey: 'ParentId', as: 'Parent'});
+    };
+    return Category;
+};
@@ -0,0 +1,10 @@
+const { DataTypes } = require('@sequelize/core');
+
+module.exports = (sequelize, attributes, options) => {
+    const Country = sequelize.define('Country', Object.assign({
+        Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+        Code: {type: DataTypes.STRING(2), allowNull: false, unique: true},
+        Name: {type: DataTypes.STRING(100), allowNull: false},
+    }, attributes || {}), (typeof options === 'function' ? options : x => x)({tableName: 'country', timestamps: false}));
+    return Country;
+};
@@ -0,0 +1,9 @@
+const { DataTypes } = require('@sequelize/core');
+
+module.exports = (sequelize, attributes, options) => {
+    const Item = sequelize.define('Item', Object.assign({
+        Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+        Name: DataTypes.STRING(50),
+    }, attributes || {}), (typeof options === 'function' ? options : x => x)({tableName: 'item', timestamps: false}));
+    return Item;
+};
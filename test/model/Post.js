@@ -0,0 +1,16 @@
+const { DataTypes } = require('@sequelize/core');
+
+module.exports = (sequelize, attributes, options) => {
+    const Post = sequelize.define('Post', Object.assign({
+        Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+        UserId: {type: DataTypes.INTEGER, allowNull: false},
+        CategoryId: DataTypes.INTEGER,
+        Title: {type: DataTypes.STRING(100), allowNull: false},
+        Slug: DataTypes.STRING(100),
+        PublishedAt: DataTypes.DATE,
+    }, attributes || {}), (typeof options === 'function' ? options : x => x)({tableName: 'post', timestamps: false}));
+    Post.associate = () => {
+        Post.belongsTo(sequelize.models.Category, {foreignKey: 'CategoryId', as: 'Category'});
+    };
+    return Post;
+};
@@ -0,0 +1,15 @@
+const { DataTypes } = require('@sequelize/core');
+
+module.exports = (sequelize, attributes, options) => {
+    const User = sequelize.define('User', Object.assign({
+        Id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+        Username: {type: DataTypes.STRING(50), allowNull: false, unique: true},
+        Email: DataTypes.STRING(100),
+        CountryId: DataTypes.INTEGER,
+    }, attributes || {}), (typeof options === 'function' ? options : x => x)({tableName: 'user', timestamps: false}));
+    User.associate = () => {
+        User.belongsTo(sequelize.models.Country, {foreignKey: 'CountryId', as: 'Country'});
+        User.hasMany(sequelize.models.Post, {foreignKey: 'UserId', as: 'Posts', inverse: {as: 'User'}});
+    };
+    return User;
+};
@@ -0,0 +1,10 @@
+module.exports = {
+    priority: 10,
+    getInstanceFunctions(model, previous) {
+        return {
+            greet() {
+                return previous.greet ? `${previous.greet.call(this)}!` : `Hello ${model.name}`;
+            }
+        }
+    }
+};
@@ -0,0 +1,10 @@
+module.exports = {
+    priority: 5,
+    getInstanceFunctions(model, previous) {
+        return {
+            greet() {
+                return previous.greet.call(this).toUpperCase();
+            }
+        }
+    }
+};
@@ -0,0 +1,16 @@
+module.exports = {
+    getFunctions(model) {
+        return {
+            findByUsername(username, options = {}) {
+                return this.findOne(Object.assign({}, options, {where: {Username: username}}));
+            }
+        }
+    },
+    getInstanceFunctions(model) {
+        return {
+            greet() {
+                return `Hi ${this.Username}`;
+            }
+        }
+    }
+};
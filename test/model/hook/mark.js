@@ -0,0 +1,11 @@
+const trace = require('./trace');
+
+module.exports = {
+    setup(model, config) {
+        trace.calls.push(`${config.label}:setup:${model.name}`);
+    },
+    async afterCreate(instance, options, config) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        trace.calls.push(`${config.label}:afterCreate:${instance.Name}`);
+    }
+};
@@ -0,0 +1,15 @@
+const calls = [];
+
+module.exports = {
+    calls,
+    setup(model, config) {
+        calls.push(`${config.label}:setup:${model.name}`);
+    },
+    async afterCreate(instance, options, config) {
+        await new Promise(resolve => setImmediate(resolve));
+        calls.push(`${config.label}:afterCreate:${instance.Name}`);
+    },
+    afterDestroy(instance, options, config) {
+        calls.push(`${config.label}:afterDestroy:${instance.Name}`);
+    }
+};
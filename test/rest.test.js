@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { Op } = require('@sequelize/core');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Rest', () => {
+    let db, rest;
+    const calls = [];
+
+    before(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+        rest = db.createRest({
+            prefix: '/api/',
+            exposeAll: false,
+            authorize: ctx => {
+                calls.push(`${ctx.operation}:${ctx.model.name}${ctx.parent ? `<${ctx.parent.model.name}` : ''}`);
+                return !ctx.request || ctx.request.user !== 'guest';
+            },
+            models: {
+                Country: {operations: ['list', 'get']},
+                User: {exclude: ['Email'], readonly: ['Username']},
+                Category: {operations: ['get', 'create']},
+                Post: {
+                    fields: ['Id', 'Title', 'UserId', 'CategoryId', 'Category'],
+                    // only posts of the user are visible
+                    authorize: ctx => {
+                        if (ctx.options && ctx.request && ctx.request.user) {
+                            ctx.options.where = {[Op.and]: [ctx.options.where, {UserId: ctx.request.user}]};
+                        }
+                    },
+                },
+                Item: false,
+            },
+        });
+    });
+
+    after(() => db.close());
+
+    const handle = (method, url, body, request) => rest.handle({method, url, body, request});
+
+    it('reads only configured fields', async () => {
+        const user = await handle('GET', '/api/user/1');
+        assert.strictEqual(user.status, 200);
+        assert.deepStrictEqual(user.body, {Id: 1, Username: 'admin', CountryId: 1, Country: {Id: 1, Code: 'ID', Name: 'Republic of Indonesia'}});
+        const post = await handle('GET', '/api/post/1');
+        // User is included but not listed in fields
+        assert.deepStrictEqual(Object.keys(post.body), ['Id', 'Title', 'UserId', 'CategoryId', 'Category']);
+        const list = await handle('GET', '/api/user?sort=-Id&limit=1');
+        assert.deepStrictEqual([list.body.items.map(item => item.Username), list.body.total, list.body.limit], [['john'], 2, 1]);
+        assert.strictEqual((await handle('GET', '/api/user?Email=admin@example.com')).status, 400);
+        assert.strictEqual((await handle('GET', '/api/user?sort=Email')).status, 400);
+        assert.strictEqual((await handle('GET', '/api/user?limit=1000')).status, 400);
+    });
+
+    it('rejects fields which are excluded, readonly, or generated', async () => {
+        let res = await handle('PATCH', '/api/user/2', {Username: 'johnny', Email: 'x'});
+        assert.strictEqual(res.status, 422);
+        assert.deepStrictEqual(res.body.errors.map(err => err.path), ['Username', 'Email']);
+        res = await handle('POST', '/api/post', {Id: 10, Title: 'A', UserId: 1});
+        assert.deepStrictEqual([res.status, res.body.errors], [422, [{path: 'Id', message: 'Field Id is not writable!'}]]);
+        res = await handle('PATCH', '/api/user/2', {CountryId: 1});
+        assert.deepStrictEqual([res.status, res.body.Country.Code], [200, 'ID']);
+        res = await handle('POST', '/api/post', {Title: null, UserId: 1});
+        assert.deepStrictEqual([res.status, res.body.errors.map(err => err.path)], [422, ['Title']]);
+    });
+
+    it('checks nested values against the associated model config', async () => {
+        calls.length = 0;
+        let res = await handle('POST', '/api/post', {Title: 'Nested', UserId: 1, Category: {Name: 'Sport', ParentId: 1}});
+        assert.strictEqual(res.status, 201);
+        assert.strictEqual(res.body.Category.Name, 'Sport');
+        assert.deepStrictEqual(calls, ['create:Post', 'create:Category<Post']);
+        // updating a category is not allowed
+        res = await handle('POST', '/api/post', {Title: 'Nested', UserId: 1, Category: {Id: 1, Name: 'Changed'}});
+        assert.deepStrictEqual([res.status, res.body.error], [405, 'Operation update of Category is not allowed!']);
+        res = await handle('POST', '/api/post', {Title: 'Linked', UserId: 1, Category: {Id: 2}});
+        assert.deepStrictEqual([res.status, res.body.Category.Name], [201, 'News']);
+        res = await handle('POST', '/api/post', {Title: 'Linked', UserId: 1, Category: {Id: 99}});
+        assert.strictEqual(res.status, 404);
+    });
+
+    it('calls global and model authorization hooks', async () => {
+        calls.length = 0;
+        let res = await handle('GET', '/api/post', undefined, {user: 2});
+        assert.deepStrictEqual(res.body.items.map(item => item.UserId), [2]);
+        res = await handle('GET', '/api/post/1', undefined, {user: 2});
+        assert.strictEqual(res.status, 404);
+        assert.deepStrictEqual(calls, ['list:Post', 'get:Post']);
+        res = await handle('DELETE', '/api/user/2', undefined, {user: 'guest'});
+        assert.deepStrictEqual([res.status, res.body.error], [403, 'Operation delete of User is forbidden!']);
+        assert.strictEqual(await db.User.count({where: {Id: 2}}), 1);
+    });
+
+    it('responds 404 and 405 for unknown rows and operations', async () => {
+        assert.deepStrictEqual(await handle('GET', '/api/user/99'), {status: 404, body: {error: 'User 99 not found!'}});
+        assert.deepStrictEqual(await handle('DELETE', '/api/user'), {status: 405, body: {error: 'Method DELETE is not allowed!'}});
+        assert.deepStrictEqual(await handle('POST', '/api/country', {Code: 'SG', Name: 'Singapore'}),
+            {status: 405, body: {error: 'Operation create of Country is not allowed!'}});
+        assert.strictEqual((await handle('POST', '/api/user', [])).status, 400);
+    });
+
+    it('ignores routes which are not exposed', async () => {
+        assert.strictEqual(await handle('GET', '/other/user'), null);
+        assert.strictEqual(await handle('GET', '/api'), null);
+        assert.strictEqual(await handle('GET', '/api/item'), null);
+        assert.strictEqual(await handle('GET', '/api/nothing'), null);
+        assert.strictEqual(await handle('GET', '/api/user/1/posts'), null);
+    });
+
+    it('responds 400 for path which is not properly encoded', async () => {
+        assert.deepStrictEqual(await handle('GET', '/api/item/%E0'), {status: 400, body: {error: 'Request path /api/item/%E0 is not valid!'}});
+        assert.strictEqual((await handle('GET', '/api/%E0%A4%A')).status, 400);
+        // decoded to ID which isn't an integer key
+        assert.deepStrictEqual(await handle('GET', '/api/country/%49%44'), {status: 404, body: {error: 'Country ID not found!'}});
+    });
+
+    it('handles requests of http module', async () => {
+        const server = http.createServer(rest.handler());
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}`;
+        try {
+            let res = await fetch(`${url}/api/user/1`);
+            assert.deepStrictEqual([res.status, res.headers.get('content-type'), (await res.json()).Username],
+                [200, 'application/json; charset=utf-8', 'admin']);
+            res = await fetch(`${url}/api/category`, {method: 'POST', body: '{"Name": "Tech"}'});
+            assert.deepStrictEqual([res.status, (await res.json()).Name], [201, 'Tech']);
+            res = await fetch(`${url}/api/category`, {method: 'POST', body: '{'});
+            assert.deepStrictEqual([res.status, await res.json()], [400, {error: 'Request body is not a valid JSON!'}]);
+            res = await fetch(`${url}/api/user/%E0`);
+            assert.strictEqual(res.status, 400);
+            res = await fetch(`${url}/nothing`);
+            assert.deepStrictEqual([res.status, await res.json()], [404, {error: 'Not found!'}]);
+            res = await fetch(`${url}/api/user/2`, {method: 'DELETE'});
+            assert.strictEqual(res.status, 204);
+        }
+        finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
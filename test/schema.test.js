@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Schema', () => {
+    let db;
+
+    const changes = async () => (await db.diffSchema()).map(c => [c.type, c.table, c.name].filter(Boolean).join(' '));
+
+    beforeEach(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+    });
+
+    afterEach(() => db.close());
+
+    it('reports tables to create with their references, referenced tables first', async () => {
+        const res = await db.diffSchema();
+        assert.deepStrictEqual(res.filter(c => c.type === 'createTable').map(c => c.table), ['category', 'country', 'item', 'user', 'post']);
+        const post = res.find(c => c.table === 'post');
+        assert.deepStrictEqual(post.expected.UserId.references, {table: 'user', key: 'Id'});
+        assert.strictEqual(post.expected.UserId.onDelete, 'CASCADE');
+        assert.deepStrictEqual(res.find(c => c.type === 'addIndex' && c.table === 'country').expected,
+            {name: 'country__code_unique', fields: ['Code'], unique: true});
+        await db.syncModels();
+        assert.deepStrictEqual(await changes(), []);
+    });
+
+    it('reports column differences', async () => {
+        await db.syncModels();
+        const sequelize = db.getSequelize();
+        await sequelize.query('ALTER TABLE country ADD COLUMN Extra TEXT');
+        await sequelize.query('ALTER TABLE user DROP COLUMN Email');
+        const res = await db.diffSchema();
+        assert.deepStrictEqual(res.map(c => [c.type, c.table, c.name, c.destructive]), [
+            ['removeColumn', 'country', 'Extra', true],
+            ['addColumn', 'user', 'Email', false],
+        ]);
+    });
+
+    it('writes the differences as migration', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+        try {
+            const other = new Manager({modeldir: path.join(__dirname, 'model'), migrationdir: dir});
+            await other.init(database);
+            await other.diffSchema({migration: 'init'});
+            const files = fs.readdirSync(dir);
+            assert.match(files[0], /^\d{14}-init\.js$/);
+            assert.deepStrictEqual(await other.migrate(), [files[0].replace(/\.js$/, '')]);
+            assert.deepStrictEqual((await other.diffSchema()).map(c => c.type), []);
+            await other.close();
+        }
+        finally {
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+
+    it('refuses destructive synchronization unless allowed', async () => {
+        await db.syncModels();
+        const err = await db.syncModels(true).catch(err => err);
+        assert.match(err.message, /^Refusing destructive changes: dropTable category/);
+        assert.ok(err.changes.every(c => c.type === 'dropTable' && c.destructive));
+        await db.getSequelize().query('ALTER TABLE country ADD COLUMN Extra TEXT');
+        await assert.rejects(db.syncModels(false, {alter: true}), /removeColumn country Extra/);
+        await db.syncModels(false, {alter: true, allowDestructive: true});
+        assert.deepStrictEqual(await changes(), []);
+    });
+});
+
+describe('Schema dry run', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+    });
+
+    afterEach(() => db.close());
+
+    it('collects the SQL without executing it', async () => {
+        const res = await db.syncModels(false, {dryRun: true});
+        assert.ok(res.sql.some(sql => sql.startsWith('CREATE TABLE IF NOT EXISTS `post`')));
+        assert.deepStrictEqual(res.destructive, []);
+        assert.strictEqual(res.changes.filter(c => c.type === 'createTable').length, 5);
+        assert.strictEqual(await db.getSequelize().queryInterface.tableExists('post'), false);
+    });
+
+    it('reports destructive changes of forced synchronization', async () => {
+        await db.syncModels();
+        const res = await db.syncModels(true, {dryRun: true});
+        assert.deepStrictEqual(res.destructive.map(c => c.table), ['category', 'country', 'item', 'post', 'user']);
+        assert.ok(res.sql.indexOf('DROP TABLE IF EXISTS `post`') >= 0);
+        assert.strictEqual(await db.getSequelize().queryInterface.tableExists('post'), true);
+    });
+
+    it('doesn\'t emit sync events nor mark models as synchronized', async () => {
+        const events = [];
+        db.on('beforeSync', model => events.push(model.name));
+        db.on('afterSync', model => events.push(model.name));
+        await db.syncModels(false, {dryRun: true});
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(db.syncs, undefined);
+        await db.syncModels();
+        assert.strictEqual(events.length, 10);
+        await db.syncModels(false, {alter: true, dryRun: true});
+        assert.strictEqual(events.length, 10);
+        assert.strictEqual(db.syncs.length, 5);
+    });
+
+    it('doesn\'t affect queries of the manager instance while capturing', async () => {
+        await db.syncModels();
+        const sql = await db.getSchema().capture(async sequelize => {
+            await db.Item.create({Name: 'Item'});
+            await sequelize.models.get('Item').sync({force: true});
+            await db.Item.create({Name: 'Other'});
+        });
+        assert.deepStrictEqual(sql, [
+            'DROP TABLE IF EXISTS `item`',
+            'CREATE TABLE IF NOT EXISTS `item` (`Id` INTEGER PRIMARY KEY AUTOINCREMENT, `Name` TEXT);',
+        ]);
+        assert.strictEqual(await db.Item.count(), 2);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Manager = require('..');
+const Stringable = require('../lib/stringable');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Stringable', () => {
+    const stringable = new Stringable({config: {formatters: {wrap: (value, arg) => `${arg}${value}${arg}`}}});
+    const row = {Code: 'P01', Name: ' Red Shirt ', Price: 1234.5, Date: new Date('2026-01-02T03:04:05.000Z'), Note: ''};
+
+    it('formats values using formatters with arguments', () => {
+        assert.strictEqual(stringable.format(row, '{Code|lower} - {Name|trim|upper}', 'en-US'), 'p01 - RED SHIRT');
+        assert.strictEqual(stringable.format(row, '{Price|number:2}', 'en-US'), '1,234.50');
+        assert.strictEqual(stringable.format(row, '{Price|number:2}', 'id-ID'), '1.234,50');
+        assert.strictEqual(stringable.format(row, '{Date|date:iso} {Date|time:iso}', 'en-US'), '2026-01-02 03:04:05');
+        assert.strictEqual(stringable.format(row, '{Note|default:-} {Missing|upper|default:n/a}', 'en-US'), '- n/a');
+        // the argument is everything after the first colon
+        assert.strictEqual(stringable.format(row, '{Code|wrap::}', 'en-US'), ':P01:');
+        assert.throws(() => stringable.format(row, '{Code|nothing}'), /uses unknown formatter nothing/);
+    });
+
+    it('writes literal braces using {{ and }}', () => {
+        assert.strictEqual(stringable.format(row, '{{Code}}'), '{Code}');
+        assert.strictEqual(stringable.format(row, '{{{Code}}}'), '{P01}');
+        assert.strictEqual(stringable.format(row, '}} {Code} {{'), '} P01 {');
+        assert.deepStrictEqual(stringable.getExpressions('{{Code}} {Name|trim}').map(expr => expr.path), ['Name']);
+    });
+
+    it('falls back from region locale to language then default', () => {
+        const template = {default: 'default', id: 'id', 'en-GB': 'en-GB'};
+        assert.strictEqual(stringable.getTemplate(template, 'id-ID'), 'id');
+        assert.strictEqual(stringable.getTemplate(template, 'id_ID'), 'id');
+        assert.strictEqual(stringable.getTemplate(template, 'en-GB'), 'en-GB');
+        assert.strictEqual(stringable.getTemplate(template, 'en-US'), 'default');
+        assert.strictEqual(stringable.getTemplate(template), 'default');
+        // without default, the first variant is used
+        assert.strictEqual(stringable.getTemplate({id: 'id', en: 'en'}, 'fr'), 'id');
+    });
+});
+
+describe('Model string representation', () => {
+    let db;
+
+    before(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+    });
+
+    after(() => db.close());
+
+    it('formats model and associated values', async () => {
+        assert.strictEqual(String(await db.Country.findOne({where: {Code: 'US'}})), 'US - United States');
+        const admin = await db.User.findOne({where: {Username: 'admin'}, include: ['Country']});
+        assert.strictEqual(admin.toString(), 'admin (Republic of Indonesia)');
+        const john = await db.User.findOne({where: {Username: 'john'}});
+        assert.strictEqual(john.toString(), 'john (-)');
+    });
+
+    it('selects template variant by locale', async () => {
+        const admin = await db.User.findOne({where: {Username: 'admin'}, include: ['Country']});
+        assert.strictEqual(admin.toString('id-ID'), 'Pengguna ADMIN');
+        assert.strictEqual(admin.toString('en-US'), 'admin (Republic of Indonesia)');
+        assert.deepStrictEqual(await db.getValues('user', null, 'id'), {1: 'Pengguna ADMIN', 2: 'Pengguna JOHN'});
+        db.config.locale = 'id';
+        try {
+            assert.strictEqual(admin.toString(), 'Pengguna ADMIN');
+        }
+        finally {
+            delete db.config.locale;
+        }
+    });
+});
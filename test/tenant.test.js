@@ -0,0 +1,56 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('TenantRegistry', () => {
+    const db = new Manager({
+        modeldir: path.join(__dirname, 'model'),
+        tenants: {
+            resolve: id => database,
+            setup: tenant => tenant.syncModels(),
+            max: 1,
+        },
+    });
+
+    after(() => db.close());
+
+    it('keeps tenants used by concurrent run() open', async () => {
+        await db.init(database);
+        const ids = ['a', 'b', 'c'];
+        const res = await Promise.all(ids.map(id => db.getTenants().run(id, async tenant => {
+            await tenant.Item.create({Name: id});
+            return tenant.Item.count();
+        })));
+        assert.deepStrictEqual(res, [1, 1, 1]);
+        // the limit is restored once the tenants are no longer in use
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual(db.getTenants().list().length, 1);
+    });
+
+    it('evicts idle tenant when the limit is exceeded', async () => {
+        const tenants = db.getTenants();
+        await tenants.run('d', tenant => tenant.Item.count());
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(tenants.list().map(tenant => tenant.id), ['d']);
+    });
+});
+
+describe('TenantRegistry failure', () => {
+    const db = new Manager({
+        modeldir: path.join(__dirname, 'model'),
+        tenants: {
+            resolve: id => ({dialect: 'unknown'}),
+        },
+    });
+
+    after(() => db.close());
+
+    it('discards tenant which fails to initialize', async () => {
+        await db.init(database);
+        await assert.rejects(db.tenant('a'), /unknown/);
+        assert.deepStrictEqual(db.getTenants().list(), []);
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QueryTypes } = require('@sequelize/core');
+const TestDatabase = require('../lib/testing');
+
+const foreignKeys = async db => (await db.getSequelize().query('PRAGMA foreign_keys', {type: QueryTypes.SELECT}))[0].foreign_keys;
+
+describe('TestDatabase', () => {
+    const tdb = new TestDatabase({modeldir: path.join(__dirname, 'model')}, {fixtures: {env: 'test'}});
+    let db;
+
+    before(async () => {
+        db = await tdb.setup();
+    });
+
+    after(() => tdb.teardown());
+
+    it('loads fixtures and captures them', async () => {
+        assert.deepStrictEqual((await db.Country.findAll({order: [['Code', 'ASC']]})).map(c => c.Name), ['Indonesia (test)', 'Japan', 'United States']);
+        assert.strictEqual(tdb.state.country.length, 3);
+        assert.ok(tdb.state.sqlite_sequence.length > 0);
+    });
+
+    it('restores rows and auto increment sequences', async () => {
+        const item = await db.Item.create({Name: 'A'});
+        await db.Post.destroy({where: {}});
+        await db.Country.update({Name: 'Changed'}, {where: {}});
+        await tdb.restore();
+        assert.strictEqual(await db.Item.count(), 0);
+        assert.strictEqual(await db.Post.count(), 2);
+        assert.strictEqual(await db.Country.count({where: {Name: 'Changed'}}), 0);
+        // the same id is given again
+        assert.strictEqual((await db.Item.create({Name: 'B'})).Id, item.Id);
+        await tdb.restore();
+    });
+
+    it('keeps foreign keys pragma as it was', async () => {
+        assert.strictEqual(await foreignKeys(db), 1);
+        await tdb.restore();
+        assert.strictEqual(await foreignKeys(db), 1);
+        await assert.rejects(db.Post.create({Title: 'A', UserId: 99}), /FOREIGN KEY constraint failed/);
+        await db.getSequelize().query('PRAGMA foreign_keys = OFF');
+        try {
+            await tdb.restore();
+            assert.strictEqual(await foreignKeys(db), 0);
+        }
+        finally {
+            await db.getSequelize().query('PRAGMA foreign_keys = ON');
+        }
+    });
+
+    it('rolls back everything done in isolate()', async () => {
+        const res = await tdb.isolate(async transaction => {
+            assert.ok(transaction);
+            await db.Item.create({Name: 'A'});
+            await db.User.destroy({where: {Username: 'john'}});
+            return db.Item.count();
+        });
+        assert.strictEqual(res, 1);
+        assert.strictEqual(await db.Item.count(), 0);
+        assert.strictEqual(await db.User.count(), 2);
+        await assert.rejects(tdb.isolate(async () => {
+            await db.Item.create({Name: 'B'});
+            throw new Error('Failed');
+        }), /Failed/);
+        assert.strictEqual(await db.Item.count(), 0);
+    });
+
+    it('refuses to restore without snapshot', async () => {
+        const other = new TestDatabase({modeldir: path.join(__dirname, 'model')});
+        await assert.rejects(other.restore(), /Nothing to restore/);
+        await other.teardown();
+    });
+
+    it('fails setup when a fixture fails to load', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'testing-'));
+        fs.writeFileSync(path.join(dir, 'Post.json'), '[{"Title": "Orphan", "UserId": 99}]');
+        const other = new TestDatabase({modeldir: path.join(__dirname, 'model'), fixturedir: dir});
+        try {
+            await assert.rejects(other.setup(), /Failed to load fixture of Post/);
+        }
+        finally {
+            await other.teardown();
+            fs.rmSync(dir, {recursive: true, force: true});
+        }
+    });
+});
+
+describe('Factory', () => {
+    const tdb = new TestDatabase({modeldir: path.join(__dirname, 'model')}, {fixtures: false});
+    let factory;
+
+    before(async () => {
+        await tdb.setup();
+        factory = tdb.factory;
+    });
+
+    afterEach(async () => {
+        factory.reset();
+        factory.definitions = {};
+        await tdb.restore();
+    });
+
+    after(() => tdb.teardown());
+
+    it('generates required values and BelongsTo rows', () => {
+        assert.deepStrictEqual(factory.attributes('Post'), {User: {Username: 'Username1'}, Title: 'Title1'});
+        // length is kept, ending with the sequence
+        assert.deepStrictEqual(factory.attributes('Country'), {Code: 'C1', Name: 'Name1'});
+        assert.deepStrictEqual(factory.attributes('Country'), {Code: 'C2', Name: 'Name2'});
+        assert.deepStrictEqual(factory.attributes('Post', {UserId: 1}), {Title: 'Title2', UserId: 1});
+        factory.reset('Country');
+        assert.strictEqual(factory.attributes('Country').Code, 'C1');
+        assert.strictEqual(factory.attributes('Post').Title, 'Title3');
+    });
+
+    it('creates rows using definitions and overrides', async () => {
+        factory.define('User', {Email: seq => `user${seq}@example.com`});
+        const posts = await factory.createMany('Post', 2, {Title: (seq, values) => `Post ${seq} of ${values.User.Username}`});
+        assert.deepStrictEqual(posts.map(post => post.Title), ['Post 1 of Username1', 'Post 2 of Username2']);
+        const users = await tdb.db.User.findAll({order: [['Id', 'ASC']]});
+        assert.deepStrictEqual(users.map(user => [user.Username, user.Email]),
+            [['Username1', 'user1@example.com'], ['Username2', 'user2@example.com']]);
+        const post = factory.build('Post', {UserId: users[0].Id});
+        assert.strictEqual(post.isNewRecord, true);
+        assert.strictEqual(await tdb.db.Post.count(), 2);
+    });
+
+    it('reports rows which can not be created', async () => {
+        await factory.create('Country', {Code: 'ID'});
+        await assert.rejects(factory.create('Country', {Code: 'ID'}), /Unable to create Country: Code/);
+        assert.throws(() => factory.attributes('Nothing'), /Factory model Nothing not found/);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+const codes = issues => issues.map(issue => `${issue.code}:${issue.model}`);
+
+describe('Validator', () => {
+    let db, dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validator-'));
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('reports no error for the test models', async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        const res = await db.validate();
+        assert.deepStrictEqual(res.errors, []);
+        assert.strictEqual(res.valid, true);
+    });
+
+    it('checks columns of JSON, CSV, and NDJSON fixtures', async () => {
+        fs.mkdirSync(path.join(dir, 'test'));
+        fs.writeFileSync(path.join(dir, 'Country.json'), '[{"Code": "ID", "Name": "Indonesia", "Capital": "Jakarta"}]');
+        fs.writeFileSync(path.join(dir, 'User.csv'), '@ref,Username,Phone\nadmin,admin,123\n');
+        fs.writeFileSync(path.join(dir, 'test', 'Post.ndjson'), '{"Title": "A", "UserId": 1}\n{"Title": "B", "Body": "b"}\n');
+        fs.writeFileSync(path.join(dir, 'Category.json'), '{"Name": "General"}');
+        fs.writeFileSync(path.join(dir, 'Nothing.csv'), 'Name\nx\n');
+        db = new Manager({modeldir: path.join(__dirname, 'model'), fixturedir: dir});
+        await db.init(database);
+        const res = await db.validate();
+        assert.deepStrictEqual(codes(res.errors).sort(), [
+            'invalid-fixture:Category',
+            'unknown-attribute:Country',
+            'unknown-attribute:Post',
+            'unknown-attribute:User',
+        ]);
+        assert.ok(res.errors.some(issue => issue.message === 'Fixture column User.Phone is not a model attribute'));
+        assert.ok(res.errors.some(issue => issue.message === 'Fixture column Post.Body is not a model attribute'));
+        assert.ok(codes(res.warnings).indexOf('unknown-model:Nothing') >= 0);
+        assert.strictEqual(res.valid, false);
+    });
+
+    it('passes previous functions to extensions like the extend chain does', async () => {
+        fs.writeFileSync(path.join(dir, 'Item.js'), `module.exports = {
+    getFunctions(model, {findAll}) {
+        return {findAll, findNamed: name => model.findOne({where: {Name: name}})};
+    },
+    getInstanceFunctions(model, {save}) {
+        return {save};
+    },
+}
+`);
+        db = new Manager({modeldir: path.join(__dirname, 'model'), extenddir: dir});
+        await db.init(database);
+        const res = await db.validate();
+        assert.deepStrictEqual(res.errors, []);
+        assert.deepStrictEqual(codes(res.warnings).filter(code => code === 'shadowed-function:Item'),
+            ['shadowed-function:Item', 'shadowed-function:Item']);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DataTypes } = require('@sequelize/core');
+const Manager = require('..');
+
+const database = {dialect: 'sqlite3', storage: ':memory:', pool: {max: 1, idle: Infinity, maxUses: Infinity}, logging: false};
+
+describe('Writer', () => {
+    let db;
+
+    before(async () => {
+        db = new Manager({modeldir: path.join(__dirname, 'model')});
+        await db.init(database);
+        await db.syncModels();
+        await db.loadFixtures();
+    });
+
+    after(() => db.close());
+
+    it('coerces string values according to data type', () => {
+        const writer = db.getWriter();
+        const coerce = (type, value) => writer.coerce({type}, value);
+        assert.strictEqual(coerce(DataTypes.INTEGER(), ' 12 '), 12);
+        assert.strictEqual(coerce(DataTypes.BIGINT(), '9007199254740993'), '9007199254740993');
+        assert.strictEqual(coerce(DataTypes.INTEGER(), ''), null);
+        assert.throws(() => coerce(DataTypes.INTEGER(), '1.5'), /1\.5 is not an integer/);
+        assert.strictEqual(coerce(DataTypes.FLOAT(), '1.5'), 1.5);
+        assert.strictEqual(coerce(DataTypes.DECIMAL(10, 2), '1.50'), '1.50');
+        assert.throws(() => coerce(DataTypes.DOUBLE(), 'Infinity'), /is not a number/);
+        assert.strictEqual(coerce(DataTypes.BOOLEAN(), 'Yes'), true);
+        assert.strictEqual(coerce(DataTypes.BOOLEAN(), 'off'), false);
+        assert.throws(() => coerce(DataTypes.BOOLEAN(), 'maybe'), /maybe is not a boolean/);
+        assert.strictEqual(coerce(DataTypes.DATEONLY(), '2026-01-31'), '2026-01-31');
+        assert.throws(() => coerce(DataTypes.DATEONLY(), '31/01/2026'), /is not a date/);
+        assert.deepStrictEqual(coerce(DataTypes.DATE(), '2026-01-31T00:00:00.000Z'), new Date('2026-01-31T00:00:00.000Z'));
+        assert.deepStrictEqual(coerce(DataTypes.JSON(), '{"a": 1}'), {a: 1});
+        assert.throws(() => coerce(DataTypes.JSON(), '[1,'), /is not a valid JSON/);
+        assert.strictEqual(coerce(DataTypes.STRING(), ' a '), ' a ');
+        assert.strictEqual(coerce(DataTypes.INTEGER(), 5), 5);
+    });
+
+    it('passes association keys to callback unless nested is enabled', () => {
+        const values = {Username: 'jane', Country: {Code: 'JP'}, Extra: 1};
+        const keys = [];
+        let user = db.User.build({});
+        let res = db.setValues(user, values, key => keys.push(key));
+        assert.deepStrictEqual(keys, ['Country', 'Extra']);
+        assert.deepStrictEqual(res, {unknown: [], errors: []});
+        assert.strictEqual(user.Username, 'jane');
+
+        keys.length = 0;
+        user = db.User.build({});
+        res = db.setValues(user, values, key => keys.push(key), {nested: true});
+        assert.deepStrictEqual(keys, ['Extra']);
+        assert.deepStrictEqual(res, {unknown: [], errors: []});
+
+        user = db.User.build({});
+        res = db.setValues(user, values);
+        assert.deepStrictEqual(res, {unknown: ['Extra'], errors: []});
+        res = db.setValues(user, {Country: {Code: 'JP'}}, null, {nested: false});
+        assert.deepStrictEqual(res, {unknown: ['Country'], errors: []});
+    });
+
+    it('reports coercion, shape, and unknown issues with nested paths', () => {
+        const user = db.createInstance(db.User, {
+            Username: 'jane',
+            CountryId: 'x',
+            Country: [],
+            Posts: [{Title: 'A', CategoryId: 'one'}, {Title: 'B', Body: 'b'}],
+        });
+        assert.deepStrictEqual(db.getWriter().getIssues(user), {
+            unknown: ['Posts[1].Body'],
+            errors: [
+                {path: 'CountryId', message: 'x is not an integer'},
+                {path: 'Country', message: 'An object is expected'},
+                {path: 'Posts[0].CategoryId', message: 'one is not an integer'},
+            ],
+        });
+        // setting a path again replaces its issues
+        db.setValues(user, {CountryId: '1', Posts: [{Title: 'A'}]});
+        assert.deepStrictEqual(db.getWriter().getIssues(user), {
+            unknown: [],
+            errors: [{path: 'Country', message: 'An object is expected'}],
+        });
+    });
+
+    it('saves instance with its associated instances', async () => {
+        const res = await db.saveInstance(db.User, {
+            Username: 'jane',
+            Country: {Code: 'SG', Name: 'Singapore'},
+            Posts: [{Title: 'First', CategoryId: '1'}, {Title: 'Second', PublishedAt: '2026-02-01T00:00:00.000Z'}],
+            Extra: 1,
+        });
+        assert.deepStrictEqual([res.saved, res.unknown, res.errors], [true, ['Extra'], []]);
+        const user = await db.User.findOne({where: {Username: 'jane'}, include: ['Country', 'Posts']});
+        assert.strictEqual(user.Country.Name, 'Singapore');
+        assert.deepStrictEqual(user.Posts.map(post => [post.Title, post.CategoryId]).sort(), [['First', 1], ['Second', null]]);
+        assert.ok(user.Posts.find(post => post.Title === 'Second').PublishedAt instanceof Date);
+    });
+
+    it('updates nested row having primary key of an existing row', async () => {
+        const country = await db.Country.findOne({where: {Code: 'US'}});
+        const res = await db.saveInstance(db.User, {Username: 'joe', Country: {Id: String(country.Id), Name: 'USA'}});
+        assert.strictEqual(res.saved, true);
+        assert.strictEqual(res.instance.CountryId, country.Id);
+        await country.reload();
+        assert.deepStrictEqual([country.Code, country.Name], ['US', 'USA']);
+    });
+
+    it('saves nothing when validation fails', async () => {
+        const users = await db.User.count();
+        const posts = await db.Post.count();
+        const res = await db.saveInstance(db.User, {Username: 'ann', Posts: [{Title: 'A'}, {Title: null}]});
+        assert.strictEqual(res.saved, false);
+        assert.deepStrictEqual(res.errors.map(err => err.path), ['Posts[1].Title']);
+        assert.strictEqual((await db.saveInstance(db.User, {Username: 'ann', Posts: [{Title: 'A'}]})).saved, true);
+        // the unique Username is only checked by the database, nothing of the Post is kept
+        const failed = await db.saveInstance(db.Post, {Title: 'B', User: {Username: 'ann'}});
+        assert.strictEqual(failed.saved, false);
+        assert.deepStrictEqual(failed.errors.map(err => err.path), ['User.Username']);
+        assert.strictEqual(await db.User.count(), users + 1);
+        assert.strictEqual(await db.Post.count(), posts + 1);
+    });
+});